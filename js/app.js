@@ -47,15 +47,30 @@ const NASHME_CONFIG = {
   }
 };
 
+// ?virtual swaps the radio for a simulated mesh (see loadVirtualRadio). It
+// keeps its own database and localStorage keys so a test run never touches
+// the real conversations or the saved radio.
+const NASHME_VIRTUAL = new URLSearchParams(window.location.search).has('virtual');
+const NASHME_STORAGE_PREFIX = NASHME_VIRTUAL ? 'nashme_virtual_' : 'nashme_';
+
 // ============================================================================
 // Database (IndexedDB via simple wrapper)
 // ============================================================================
 
 class NashMeshDB {
   constructor() {
-    this.dbName = 'nashme_db';
-    this.dbVersion = 1;
+    this.dbName = `${NASHME_STORAGE_PREFIX}db`;
+    this.dbVersion = NashMeshDB.MIGRATIONS[NashMeshDB.MIGRATIONS.length - 1].version;
     this.db = null;
+    // The passphrase settings record, while one is set
+    this.encryption = null;
+    // { cipherKey, indexKey } while unlocked
+    this.keys = null;
+    // Set while rekey runs; see run
+    this.rekeying = null;
+    this.inFlight = new Set();
+    this.onBlockedCallback = null;
+    this.onVersionChangeCallback = null;
   }
 
   async init() {
@@ -63,54 +78,75 @@ class NashMeshDB {
       const request = indexedDB.open(this.dbName, this.dbVersion);
 
       request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
+      // Another tab still has the old version open; the upgrade waits for it
+      request.onblocked = () => this.onBlockedCallback?.();
+      request.onsuccess = async () => {
         this.db = request.result;
-        resolve(this.db);
+        // Step aside when a newer version opens in another tab, or it blocks
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.onVersionChangeCallback?.();
+        };
+        try {
+          this.encryption = (await this.get('settings', 'encryption')) || null;
+          resolve(this.db);
+        } catch (error) {
+          reject(error);
+        }
       };
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const tx = event.target.transaction;
+        NashMeshDB.MIGRATIONS
+          .filter(({ version }) => version > event.oldVersion && version <= event.newVersion)
+          .forEach(({ migrate }) => migrate(db, tx));
+      };
+    });
+  }
 
-        // Contacts store
-        if (!db.objectStoreNames.contains('contacts')) {
-          const contactStore = db.createObjectStore('contacts', { keyPath: 'id' });
-          contactStore.createIndex('name', 'name', { unique: false });
-        }
-
-        // Conversations store
-        if (!db.objectStoreNames.contains('conversations')) {
-          const convoStore = db.createObjectStore('conversations', { keyPath: 'id' });
-          convoStore.createIndex('channelIndex', 'channelIndex', { unique: false });
-          convoStore.createIndex('lastMessageAt', 'lastMessageAt', { unique: false });
-        }
+  onBlocked(callback) {
+    this.onBlockedCallback = callback;
+  }
 
-        // Messages store
-        if (!db.objectStoreNames.contains('messages')) {
-          const msgStore = db.createObjectStore('messages', { keyPath: 'id' });
-          msgStore.createIndex('conversationId', 'conversationId', { unique: false });
-          msgStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
+  onVersionChange(callback) {
+    this.onVersionChangeCallback = callback;
+  }
 
-        // Settings store
-        if (!db.objectStoreNames.contains('settings')) {
-          db.createObjectStore('settings', { keyPath: 'key' });
-        }
-      };
-    });
+  // Store operations go through here so rekey can hold them off while it
+  // rewrites the stores: a read would meet records sealed under the other
+  // key, and a write would be lost under the snapshot rekey puts back
+  async run(operation) {
+    while (this.rekeying) await this.rekeying;
+    const running = operation();
+    this.inFlight.add(running);
+    try {
+      return await running;
+    } finally {
+      this.inFlight.delete(running);
+    }
   }
 
   async get(storeName, key) {
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction(storeName, 'readonly');
-      const store = tx.objectStore(storeName);
-      const request = store.get(key);
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve(request.result);
+    return this.run(async () => {
+      const record = await new Promise((resolve, reject) => {
+        const tx = this.db.transaction(storeName, 'readonly');
+        const store = tx.objectStore(storeName);
+        const request = store.get(key);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+      });
+      return this.openRecord(storeName, record);
     });
   }
 
   async getAll(storeName, indexName = null, query = null) {
-    return new Promise((resolve, reject) => {
+    return this.run(() => this.readAll(storeName, indexName, query));
+  }
+
+  // getAll without waiting on a rekey, for rekey itself
+  async readAll(storeName, indexName = null, query = null) {
+    const records = await new Promise((resolve, reject) => {
       const tx = this.db.transaction(storeName, 'readonly');
       const store = tx.objectStore(storeName);
       const source = indexName ? store.index(indexName) : store;
@@ -118,29 +154,393 @@ class NashMeshDB {
       request.onerror = () => reject(request.error);
       request.onsuccess = () => resolve(request.result);
     });
+    return Promise.all(records.map(record => this.openRecord(storeName, record)));
   }
 
-  async put(storeName, data) {
-    return new Promise((resolve, reject) => {
+  // Sealing happens before the transaction opens: a transaction with
+  // nothing pending commits as soon as code awaits anything else
+  async put(storeName, record) {
+    return this.run(async () => {
+      const data = await this.sealRecord(storeName, record);
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        const request = store.put(data);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+      });
+    });
+  }
+
+  // Up to limit records from one end of an index range, without loading
+  // the rest of it
+  async getPage(storeName, indexName, range, { direction = 'next', limit }) {
+    return this.run(async () => {
+      const records = await new Promise((resolve, reject) => {
+        const tx = this.db.transaction(storeName, 'readonly');
+        const request = tx.objectStore(storeName).index(indexName).openCursor(range, direction);
+        const records = [];
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor || records.length >= limit) {
+            resolve(records);
+            return;
+          }
+          records.push(cursor.value);
+          cursor.continue();
+        };
+      });
+      return Promise.all(records.map(record => this.openRecord(storeName, record)));
+    });
+  }
+
+  // One transaction for the lot, rather than one per record
+  async putAll(storeName, records) {
+    return this.run(async () => {
+      const sealed = await Promise.all(records.map(record => this.sealRecord(storeName, record)));
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        sealed.forEach(record => store.put(record));
+        tx.onerror = () => reject(tx.error);
+        tx.oncomplete = () => resolve();
+      });
+    });
+  }
+
+  // Deletes every record the index query matches
+  async deleteAll(storeName, indexName, query) {
+    return this.run(() => new Promise((resolve, reject) => {
       const tx = this.db.transaction(storeName, 'readwrite');
-      const store = tx.objectStore(storeName);
-      const request = store.put(data);
+      const request = tx.objectStore(storeName).index(indexName).openCursor(query);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.oncomplete = () => resolve();
+    }));
+  }
+
+  async clear(storeName) {
+    return this.run(() => new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, 'readwrite');
+      const request = tx.objectStore(storeName).clear();
       request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve(request.result);
-    });
+      request.onsuccess = () => resolve();
+    }));
   }
 
   async delete(storeName, key) {
-    return new Promise((resolve, reject) => {
+    return this.run(() => new Promise((resolve, reject) => {
       const tx = this.db.transaction(storeName, 'readwrite');
       const store = tx.objectStore(storeName);
       const request = store.delete(key);
       request.onerror = () => reject(request.error);
       request.onsuccess = () => resolve();
+    }));
+  }
+
+  // ---- At-rest encryption ----
+  // With a passphrase set, the ENCRYPTED_FIELDS of each record are stored
+  // as AES-GCM ciphertext and search tokens as HMACs. Everything else
+  // (ids, timestamps, indexed fields) stays readable so queries still work.
+
+  isEncrypted() {
+    return !!this.encryption;
+  }
+
+  isLocked() {
+    return this.isEncrypted() && !this.keys;
+  }
+
+  async unlock(passphrase) {
+    const keys = await this.deriveKeys(passphrase);
+    if (!keys) return false;
+    this.keys = keys;
+
+    // Passphrases set before locked events were kept have no inbox yet
+    if (!this.encryption.inbox) {
+      this.encryption = { ...this.encryption, inbox: await this.createInbox(keys) };
+      await this.put('settings', this.encryption);
+    }
+    return true;
+  }
+
+  lock() {
+    this.keys = null;
+  }
+
+  async checkPassphrase(passphrase) {
+    return !!(await this.deriveKeys(passphrase));
+  }
+
+  // Null if the passphrase doesn't open the stored verifier
+  async deriveKeys(passphrase) {
+    const { salt, iterations, verifier } = this.encryption;
+    const keys = await CryptoUtils.deriveStorageKeys(passphrase, salt, iterations);
+    try {
+      if (await CryptoUtils.decryptValue(keys.cipherKey, verifier) === NashMeshDB.VERIFIER) return keys;
+    } catch {
+      // AES-GCM rejects the wrong key outright
+    }
+    return null;
+  }
+
+  // Sets a first passphrase or replaces the current one
+  async setPassphrase(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iterations = NashMeshDB.PBKDF2_ITERATIONS;
+    const keys = await CryptoUtils.deriveStorageKeys(passphrase, salt, iterations);
+
+    await this.rekey(keys, {
+      key: 'encryption',
+      salt,
+      iterations,
+      verifier: await CryptoUtils.encryptValue(keys.cipherKey, NashMeshDB.VERIFIER),
+      inbox: await this.createInbox(keys),
+      createdAt: Date.now(),
     });
   }
+
+  // A key pair for radio events that arrive while locked: anything can seal
+  // to the public half, only the passphrase opens the private half
+  async createInbox(keys) {
+    const { publicKey, privateKey } = await CryptoUtils.generateSealingKeys();
+    return { publicKey, privateKey: await CryptoUtils.encryptValue(keys.cipherKey, privateKey) };
+  }
+
+  // Needs only the inbox's public half, so it works while locked. Returns
+  // the record id, or null without an inbox.
+  async saveLockedEvent(event) {
+    if (!this.encryption?.inbox) return null;
+    const sealed = await CryptoUtils.sealValue(this.encryption.inbox.publicKey, event);
+    return this.put('lockedEvents', { sealed, savedAt: Date.now() });
+  }
+
+  // Oldest first, as { id, ...event }. Ones sealed to an earlier inbox
+  // can't be opened and are dropped.
+  async getLockedEvents() {
+    const records = await this.getAll('lockedEvents');
+    if (records.length === 0) return [];
+    if (!this.keys) throw NashMeshDB.lockedError();
+
+    const privateKey = this.encryption?.inbox
+      ? await CryptoUtils.decryptValue(this.keys.cipherKey, this.encryption.inbox.privateKey)
+      : null;
+    const events = [];
+    for (const { id, sealed } of records) {
+      try {
+        events.push({ id, ...(await CryptoUtils.openSealedValue(privateKey, sealed)) });
+      } catch {
+        await this.delete('lockedEvents', id);
+      }
+    }
+    return events;
+  }
+
+  async removePassphrase() {
+    await this.rekey(null, null);
+  }
+
+  // Rewrites every sealed field under the next keys (plaintext for null)
+  // in a single transaction, so a crash part way through leaves the old
+  // passphrase working. Search tokens were keyed by the old keys, so the
+  // index is cleared for SearchIndex.build to redo. Other store operations
+  // wait until it's done, and it waits for any already running.
+  async rekey(nextKeys, nextEncryption) {
+    while (this.rekeying) await this.rekeying;
+    let finish;
+    this.rekeying = new Promise(resolve => { finish = resolve; });
+
+    try {
+      await Promise.allSettled([...this.inFlight]);
+      await this.rewriteStores(nextKeys, nextEncryption);
+    } finally {
+      this.rekeying = null;
+      finish();
+    }
+  }
+
+  async rewriteStores(nextKeys, nextEncryption) {
+    const storeNames = Object.keys(NashMeshDB.ENCRYPTED_FIELDS);
+    const records = {};
+    for (const storeName of storeNames) {
+      records[storeName] = await this.readAll(storeName);
+    }
+
+    const previous = { keys: this.keys, encryption: this.encryption };
+    this.keys = nextKeys;
+    this.encryption = nextEncryption;
+
+    try {
+      for (const storeName of storeNames) {
+        records[storeName] = await Promise.all(records[storeName].map(record => this.sealRecord(storeName, record)));
+      }
+
+      await new Promise((resolve, reject) => {
+        const tx = this.db.transaction([...storeNames, 'settings', 'searchIndex'], 'readwrite');
+        storeNames.forEach(storeName => {
+          const store = tx.objectStore(storeName);
+          records[storeName].forEach(record => store.put(record));
+        });
+
+        const settings = tx.objectStore('settings');
+        if (nextEncryption) settings.put(nextEncryption);
+        else settings.delete('encryption');
+        settings.delete('searchIndexBuilt');
+        tx.objectStore('searchIndex').clear();
+
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error);
+      });
+    } catch (error) {
+      this.keys = previous.keys;
+      this.encryption = previous.encryption;
+      throw error;
+    }
+  }
+
+  async sealRecord(storeName, record) {
+    const fields = NashMeshDB.ENCRYPTED_FIELDS[storeName];
+    if (!fields || !this.encryption) return record;
+    if (!this.keys) throw NashMeshDB.lockedError();
+
+    const sealed = { ...record };
+    for (const field of fields) {
+      if (sealed[field] != null) sealed[field] = await CryptoUtils.encryptValue(this.keys.cipherKey, sealed[field]);
+    }
+    return sealed;
+  }
+
+  async openRecord(storeName, record) {
+    const fields = NashMeshDB.ENCRYPTED_FIELDS[storeName];
+    if (!fields || !record) return record;
+
+    const sealedFields = fields.filter(field => CryptoUtils.isEncryptedValue(record[field]));
+    if (sealedFields.length === 0) return record;
+    if (!this.keys) throw NashMeshDB.lockedError();
+
+    const opened = { ...record };
+    for (const field of sealedFields) {
+      opened[field] = await CryptoUtils.decryptValue(this.keys.cipherKey, record[field]);
+    }
+    return opened;
+  }
+
+  // Search index key for a token: the token itself, or its HMAC once a
+  // passphrase is set
+  async indexKey(token) {
+    if (!this.encryption) return token;
+    if (!this.keys) throw NashMeshDB.lockedError();
+    return CryptoUtils.blindToken(this.keys.indexKey, token);
+  }
+
+  static lockedError() {
+    const error = new Error('nashme.sh is locked');
+    error.type = 'locked';
+    return error;
+  }
 }
 
+// Schema changes in version order. A database at version N runs every
+// migration above N, all inside the one upgrade transaction, so a failure
+// rolls the whole upgrade back. Migrations can rewrite records but only
+// see ENCRYPTED_FIELDS as ciphertext: there's no passphrase at upgrade time.
+NashMeshDB.MIGRATIONS = [
+  {
+    version: 1,
+    migrate(db) {
+      const contactStore = db.createObjectStore('contacts', { keyPath: 'id' });
+      contactStore.createIndex('name', 'name', { unique: false });
+
+      const convoStore = db.createObjectStore('conversations', { keyPath: 'id' });
+      convoStore.createIndex('channelIndex', 'channelIndex', { unique: false });
+      convoStore.createIndex('lastMessageAt', 'lastMessageAt', { unique: false });
+
+      const msgStore = db.createObjectStore('messages', { keyPath: 'id' });
+      msgStore.createIndex('conversationId', 'conversationId', { unique: false });
+      msgStore.createIndex('timestamp', 'timestamp', { unique: false });
+
+      db.createObjectStore('settings', { keyPath: 'key' });
+    },
+  },
+  {
+    // Look up outgoing messages by radio packet id
+    version: 2,
+    migrate(db, tx) {
+      tx.objectStore('messages').createIndex('packetId', 'packetId', { unique: false });
+    },
+  },
+  {
+    // Every node we've heard, keyed by node number
+    version: 3,
+    migrate(db) {
+      const nodeStore = db.createObjectStore('nodes', { keyPath: 'num' });
+      nodeStore.createIndex('lastHeard', 'lastHeard', { unique: false });
+    },
+  },
+  {
+    // A long message goes out as several packets, one id each
+    version: 4,
+    migrate(db, tx) {
+      tx.objectStore('messages').createIndex('packetIds', 'packetIds', { unique: false, multiEntry: true });
+    },
+  },
+  {
+    // Search tokens, one record per (token, message)
+    version: 5,
+    migrate(db) {
+      const searchStore = db.createObjectStore('searchIndex', { keyPath: ['token', 'messageId'] });
+      searchStore.createIndex('conversationId', 'conversationId', { unique: false });
+    },
+  },
+  {
+    // A conversation's messages in time order, for paging. The id breaks
+    // timestamp ties so a page boundary never skips a message.
+    version: 6,
+    migrate(db, tx) {
+      tx.objectStore('messages').createIndex('conversationTimestamp', ['conversationId', 'timestamp', 'id'], { unique: false });
+    },
+  },
+  {
+    // Messages from before chunking only have a packetId. Giving them
+    // packetIds too means acks need only the one index.
+    version: 7,
+    migrate(db, tx) {
+      const request = tx.objectStore('messages').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const message = cursor.value;
+        if (message.packetId != null && !message.packetIds) {
+          cursor.update({ ...message, packetIds: [message.packetId] });
+        }
+        cursor.continue();
+      };
+    },
+  },
+  {
+    // Radio events that arrive while locked, sealed to the passphrase's
+    // inbox key until they can be handled
+    version: 8,
+    migrate(db) {
+      db.createObjectStore('lockedEvents', { keyPath: 'id', autoIncrement: true });
+    },
+  },
+];
+
+NashMeshDB.ENCRYPTED_FIELDS = {
+  conversations: ['psk', 'displayName', 'lastMessagePreview', 'pendingKey', 'graceKey', 'keyHistory'],
+  contacts: ['name'],
+  messages: ['text', 'senderName'],
+};
+NashMeshDB.PBKDF2_ITERATIONS = 600000;
+NashMeshDB.VERIFIER = 'nashme.sh';
+
 // ============================================================================
 // Crypto Utilities
 // ============================================================================
@@ -154,14 +554,108 @@ const CryptoUtils = {
     return this.uint8ArrayToBase64(array);
   },
 
-  // Create safety number from node ID and PSK
-  async createSafetyNumber(nodeId, psk) {
-    const combined = `${nodeId}${psk}`;
-    const encoder = new TextEncoder();
-    const data = encoder.encode(combined);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString().padStart(3, '0')).join('').slice(0, 60);
+  // Signal-style safety number: each party ({ id, key }) contributes a
+  // 30-digit fingerprint, sorted before joining so both ends show the same
+  // digits whichever side computes them
+  async createSafetyNumber(parties) {
+    const fingerprints = await Promise.all(parties.map(({ id, key }) => this.createFingerprint(id, key)));
+    return fingerprints.sort().join('');
+  },
+
+  // Each 5-digit group is 5 hash bytes mod 100000: 2^40 is so much larger
+  // than 10^5 that every group is uniform to within 1e-7
+  async createFingerprint(id, key) {
+    const label = new TextEncoder().encode(`nashme.sh safety number v1|${id}|`);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', HyphaeMesh.proto.concatUint8Arrays([label, key]));
+    const hash = new Uint8Array(hashBuffer);
+
+    let digits = '';
+    for (let i = 0; i < 30; i += 5) {
+      const chunk = hash.slice(i, i + 5).reduce((value, byte) => value * 256 + byte, 0);
+      digits += String(chunk % 100000).padStart(5, '0');
+    }
+    return digits;
+  },
+
+  // PBKDF2 stretches the passphrase into 512 bits: an AES-GCM key for
+  // record fields and an HMAC key for search tokens
+  async deriveStorageKeys(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512
+    ));
+
+    return {
+      cipherKey: await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+      indexKey: await crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+    };
+  },
+
+  // Values go through JSON, so anything JSON can carry round-trips
+  async encryptValue(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv, ciphertext: new Uint8Array(ciphertext) };
+  },
+
+  async decryptValue(key, { iv, ciphertext }) {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  },
+
+  isEncryptedValue(value) {
+    return value?.iv instanceof Uint8Array && value?.ciphertext instanceof Uint8Array;
+  },
+
+  // ECDH P-256. The private key comes back as a JWK, so it can be sealed
+  // with encryptValue like any other value.
+  async generateSealingKeys() {
+    const pair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+    return {
+      publicKey: new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey)),
+      privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey),
+    };
+  },
+
+  // Seals to a public key: a fresh ECDH key per value, HKDF over the
+  // shared secret for the AES-GCM key. Uint8Arrays survive the round trip.
+  async sealValue(publicKey, value) {
+    const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+    const key = await this.deriveSealingKey(ephemeral.privateKey, publicKey, 'encrypt');
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const json = JSON.stringify(value, (name, v) => v instanceof Uint8Array ? { bytes: this.uint8ArrayToBase64(v) } : v);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(json));
+    return {
+      ephemeralKey: new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey)),
+      iv,
+      ciphertext: new Uint8Array(ciphertext),
+    };
+  },
+
+  async openSealedValue(privateKeyJwk, { ephemeralKey, iv, ciphertext }) {
+    const privateKey = await crypto.subtle.importKey('jwk', privateKeyJwk, { name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+    const key = await this.deriveSealingKey(privateKey, ephemeralKey, 'decrypt');
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    return JSON.parse(new TextDecoder().decode(plaintext), (name, v) =>
+      typeof v?.bytes === 'string' && Object.keys(v).length === 1 ? this.base64ToUint8Array(v.bytes) : v
+    );
+  },
+
+  async deriveSealingKey(privateKey, publicKeyBytes, usage) {
+    const publicKey = await crypto.subtle.importKey('raw', publicKeyBytes, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    const material = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode('nashme.sh locked event') },
+      material, { name: 'AES-GCM', length: 256 }, false, [usage]
+    );
+  },
+
+  // 128 bits of HMAC is plenty to keep tokens apart
+  async blindToken(key, token) {
+    const mac = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(token));
+    return this.uint8ArrayToBase64(new Uint8Array(mac).slice(0, 16));
   },
 
   // Format safety number for display
@@ -169,8 +663,13 @@ const CryptoUtils = {
     return num.match(/.{1,5}/g)?.join(' ') || num;
   },
 
+  // In slices: spreading a whole backup overflows the argument limit
   uint8ArrayToBase64(array) {
-    return btoa(String.fromCharCode(...array));
+    let binary = '';
+    for (let i = 0; i < array.length; i += 0x8000) {
+      binary += String.fromCharCode(...array.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
   },
 
   base64ToUint8Array(base64) {
@@ -192,709 +691,6238 @@ const CryptoUtils = {
 };
 
 // ============================================================================
-// Meshtastic Connection Manager
+// Meshtastic Protobuf Codec
+// Field numbers from https://github.com/meshtastic/protobufs (mesh.proto,
+// config.proto, module_config.proto, channel.proto, admin.proto)
 // ============================================================================
 
-class MeshtasticManager {
-  constructor() {
-    this.client = null;
-    this.connection = null;
-    this.myNodeId = null;
-    this.myNodeInfo = null;
-    this.nodes = new Map();
-    this.onMessageCallback = null;
-    this.onNodeUpdateCallback = null;
-  }
+const MeshProto = {
+  BROADCAST_NUM: 0xffffffff,
 
-  async connect(onProgress) {
-    onProgress?.(5, 'Initializing Bluetooth...');
+  PortNum: {
+    TEXT_MESSAGE_APP: 1,
+    POSITION_APP: 3,
+    NODEINFO_APP: 4,
+    ROUTING_APP: 5,
+    ADMIN_APP: 6,
+    TELEMETRY_APP: 67,
+  },
 
-    // Check if Web Bluetooth is available
-    if (!navigator.bluetooth) {
-      const error = new Error('Web Bluetooth not supported. Please use Chrome, Edge, or Opera on desktop, or Chrome on Android.');
-      error.type = 'browser_unsupported';
-      throw error;
-    }
+  ChannelRole: {
+    DISABLED: 0,
+    PRIMARY: 1,
+    SECONDARY: 2,
+  },
 
-    onProgress?.(10, 'Requesting Bluetooth device...');
+  ConfigType: {
+    DEVICE_CONFIG: 0,
+    POSITION_CONFIG: 1,
+    POWER_CONFIG: 2,
+    LORA_CONFIG: 5,
+    BLUETOOTH_CONFIG: 6,
+    SECURITY_CONFIG: 7,
+  },
 
-    try {
-      // Request Bluetooth device
-      const device = await navigator.bluetooth.requestDevice({
-        filters: [
-          { services: ['6ba1b218-15a8-461f-9fa8-5dcae273eafd'] }, // Meshtastic service UUID
-        ],
-        optionalServices: ['6ba1b218-15a8-461f-9fa8-5dcae273eafd']
-      });
+  ModuleConfigType: {
+    TELEMETRY_CONFIG: 5,
+  },
 
-      onProgress?.(20, `Connecting to ${device.name || 'Meshtastic device'}...`);
+  GpsMode: {
+    DISABLED: 0,
+    ENABLED: 1,
+    NOT_PRESENT: 2,
+  },
 
-      const server = await device.gatt.connect();
+  RoutingError: {
+    0: 'NONE',
+    1: 'NO_ROUTE',
+    2: 'GOT_NAK',
+    3: 'TIMEOUT',
+    4: 'NO_INTERFACE',
+    5: 'MAX_RETRANSMIT',
+    6: 'NO_CHANNEL',
+    7: 'TOO_LARGE',
+    8: 'NO_RESPONSE',
+    9: 'DUTY_CYCLE_LIMIT',
+    32: 'BAD_REQUEST',
+    33: 'NOT_AUTHORIZED',
+    34: 'PKI_FAILED',
+    35: 'PKI_UNKNOWN_PUBKEY',
+    36: 'ADMIN_BAD_SESSION_KEY',
+    37: 'ADMIN_PUBLIC_KEY_UNAUTHORIZED',
+  },
 
-      onProgress?.(30, 'Getting Meshtastic service...');
+  // Meshtastic node IDs are the node number as 8 lowercase hex digits
+  nodeId(num) {
+    return '!' + (num >>> 0).toString(16).padStart(8, '0');
+  },
 
-      const service = await server.getPrimaryService('6ba1b218-15a8-461f-9fa8-5dcae273eafd');
+  nodeNum(id) {
+    return parseInt(String(id).replace(/^!/, ''), 16) >>> 0;
+  },
 
-      onProgress?.(40, 'Setting up communication...');
+  // --------------------------------------------------------------------------
+  // Field access helpers (singular fields: last value on the wire wins)
+  // --------------------------------------------------------------------------
 
-      // Store connection info
-      this.connection = {
-        device,
-        server,
-        service,
-      };
+  fields(bytes) {
+    const map = new Map();
+    for (const { fieldNumber, value } of HyphaeMesh.proto.decodeFields(bytes)) {
+      if (!map.has(fieldNumber)) map.set(fieldNumber, []);
+      map.get(fieldNumber).push(value);
+    }
+    return map;
+  },
 
-      // Get characteristics
-      const toRadioChar = await service.getCharacteristic('f75c76d2-129e-4dad-a1dd-7866124401e7');
-      const fromRadioChar = await service.getCharacteristic('2c55e69e-4993-11ed-b878-0242ac120002');
-      const fromNumChar = await service.getCharacteristic('ed9da18c-a800-4f66-a670-aa7547e34453');
+  last(f, n) {
+    const values = f.get(n);
+    return values ? values[values.length - 1] : undefined;
+  },
 
-      this.connection.toRadio = toRadioChar;
-      this.connection.fromRadio = fromRadioChar;
-      this.connection.fromNum = fromNumChar;
+  uint(f, n) {
+    return this.last(f, n) ?? 0;
+  },
 
-      // Subscribe to notifications
-      await fromRadioChar.startNotifications();
-      fromRadioChar.addEventListener('characteristicvaluechanged', (event) => {
-        this.handleFromRadio(event.target.value);
-      });
+  bool(f, n) {
+    return !!this.last(f, n);
+  },
 
-      onProgress?.(50, 'Getting device info...');
+  // sfixed32 arrives as uint32 from decodeFields
+  sfixed(f, n) {
+    return this.uint(f, n) | 0;
+  },
 
-      // Request config
-      await this.requestConfig();
+  float(f, n) {
+    const value = this.last(f, n);
+    return value === undefined ? 0 : HyphaeMesh.proto.fixed32ToFloat(value);
+  },
 
-      onProgress?.(60, 'Connected successfully!');
+  string(f, n) {
+    const value = this.last(f, n);
+    return value === undefined ? '' : HyphaeMesh.proto.decodeString(value);
+  },
 
-      return true;
-    } catch (error) {
-      console.error('Connection error:', error);
-      // Classify the error type for better user guidance
-      error.type = this.classifyError(error);
-      throw error;
-    }
-  }
+  // Copy so stored records don't pin the whole radio buffer
+  bytes(f, n) {
+    const value = this.last(f, n);
+    return value === undefined ? null : value.slice();
+  },
 
-  classifyError(error) {
-    const message = error.message?.toLowerCase() || '';
+  message(f, n, decoder) {
+    const value = this.last(f, n);
+    return value === undefined ? null : decoder.call(this, value);
+  },
 
-    // Web Bluetooth API disabled or blocked
-    if (message.includes('globally disabled') ||
-        message.includes('bluetooth api') ||
-        message.includes('permission denied') ||
-        message.includes('not allowed')) {
-      return 'bluetooth_disabled';
-    }
+  packed(f, n) {
+    return (f.get(n) || []).flatMap(value =>
+      value instanceof Uint8Array ? HyphaeMesh.proto.decodePackedVarints(value) : [value]
+    );
+  },
 
-    // User cancelled the device picker
-    if (message.includes('user cancelled') ||
-        message.includes('user canceled') ||
-        message.includes('user denied')) {
-      return 'user_cancelled';
-    }
+  // Flat config messages as [field number, type, property] so the same
+  // table drives both directions of the codec
+  schema: {
+    deviceConfig: [
+      [1, 'uint', 'role'],
+      [2, 'bool', 'serialEnabled'],
+      [4, 'uint', 'buttonGpio'],
+      [5, 'uint', 'buzzerGpio'],
+      [6, 'uint', 'rebroadcastMode'],
+      [7, 'uint', 'nodeInfoBroadcastSecs'],
+      [8, 'bool', 'doubleTapAsButtonPress'],
+      [9, 'bool', 'isManaged'],
+      [10, 'bool', 'disableTripleClick'],
+      [11, 'string', 'tzdef'],
+      [12, 'bool', 'ledHeartbeatDisabled'],
+    ],
+    positionConfig: [
+      [1, 'uint', 'positionBroadcastSecs'],
+      [2, 'bool', 'positionBroadcastSmartEnabled'],
+      [3, 'bool', 'fixedPosition'],
+      [4, 'bool', 'gpsEnabled'],
+      [5, 'uint', 'gpsUpdateInterval'],
+      [6, 'uint', 'gpsAttemptTime'],
+      [7, 'uint', 'positionFlags'],
+      [8, 'uint', 'rxGpio'],
+      [9, 'uint', 'txGpio'],
+      [10, 'uint', 'broadcastSmartMinimumDistance'],
+      [11, 'uint', 'broadcastSmartMinimumIntervalSecs'],
+      [12, 'uint', 'gpsEnGpio'],
+      [13, 'uint', 'gpsMode'],
+    ],
+    powerConfig: [
+      [1, 'bool', 'isPowerSaving'],
+      [2, 'uint', 'onBatteryShutdownAfterSecs'],
+      [3, 'float', 'adcMultiplierOverride'],
+      [4, 'uint', 'waitBluetoothSecs'],
+      [6, 'uint', 'sdsSecs'],
+      [7, 'uint', 'lsSecs'],
+      [8, 'uint', 'minWakeSecs'],
+      [9, 'uint', 'deviceBatteryInaAddress'],
+    ],
+    loraConfig: [
+      [1, 'bool', 'usePreset'],
+      [2, 'uint', 'modemPreset'],
+      [3, 'uint', 'bandwidth'],
+      [4, 'uint', 'spreadFactor'],
+      [5, 'uint', 'codingRate'],
+      [6, 'float', 'frequencyOffset'],
+      [7, 'uint', 'region'],
+      [8, 'uint', 'hopLimit'],
+      [9, 'bool', 'txEnabled'],
+      [10, 'uint', 'txPower'],
+      [11, 'uint', 'channelNum'],
+      [12, 'bool', 'overrideDutyCycle'],
+      [13, 'bool', 'sx126xRxBoostedGain'],
+      [14, 'float', 'overrideFrequency'],
+      [15, 'bool', 'paFanDisabled'],
+      [103, 'packed', 'ignoreIncoming'],
+      [104, 'bool', 'ignoreMqtt'],
+      [105, 'bool', 'configOkToMqtt'],
+    ],
+    bluetoothConfig: [
+      [1, 'bool', 'enabled'],
+      [2, 'uint', 'mode'],
+      [3, 'uint', 'fixedPin'],
+    ],
+    telemetryConfig: [
+      [1, 'uint', 'deviceUpdateInterval'],
+      [2, 'uint', 'environmentUpdateInterval'],
+      [3, 'bool', 'environmentMeasurementEnabled'],
+      [4, 'bool', 'environmentScreenEnabled'],
+      [5, 'bool', 'environmentDisplayFahrenheit'],
+      [6, 'bool', 'airQualityEnabled'],
+      [7, 'uint', 'airQualityInterval'],
+      [8, 'bool', 'powerMeasurementEnabled'],
+      [9, 'uint', 'powerUpdateInterval'],
+      [10, 'bool', 'powerScreenEnabled'],
+    ],
+  },
 
-    // No devices found
-    if (message.includes('no device') ||
-        message.includes('device not found')) {
-      return 'no_device';
+  decodeScalars(bytes, schema) {
+    const f = this.fields(bytes);
+    const object = {};
+    for (const [n, type, key] of schema) {
+      object[key] = type === 'packed' ? this.packed(f, n) : this[type](f, n);
     }
+    return object;
+  },
 
-    // Connection lost or failed
-    if (message.includes('disconnected') ||
-        message.includes('connection failed') ||
-        message.includes('gatt')) {
-      return 'connection_lost';
+  // proto3: default values are simply left off the wire
+  encodeScalars(object, schema) {
+    const pb = HyphaeMesh.proto;
+    const parts = [];
+
+    for (const [n, type, key] of schema) {
+      const value = object?.[key];
+      if (!value || (value.length === 0)) continue;
+
+      if (type === 'uint') parts.push(pb.encodeUint32(n, value));
+      else if (type === 'bool') parts.push(pb.encodeBool(n, value));
+      else if (type === 'float') parts.push(pb.encodeFloat(n, value));
+      else if (type === 'string') parts.push(pb.encodeString(n, value));
+      else if (type === 'bytes') parts.push(pb.encodeBytes(n, value));
+      else if (type === 'packed') {
+        parts.push(pb.encodeBytes(n, pb.concatUint8Arrays(value.map(v => pb.encodeVarint(v)))));
+      }
     }
 
-    // Default to device-related error
-    return 'device';
-  }
+    return pb.concatUint8Arrays(parts);
+  },
 
-  async requestConfig() {
-    // This would send the appropriate protobuf messages
-    // For now, we'll simulate getting node info
-    // In a real implementation, this would use the Meshtastic protobuf protocol
+  // --------------------------------------------------------------------------
+  // FromRadio
+  // --------------------------------------------------------------------------
+
+  decodeFromRadio(bytes) {
+    const f = this.fields(bytes);
+    const fromRadio = { id: this.uint(f, 1) };
+
+    if (f.has(2)) fromRadio.packet = this.message(f, 2, this.decodeMeshPacket);
+    if (f.has(3)) fromRadio.myInfo = this.message(f, 3, this.decodeMyNodeInfo);
+    if (f.has(4)) fromRadio.nodeInfo = this.message(f, 4, this.decodeNodeInfo);
+    if (f.has(5)) fromRadio.config = this.message(f, 5, this.decodeConfig);
+    if (f.has(7)) fromRadio.configCompleteId = this.uint(f, 7);
+    if (f.has(8)) fromRadio.rebooted = this.bool(f, 8);
+    if (f.has(9)) fromRadio.moduleConfig = this.message(f, 9, this.decodeModuleConfig);
+    if (f.has(10)) fromRadio.channel = this.message(f, 10, this.decodeChannel);
+    if (f.has(11)) fromRadio.queueStatus = this.message(f, 11, this.decodeQueueStatus);
+    if (f.has(13)) fromRadio.metadata = this.message(f, 13, this.decodeDeviceMetadata);
+
+    return fromRadio;
+  },
 
-    // Simulated node info for demo purposes
-    this.myNodeId = '!' + Math.random().toString(16).slice(2, 10).toUpperCase();
-    this.myNodeInfo = {
-      myNodeNum: parseInt(this.myNodeId.slice(1), 16),
-      user: {
-        longName: localStorage.getItem('nashme_longName') || '',
-        shortName: localStorage.getItem('nashme_shortName') || '',
-      }
+  decodeMeshPacket(bytes) {
+    const f = this.fields(bytes);
+    return {
+      from: this.uint(f, 1),
+      to: this.uint(f, 2),
+      channel: this.uint(f, 3),
+      decoded: this.message(f, 4, this.decodeData),
+      encrypted: this.bytes(f, 5),
+      id: this.uint(f, 6),
+      rxTime: this.uint(f, 7),
+      rxSnr: this.float(f, 8),
+      hopLimit: this.uint(f, 9),
+      wantAck: this.bool(f, 10),
+      priority: this.uint(f, 11),
+      rxRssi: this.uint(f, 12),
+      viaMqtt: this.bool(f, 14),
+      hopStart: this.uint(f, 15),
+      publicKey: this.bytes(f, 16),
+      pkiEncrypted: this.bool(f, 17),
     };
-  }
+  },
 
-  handleFromRadio(dataView) {
-    // Parse protobuf message from device
-    // This is a simplified handler
-    try {
-      // In real implementation, decode protobuf
-      console.log('Received from radio:', dataView);
-    } catch (error) {
-      console.error('Error handling fromRadio:', error);
-    }
-  }
+  decodeData(bytes) {
+    const f = this.fields(bytes);
+    return {
+      portnum: this.uint(f, 1),
+      payload: this.bytes(f, 2) || new Uint8Array(0),
+      wantResponse: this.bool(f, 3),
+      dest: this.uint(f, 4),
+      source: this.uint(f, 5),
+      requestId: this.uint(f, 6),
+      replyId: this.uint(f, 7),
+      emoji: this.uint(f, 8),
+      bitfield: this.uint(f, 9),
+    };
+  },
 
-  async applyConfig(config, onProgress) {
-    const steps = [
-      { name: 'region', message: 'Configuring network region...', progress: 15 },
-      { name: 'radio', message: 'Setting radio parameters...', progress: 30 },
-      { name: 'channel', message: 'Configuring nashme.sh channel...', progress: 45 },
-      { name: 'battery', message: 'Optimizing battery settings...', progress: 60 },
-      { name: 'position', message: 'Setting position parameters...', progress: 75 },
-      { name: 'role', message: 'Configuring device role...', progress: 85 },
-      { name: 'verify', message: 'Verifying configuration...', progress: 95 },
-    ];
+  decodeMyNodeInfo(bytes) {
+    const f = this.fields(bytes);
+    return {
+      myNodeNum: this.uint(f, 1),
+      rebootCount: this.uint(f, 8),
+      minAppVersion: this.uint(f, 11),
+      deviceId: this.bytes(f, 12),
+      pioEnv: this.string(f, 13),
+    };
+  },
 
-    for (const step of steps) {
-      onProgress?.(step.progress, step.message, step.name);
+  decodeNodeInfo(bytes) {
+    const f = this.fields(bytes);
+    return {
+      num: this.uint(f, 1),
+      user: this.message(f, 2, this.decodeUser),
+      position: this.message(f, 3, this.decodePosition),
+      snr: this.float(f, 4),
+      lastHeard: this.uint(f, 5),
+      deviceMetrics: this.message(f, 6, this.decodeDeviceMetrics),
+      channel: this.uint(f, 7),
+      viaMqtt: this.bool(f, 8),
+      hopsAway: f.has(9) ? this.uint(f, 9) : null,
+      isFavorite: this.bool(f, 10),
+    };
+  },
 
-      // Simulate config application delay
-      await this.sleep(800);
+  decodeUser(bytes) {
+    const f = this.fields(bytes);
+    return {
+      id: this.string(f, 1),
+      longName: this.string(f, 2),
+      shortName: this.string(f, 3),
+      hwModel: this.uint(f, 5),
+      isLicensed: this.bool(f, 6),
+      role: this.uint(f, 7),
+      publicKey: this.bytes(f, 8),
+    };
+  },
 
-      // In real implementation, send protobuf config messages
-      // await this.sendConfig(step.name, config);
-    }
+  decodePosition(bytes) {
+    const f = this.fields(bytes);
+    return {
+      latitude: f.has(1) ? this.sfixed(f, 1) * 1e-7 : null,
+      longitude: f.has(2) ? this.sfixed(f, 2) * 1e-7 : null,
+      altitude: this.uint(f, 3),
+      time: this.uint(f, 4),
+    };
+  },
 
-    onProgress?.(100, 'Configuration complete!', 'done');
-  }
+  decodeDeviceMetrics(bytes) {
+    const f = this.fields(bytes);
+    return {
+      batteryLevel: this.uint(f, 1),
+      voltage: this.float(f, 2),
+      channelUtilization: this.float(f, 3),
+      airUtilTx: this.float(f, 4),
+      uptimeSeconds: this.uint(f, 5),
+    };
+  },
 
-  async setOwner(longName, shortName) {
-    // Store locally
-    localStorage.setItem('nashme_longName', longName);
-    localStorage.setItem('nashme_shortName', shortName);
+  decodeChannel(bytes) {
+    const f = this.fields(bytes);
+    return {
+      index: this.uint(f, 1),
+      settings: this.message(f, 2, this.decodeChannelSettings),
+      role: this.uint(f, 3),
+    };
+  },
 
-    if (this.myNodeInfo) {
-      this.myNodeInfo.user.longName = longName;
-      this.myNodeInfo.user.shortName = shortName;
-    }
+  decodeChannelSettings(bytes) {
+    const f = this.fields(bytes);
+    return {
+      channelNum: this.uint(f, 1),
+      psk: this.bytes(f, 2) || new Uint8Array(0),
+      name: this.string(f, 3),
+      id: this.uint(f, 4),
+      uplinkEnabled: this.bool(f, 5),
+      downlinkEnabled: this.bool(f, 6),
+      moduleSettings: this.message(f, 7, this.decodeModuleSettings),
+    };
+  },
 
-    // In real implementation, send to device via protobuf
-  }
+  decodeModuleSettings(bytes) {
+    const f = this.fields(bytes);
+    return {
+      positionPrecision: this.uint(f, 1),
+      isClientMuted: this.bool(f, 2),
+    };
+  },
 
-  async sendMessage(text, channelIndex = 0) {
-    // In real implementation, encode and send via Bluetooth
-    console.log(`Sending message on channel ${channelIndex}: ${text}`);
+  decodeQueueStatus(bytes) {
+    const f = this.fields(bytes);
+    return {
+      res: this.uint(f, 1),
+      free: this.uint(f, 2),
+      maxlen: this.uint(f, 3),
+      meshPacketId: this.uint(f, 4),
+    };
+  },
 
-    // Simulate send
+  decodeDeviceMetadata(bytes) {
+    const f = this.fields(bytes);
     return {
-      id: CryptoUtils.generateUUID(),
-      text,
-      timestamp: Date.now(),
-      channelIndex,
+      firmwareVersion: this.string(f, 1),
+      deviceStateVersion: this.uint(f, 2),
+      canShutdown: this.bool(f, 3),
+      hasWifi: this.bool(f, 4),
+      hasBluetooth: this.bool(f, 5),
+      hasEthernet: this.bool(f, 6),
+      role: this.uint(f, 7),
+      positionFlags: this.uint(f, 8),
+      hwModel: this.uint(f, 9),
+      hasRemoteHardware: this.bool(f, 10),
+      hasPKC: this.bool(f, 11),
     };
-  }
+  },
 
-  onMessage(callback) {
-    this.onMessageCallback = callback;
-  }
+  // --------------------------------------------------------------------------
+  // Config / ModuleConfig (oneof: returned keyed by variant name)
+  // --------------------------------------------------------------------------
 
-  onNodeUpdate(callback) {
-    this.onNodeUpdateCallback = callback;
-  }
+  decodeConfig(bytes) {
+    const f = this.fields(bytes);
+    const config = {};
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+    if (f.has(1)) config.device = this.message(f, 1, this.decodeDeviceConfig);
+    if (f.has(2)) config.position = this.message(f, 2, this.decodePositionConfig);
+    if (f.has(3)) config.power = this.message(f, 3, this.decodePowerConfig);
+    if (f.has(4)) config.network = {};
+    if (f.has(5)) config.display = {};
+    if (f.has(6)) config.lora = this.message(f, 6, this.decodeLoRaConfig);
+    if (f.has(7)) config.bluetooth = this.message(f, 7, this.decodeBluetoothConfig);
+    if (f.has(8)) config.security = this.message(f, 8, this.decodeSecurityConfig);
 
-  disconnect() {
-    if (this.connection?.device?.gatt?.connected) {
-      this.connection.device.gatt.disconnect();
-    }
-    this.connection = null;
-  }
-}
+    return config;
+  },
 
-// ============================================================================
-// Conversation Manager
-// ============================================================================
+  decodeDeviceConfig(bytes) {
+    return this.decodeScalars(bytes, this.schema.deviceConfig);
+  },
 
-class ConversationManager {
-  constructor(db, meshtastic) {
-    this.db = db;
-    this.meshtastic = meshtastic;
-  }
+  decodePositionConfig(bytes) {
+    return this.decodeScalars(bytes, this.schema.positionConfig);
+  },
 
-  async createDM(contact) {
-    const conversations = await this.db.getAll('conversations');
-    const usedChannels = conversations.map(c => c.channelIndex);
-    const availableChannel = [1, 2, 3, 4, 5, 6, 7].find(i => !usedChannels.includes(i));
+  decodePowerConfig(bytes) {
+    return this.decodeScalars(bytes, this.schema.powerConfig);
+  },
 
-    if (!availableChannel) {
-      throw new Error('Maximum conversations reached (7)');
-    }
+  decodeLoRaConfig(bytes) {
+    return this.decodeScalars(bytes, this.schema.loraConfig);
+  },
 
-    const psk = CryptoUtils.generatePSK(256);
-    const conversation = {
-      id: CryptoUtils.generateUUID(),
-      channelIndex: availableChannel,
-      channelName: `dm_${contact.id.slice(-8)}`,
-      psk,
-      type: 'dm',
-      participants: [this.meshtastic.myNodeId, contact.id],
-      displayName: contact.name,
-      createdAt: Date.now(),
-      lastMessageAt: null,
-      pinned: false,
-      muted: false,
-      archived: false,
-      unreadCount: 0,
+  decodeBluetoothConfig(bytes) {
+    return this.decodeScalars(bytes, this.schema.bluetoothConfig);
+  },
+
+  // The private key (field 2) is deliberately never decoded
+  decodeSecurityConfig(bytes) {
+    const f = this.fields(bytes);
+    return {
+      publicKey: this.bytes(f, 1),
+      adminKey: (f.get(3) || []).map(key => key.slice()),
+      isManaged: this.bool(f, 4),
+      serialEnabled: this.bool(f, 5),
+      debugLogApiEnabled: this.bool(f, 6),
+      adminChannelEnabled: this.bool(f, 8),
     };
+  },
 
-    await this.db.put('conversations', conversation);
-    await this.db.put('contacts', contact);
+  decodeModuleConfig(bytes) {
+    const f = this.fields(bytes);
+    const moduleConfig = {};
 
-    return conversation;
-  }
+    if (f.has(6)) moduleConfig.telemetry = this.message(f, 6, this.decodeTelemetryConfig);
 
-  async createGroup(name, participants) {
-    const conversations = await this.db.getAll('conversations');
-    const usedChannels = conversations.map(c => c.channelIndex);
-    const availableChannel = [1, 2, 3, 4, 5, 6, 7].find(i => !usedChannels.includes(i));
+    return moduleConfig;
+  },
 
-    if (!availableChannel) {
-      throw new Error('Maximum conversations reached (7)');
-    }
+  decodeTelemetryConfig(bytes) {
+    return this.decodeScalars(bytes, this.schema.telemetryConfig);
+  },
 
-    const psk = CryptoUtils.generatePSK(256);
-    const conversation = {
-      id: CryptoUtils.generateUUID(),
-      channelIndex: availableChannel,
-      channelName: `grp_${CryptoUtils.generateUUID().slice(0, 8)}`,
-      psk,
-      type: 'group',
-      participants: [this.meshtastic.myNodeId, ...participants.map(p => p.id)],
-      displayName: name,
-      createdAt: Date.now(),
-      lastMessageAt: null,
-      pinned: false,
-      muted: false,
-      archived: false,
-      unreadCount: 0,
-    };
+  // --------------------------------------------------------------------------
+  // ToRadio
+  // --------------------------------------------------------------------------
 
-    await this.db.put('conversations', conversation);
+  encodeToRadio(toRadio) {
+    const pb = HyphaeMesh.proto;
+    const parts = [];
 
-    return conversation;
-  }
+    // field 1: packet (MeshPacket)
+    if (toRadio.packet) {
+      parts.push(pb.encodeBytes(1, this.encodeMeshPacket(toRadio.packet)));
+    }
 
-  async getConversations() {
-    const conversations = await this.db.getAll('conversations');
-    return conversations.sort((a, b) => (b.lastMessageAt || 0) - (a.lastMessageAt || 0));
-  }
+    // field 3: want_config_id (uint32)
+    if (toRadio.wantConfigId !== undefined) {
+      parts.push(pb.encodeUint32(3, toRadio.wantConfigId));
+    }
 
-  async getMessages(conversationId) {
-    const messages = await this.db.getAll('messages', 'conversationId', IDBKeyRange.only(conversationId));
-    return messages.sort((a, b) => a.timestamp - b.timestamp);
-  }
+    // field 4: disconnect (bool)
+    if (toRadio.disconnect) {
+      parts.push(pb.encodeBool(4, true));
+    }
 
-  async sendMessage(conversationId, text) {
-    const conversation = await this.db.get('conversations', conversationId);
-    if (!conversation) throw new Error('Conversation not found');
+    return pb.concatUint8Arrays(parts);
+  },
 
-    const message = {
-      id: CryptoUtils.generateUUID(),
-      conversationId,
-      fromNodeId: this.meshtastic.myNodeId,
-      text,
-      timestamp: Date.now(),
-      read: true,
-      encrypted: true,
-      channel: conversation.channelIndex,
-      status: 'sent',
-    };
+  // hop_limit is left unset so the radio applies its configured limit
+  encodeMeshPacket(packet) {
+    const pb = HyphaeMesh.proto;
+    const parts = [];
+
+    if (packet.from) parts.push(pb.encodeFixed32(1, packet.from));
+    parts.push(pb.encodeFixed32(2, packet.to ?? this.BROADCAST_NUM));
+    if (packet.channel) parts.push(pb.encodeUint32(3, packet.channel));
+    if (packet.decoded) parts.push(pb.encodeBytes(4, this.encodeData(packet.decoded)));
+    parts.push(pb.encodeFixed32(6, packet.id));
+    if (packet.rxTime) parts.push(pb.encodeFixed32(7, packet.rxTime));
+    if (packet.rxSnr) parts.push(pb.encodeFloat(8, packet.rxSnr));
+    if (packet.hopLimit) parts.push(pb.encodeUint32(9, packet.hopLimit));
+    if (packet.wantAck) parts.push(pb.encodeBool(10, true));
+    if (packet.priority) parts.push(pb.encodeUint32(11, packet.priority));
+    if (packet.rxRssi) parts.push(pb.encodeUint32(12, packet.rxRssi));
+    if (packet.viaMqtt) parts.push(pb.encodeBool(14, true));
+    if (packet.hopStart) parts.push(pb.encodeUint32(15, packet.hopStart));
+    if (packet.publicKey) parts.push(pb.encodeBytes(16, packet.publicKey));
+    if (packet.pkiEncrypted) parts.push(pb.encodeBool(17, true));
+
+    return pb.concatUint8Arrays(parts);
+  },
 
-    await this.meshtastic.sendMessage(text, conversation.channelIndex);
-    await this.db.put('messages', message);
+  encodeData(data) {
+    const pb = HyphaeMesh.proto;
+    const parts = [pb.encodeUint32(1, data.portnum)];
 
-    await this.db.put('conversations', {
-      ...conversation,
-      lastMessageAt: Date.now(),
-    });
+    if (data.payload?.length) parts.push(pb.encodeBytes(2, data.payload));
+    if (data.wantResponse) parts.push(pb.encodeBool(3, true));
+    if (data.dest) parts.push(pb.encodeFixed32(4, data.dest));
+    if (data.source) parts.push(pb.encodeFixed32(5, data.source));
+    if (data.requestId) parts.push(pb.encodeFixed32(6, data.requestId));
+    if (data.replyId) parts.push(pb.encodeFixed32(7, data.replyId));
+    if (data.emoji) parts.push(pb.encodeFixed32(8, data.emoji));
 
-    return message;
-  }
+    return pb.concatUint8Arrays(parts);
+  },
 
-  async markAsRead(conversationId) {
-    const conversation = await this.db.get('conversations', conversationId);
-    if (conversation) {
-      await this.db.put('conversations', {
-        ...conversation,
-        unreadCount: 0,
-      });
+  encodeConfig(config) {
+    const pb = HyphaeMesh.proto;
+    const variants = [
+      [1, 'device', this.schema.deviceConfig],
+      [2, 'position', this.schema.positionConfig],
+      [3, 'power', this.schema.powerConfig],
+      [6, 'lora', this.schema.loraConfig],
+      [7, 'bluetooth', this.schema.bluetoothConfig],
+    ];
+
+    for (const [n, key, schema] of variants) {
+      if (config[key]) return pb.encodeBytes(n, this.encodeScalars(config[key], schema));
     }
-  }
 
-  generateInviteUrl(conversation) {
-    const data = {
-      n: conversation.channelName,
-      p: conversation.psk,
-    };
-    return `https://nashme.sh/#invite=${btoa(JSON.stringify(data))}`;
-  }
-}
+    // field 8: security (SecurityConfig) - never carries a private key
+    if (config.security) {
+      const security = config.security;
+      const parts = [];
+      if (security.publicKey?.length) parts.push(pb.encodeBytes(1, security.publicKey));
+      (security.adminKey || []).forEach(key => parts.push(pb.encodeBytes(3, key)));
+      if (security.isManaged) parts.push(pb.encodeBool(4, true));
+      if (security.serialEnabled) parts.push(pb.encodeBool(5, true));
+      if (security.debugLogApiEnabled) parts.push(pb.encodeBool(6, true));
+      if (security.adminChannelEnabled) parts.push(pb.encodeBool(8, true));
+      return pb.encodeBytes(8, pb.concatUint8Arrays(parts));
+    }
 
-// ============================================================================
-// UI Manager
-// ============================================================================
+    throw new Error(`Unsupported config variant: ${Object.keys(config).join(', ')}`);
+  },
 
-class UIManager {
-  constructor() {
-    this.app = document.getElementById('app');
-    this.currentScreen = null;
-    this.selectedConversation = null;
-  }
+  encodeModuleConfig(moduleConfig) {
+    const pb = HyphaeMesh.proto;
 
-  showScreen(templateId) {
-    const template = document.getElementById(templateId);
-    if (!template) {
-      console.error(`Template not found: ${templateId}`);
-      return null;
+    // field 6: telemetry (TelemetryConfig)
+    if (moduleConfig.telemetry) {
+      return pb.encodeBytes(6, this.encodeScalars(moduleConfig.telemetry, this.schema.telemetryConfig));
     }
+    throw new Error(`Unsupported module config: ${Object.keys(moduleConfig).join(', ')}`);
+  },
 
-    const content = template.content.cloneNode(true);
-    this.app.innerHTML = '';
-    this.app.appendChild(content);
-    this.currentScreen = templateId;
-
-    return this.app.querySelector('.screen');
-  }
-
-  showOnboarding(onConnect) {
-    this.showScreen('onboarding-template');
+  encodeUser(user) {
+    const pb = HyphaeMesh.proto;
+    const parts = [];
 
-    const connectBtn = document.getElementById('connect-btn');
-    connectBtn?.addEventListener('click', onConnect);
-  }
+    if (user.id) parts.push(pb.encodeString(1, user.id));
+    if (user.longName) parts.push(pb.encodeString(2, user.longName));
+    if (user.shortName) parts.push(pb.encodeString(3, user.shortName));
+    if (user.hwModel) parts.push(pb.encodeUint32(5, user.hwModel));
+    if (user.isLicensed) parts.push(pb.encodeBool(6, true));
+    if (user.role) parts.push(pb.encodeUint32(7, user.role));
+    if (user.publicKey?.length) parts.push(pb.encodeBytes(8, user.publicKey));
 
-  showConnecting() {
-    this.showScreen('connecting-template');
-  }
+    return pb.concatUint8Arrays(parts);
+  },
 
-  updateProgress(percent, message, step) {
-    const progressFill = document.getElementById('progress-fill');
-    const progressText = document.getElementById('progress-text');
-    const connectStatus = document.getElementById('connect-status');
-    const connectTitle = document.getElementById('connect-title');
+  encodeChannel(channel) {
+    const pb = HyphaeMesh.proto;
+    const parts = [];
 
-    if (progressFill) progressFill.style.width = `${percent}%`;
-    if (progressText) progressText.textContent = `${Math.round(percent)}%`;
-    if (connectStatus) connectStatus.textContent = message;
+    if (channel.index) parts.push(pb.encodeUint32(1, channel.index));
+    if (channel.settings) parts.push(pb.encodeBytes(2, this.encodeChannelSettings(channel.settings)));
+    if (channel.role) parts.push(pb.encodeUint32(3, channel.role));
 
-    // Update step indicators
-    if (step) {
-      const steps = document.querySelectorAll('#config-steps li');
-      steps.forEach(li => {
-        const liStep = li.dataset.step;
-        if (liStep === step) {
-          li.classList.add('active');
-          li.classList.remove('done');
-        } else if (this.isStepBefore(liStep, step)) {
-          li.classList.add('done');
-          li.classList.remove('active');
-        }
-      });
+    return pb.concatUint8Arrays(parts);
+  },
 
-      if (step === 'done') {
-        steps.forEach(li => {
-          li.classList.add('done');
-          li.classList.remove('active');
-        });
-        if (connectTitle) connectTitle.textContent = 'Setup Complete!';
+  encodeChannelSettings(settings) {
+    const pb = HyphaeMesh.proto;
+    const parts = [];
+
+    if (settings.channelNum) parts.push(pb.encodeUint32(1, settings.channelNum));
+    if (settings.psk?.length) parts.push(pb.encodeBytes(2, settings.psk));
+    if (settings.name) parts.push(pb.encodeString(3, settings.name));
+    if (settings.id) parts.push(pb.encodeFixed32(4, settings.id));
+    if (settings.uplinkEnabled) parts.push(pb.encodeBool(5, true));
+    if (settings.downlinkEnabled) parts.push(pb.encodeBool(6, true));
+    if (settings.moduleSettings) {
+      const moduleParts = [];
+      if (settings.moduleSettings.positionPrecision) {
+        moduleParts.push(pb.encodeUint32(1, settings.moduleSettings.positionPrecision));
       }
+      if (settings.moduleSettings.isClientMuted) moduleParts.push(pb.encodeBool(2, true));
+      parts.push(pb.encodeBytes(7, pb.concatUint8Arrays(moduleParts)));
     }
-  }
-
-  isStepBefore(step, currentStep) {
-    const order = ['region', 'radio', 'channel', 'battery', 'position', 'role', 'verify', 'done'];
-    return order.indexOf(step) < order.indexOf(currentStep);
-  }
 
-  showUserSetup(onSave, onSkip) {
-    this.showScreen('user-setup-template');
+    return pb.concatUint8Arrays(parts);
+  },
 
-    const longNameInput = document.getElementById('long-name');
-    const shortNameInput = document.getElementById('short-name');
-    const saveBtn = document.getElementById('save-user-btn');
-    const skipBtn = document.getElementById('skip-user-btn');
+  // --------------------------------------------------------------------------
+  // AdminMessage (oneof payload_variant + session_passkey)
+  // --------------------------------------------------------------------------
+
+  encodeAdminMessage(admin) {
+    const pb = HyphaeMesh.proto;
+    const parts = [];
+
+    // get_channel_request is the channel index + 1 (0 means "unset")
+    if (admin.getChannelRequest !== undefined) parts.push(pb.encodeUint32(1, admin.getChannelRequest + 1));
+    if (admin.getChannelResponse) parts.push(pb.encodeBytes(2, this.encodeChannel(admin.getChannelResponse)));
+    if (admin.getOwnerRequest) parts.push(pb.encodeBool(3, true));
+    if (admin.getOwnerResponse) parts.push(pb.encodeBytes(4, this.encodeUser(admin.getOwnerResponse)));
+    if (admin.getConfigRequest !== undefined) parts.push(pb.encodeUint32(5, admin.getConfigRequest));
+    if (admin.getConfigResponse) parts.push(pb.encodeBytes(6, this.encodeConfig(admin.getConfigResponse)));
+    if (admin.getModuleConfigRequest !== undefined) parts.push(pb.encodeUint32(7, admin.getModuleConfigRequest));
+    if (admin.getModuleConfigResponse) parts.push(pb.encodeBytes(8, this.encodeModuleConfig(admin.getModuleConfigResponse)));
+    if (admin.setOwner) parts.push(pb.encodeBytes(32, this.encodeUser(admin.setOwner)));
+    if (admin.setChannel) parts.push(pb.encodeBytes(33, this.encodeChannel(admin.setChannel)));
+    if (admin.setConfig) parts.push(pb.encodeBytes(34, this.encodeConfig(admin.setConfig)));
+    if (admin.setModuleConfig) parts.push(pb.encodeBytes(35, this.encodeModuleConfig(admin.setModuleConfig)));
+    if (admin.beginEditSettings) parts.push(pb.encodeBool(64, true));
+    if (admin.commitEditSettings) parts.push(pb.encodeBool(65, true));
+    if (admin.sessionPasskey?.length) parts.push(pb.encodeBytes(101, admin.sessionPasskey));
+
+    return pb.concatUint8Arrays(parts);
+  },
 
-    // Auto-generate short name
-    longNameInput?.addEventListener('input', () => {
-      if (!shortNameInput.dataset.manual) {
-        shortNameInput.value = longNameInput.value.slice(0, 4).toUpperCase();
-      }
-    });
+  decodeAdminMessage(bytes) {
+    const f = this.fields(bytes);
+    const admin = {};
+
+    if (f.has(1)) admin.getChannelRequest = this.uint(f, 1) - 1;
+    if (f.has(2)) admin.getChannelResponse = this.message(f, 2, this.decodeChannel);
+    if (f.has(3)) admin.getOwnerRequest = this.bool(f, 3);
+    if (f.has(4)) admin.getOwnerResponse = this.message(f, 4, this.decodeUser);
+    if (f.has(5)) admin.getConfigRequest = this.uint(f, 5);
+    if (f.has(6)) admin.getConfigResponse = this.message(f, 6, this.decodeConfig);
+    if (f.has(7)) admin.getModuleConfigRequest = this.uint(f, 7);
+    if (f.has(8)) admin.getModuleConfigResponse = this.message(f, 8, this.decodeModuleConfig);
+    if (f.has(32)) admin.setOwner = this.message(f, 32, this.decodeUser);
+    if (f.has(33)) admin.setChannel = this.message(f, 33, this.decodeChannel);
+    if (f.has(34)) admin.setConfig = this.message(f, 34, this.decodeConfig);
+    if (f.has(35)) admin.setModuleConfig = this.message(f, 35, this.decodeModuleConfig);
+    if (f.has(64)) admin.beginEditSettings = this.bool(f, 64);
+    if (f.has(65)) admin.commitEditSettings = this.bool(f, 65);
+    if (f.has(101)) admin.sessionPasskey = this.bytes(f, 101);
+
+    return admin;
+  },
 
-    shortNameInput?.addEventListener('input', () => {
-      shortNameInput.dataset.manual = 'true';
-    });
+  // --------------------------------------------------------------------------
+  // Port payloads
+  // --------------------------------------------------------------------------
 
-    saveBtn?.addEventListener('click', () => {
-      onSave(longNameInput.value, shortNameInput.value);
-    });
+  encodeRouting(routing) {
+    // field 3: error_reason (Routing.Error) - NONE is a plain ack
+    return HyphaeMesh.proto.encodeUint32(3, routing.errorReason || 0);
+  },
 
-    skipBtn?.addEventListener('click', () => {
-      onSkip();
-    });
-  }
+  decodeRouting(bytes) {
+    const f = this.fields(bytes);
+    return {
+      isRouteDiscovery: f.has(1) || f.has(2),
+      errorReason: this.uint(f, 3),
+    };
+  },
 
-  showSuccess(onComplete) {
+  decodeTelemetry(bytes) {
+    const f = this.fields(bytes);
+    return {
+      time: this.uint(f, 1),
+      deviceMetrics: this.message(f, 2, this.decodeDeviceMetrics),
+    };
+  },
+};
+
+// ============================================================================
+// Radio Transports
+// Each transport moves raw ToRadio/FromRadio protobuf bytes. FromRadio
+// packets are pushed to handlers.onFromRadio; handlers.onDisconnect fires
+// when the link drops without disconnect() being called.
+// ============================================================================
+
+const MESHTASTIC_BLE = {
+  service: '6ba1b218-15a8-461f-9fa8-5dcae273eafd',
+  toRadio: 'f75c76d2-129e-4dad-a1dd-7866124401e7',
+  fromRadio: '2c55e69e-4993-11ed-b878-0242ac120002',
+  fromNum: 'ed9da18c-a800-4f66-a670-aa7547e34453',
+};
+
+class BleTransport {
+  static isSupported() {
+    return !!navigator.bluetooth;
+  }
+
+  constructor(options, handlers) {
+    this.options = options;
+    this.handlers = handlers;
+    this.device = null;
+    this.toRadio = null;
+    this.fromRadio = null;
+    this.fromNum = null;
+    this.draining = false;
+    this.drainAgain = false;
+    this.closing = false;
+  }
+
+  get name() {
+    return this.device?.name || 'Meshtastic device';
+  }
+
+  // What to remember so the same radio can be reopened without a picker
+  get pairing() {
+    return { deviceId: this.device?.id };
+  }
+
+  // getDevices() only returns radios this origin was granted before
+  static async findPaired(deviceId) {
+    if (!navigator.bluetooth.getDevices) {
+      throw new Error('No device found: this browser cannot reopen paired Bluetooth devices');
+    }
+    const devices = await navigator.bluetooth.getDevices();
+    const device = devices.find(d => d.id === deviceId);
+    if (!device) throw new Error('No device found: the paired radio is no longer available');
+    return device;
+  }
+
+  async connect(onProgress) {
+    onProgress?.(10, 'Requesting Bluetooth device...');
+
+    this.device = this.options.deviceId
+      ? await BleTransport.findPaired(this.options.deviceId)
+      : await navigator.bluetooth.requestDevice({
+        filters: [
+          { services: [MESHTASTIC_BLE.service] },
+        ],
+        optionalServices: [MESHTASTIC_BLE.service]
+      });
+
+    onProgress?.(20, `Connecting to ${this.name}...`);
+
+    const server = await this.device.gatt.connect();
+
+    onProgress?.(30, 'Getting Meshtastic service...');
+
+    const service = await server.getPrimaryService(MESHTASTIC_BLE.service);
+
+    onProgress?.(40, 'Setting up communication...');
+
+    this.toRadio = await service.getCharacteristic(MESHTASTIC_BLE.toRadio);
+    this.fromRadio = await service.getCharacteristic(MESHTASTIC_BLE.fromRadio);
+    this.fromNum = await service.getCharacteristic(MESHTASTIC_BLE.fromNum);
+
+    // fromNum notifies whenever the radio has packets queued in fromRadio
+    await this.fromNum.startNotifications();
+    this.fromNum.addEventListener('characteristicvaluechanged', () => {
+      this.drain();
+    });
+
+    this.device.addEventListener('gattserverdisconnected', () => {
+      if (!this.closing) this.handlers.onDisconnect?.();
+    });
+  }
+
+  async write(bytes) {
+    await this.toRadio.writeValue(bytes);
+    // Replies (and the whole config stream) are queued without a fromNum
+    // bump on some firmware, so always read after writing
+    this.drain();
+  }
+
+  // Read fromRadio until the radio reports an empty queue. Reads are
+  // serialized; a notification that arrives mid-drain triggers another pass.
+  async drain() {
+    if (this.draining) {
+      this.drainAgain = true;
+      return;
+    }
+
+    this.draining = true;
+    try {
+      do {
+        this.drainAgain = false;
+        while (this.device?.gatt?.connected) {
+          const value = await this.fromRadio.readValue();
+          if (value.byteLength === 0) break;
+          this.handlers.onFromRadio(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+        }
+      } while (this.drainAgain);
+    } catch (error) {
+      console.error('Error reading fromRadio:', error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  disconnect() {
+    this.closing = true;
+    if (this.device?.gatt?.connected) {
+      this.device.gatt.disconnect();
+    }
+  }
+}
+
+// USB serial using Meshtastic's stream framing:
+// 0x94 0xC3 <length MSB> <length LSB> <protobuf>. Bytes outside a frame are
+// the firmware's debug log.
+class SerialTransport {
+  static isSupported() {
+    return !!navigator.serial;
+  }
+
+  constructor(options, handlers) {
+    this.options = options;
+    this.handlers = handlers;
+    this.port = null;
+    this.reader = null;
+    this.reading = null;
+    this.writer = null;
+    this.buffer = new Uint8Array(0);
+    this.closing = false;
+  }
+
+  get name() {
+    const info = this.port?.getInfo?.() || {};
+    return info.usbProductId ? `USB device ${info.usbProductId.toString(16)}` : 'USB device';
+  }
+
+  get pairing() {
+    const { usbVendorId, usbProductId } = this.port?.getInfo?.() || {};
+    return { usbVendorId, usbProductId };
+  }
+
+  static async findPaired({ usbVendorId, usbProductId }) {
+    const ports = await navigator.serial.getPorts();
+    const port = ports.find(p => {
+      const info = p.getInfo();
+      return info.usbVendorId === usbVendorId && info.usbProductId === usbProductId;
+    });
+    if (!port) throw new Error('No device found: the USB radio is not plugged in');
+    return port;
+  }
+
+  async connect(onProgress) {
+    onProgress?.(10, 'Requesting serial port...');
+
+    this.port = this.options.usbVendorId
+      ? await SerialTransport.findPaired(this.options)
+      : await navigator.serial.requestPort();
+
+    onProgress?.(20, 'Opening serial port...');
+
+    await this.port.open({ baudRate: SerialTransport.BAUD_RATE });
+    this.writer = this.port.writable.getWriter();
+    this.reading = this.readLoop();
+
+    onProgress?.(30, 'Waking device...');
+
+    // A run of START2 bytes wakes the radio's serial API out of log mode
+    await this.writer.write(new Uint8Array(32).fill(SerialTransport.START2));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    onProgress?.(40, 'Setting up communication...');
+  }
+
+  async write(bytes) {
+    const frame = new Uint8Array(bytes.length + 4);
+    frame.set([SerialTransport.START1, SerialTransport.START2, bytes.length >> 8, bytes.length & 0xff]);
+    frame.set(bytes, 4);
+    await this.writer.write(frame);
+  }
+
+  async readLoop() {
+    this.reader = this.port.readable.getReader();
+
+    try {
+      while (true) {
+        const { value, done } = await this.reader.read();
+        if (done) break;
+
+        this.buffer = HyphaeMesh.proto.concatUint8Arrays([this.buffer, value]);
+        const { frames, rest } = SerialTransport.parseFrames(this.buffer);
+        this.buffer = rest;
+        frames.forEach(frame => this.handlers.onFromRadio(frame));
+      }
+    } catch (error) {
+      console.error('Serial read error:', error);
+    } finally {
+      this.reader.releaseLock();
+      if (!this.closing) this.handlers.onDisconnect?.();
+    }
+  }
+
+  // Split a byte stream into complete frames; returns the unconsumed tail
+  static parseFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (offset + 4 <= buffer.length) {
+      if (buffer[offset] !== SerialTransport.START1 || buffer[offset + 1] !== SerialTransport.START2) {
+        offset++;
+        continue;
+      }
+
+      const length = (buffer[offset + 2] << 8) | buffer[offset + 3];
+      if (length > SerialTransport.MAX_PACKET) {
+        // Corrupt header - resync on the next start byte
+        offset++;
+        continue;
+      }
+      if (offset + 4 + length > buffer.length) break;
+
+      frames.push(buffer.slice(offset + 4, offset + 4 + length));
+      offset += 4 + length;
+    }
+
+    return { frames, rest: buffer.slice(offset) };
+  }
+
+  // The port only closes once readLoop has released its reader, which
+  // happens after cancel() resolves
+  async disconnect() {
+    this.closing = true;
+    try {
+      await this.reader?.cancel();
+      await this.reading;
+      this.writer?.releaseLock();
+      await this.port?.close();
+    } catch (error) {
+      console.error('Error closing serial port:', error);
+    }
+  }
+}
+
+SerialTransport.START1 = 0x94;
+SerialTransport.START2 = 0xc3;
+SerialTransport.MAX_PACKET = 512;
+SerialTransport.BAUD_RATE = 115200;
+
+// WiFi nodes expose the phone API over HTTP: PUT /api/v1/toradio and poll
+// GET /api/v1/fromradio, which returns one packet (or nothing) per request.
+class HttpTransport {
+  static isSupported() {
+    return typeof fetch === 'function';
+  }
+
+  constructor(options, handlers) {
+    this.handlers = handlers;
+    this.baseUrl = HttpTransport.normalizeHost(options.host);
+    this.polling = false;
+    this.pollTimer = null;
+    this.failures = 0;
+    this.closing = false;
+  }
+
+  // Accepts "meshtastic.local", "192.168.1.20" or a full URL. Without a
+  // scheme, follow the page's so an https app doesn't hit mixed content.
+  static normalizeHost(host) {
+    const trimmed = String(host || '').trim().replace(/\/+$/, '');
+    if (!trimmed) throw new Error('Enter the address of your Meshtastic node');
+    if (/^https?:\/\//i.test(trimmed)) return trimmed;
+    return `${location.protocol === 'http:' ? 'http:' : 'https:'}//${trimmed}`;
+  }
+
+  get name() {
+    return new URL(this.baseUrl).host;
+  }
+
+  get pairing() {
+    return { host: this.baseUrl };
+  }
+
+  async connect(onProgress) {
+    onProgress?.(20, `Connecting to ${this.name}...`);
+
+    // Any successful fromradio read proves the API is reachable
+    await this.read();
+
+    onProgress?.(40, 'Setting up communication...');
+    this.schedulePoll(0);
+  }
+
+  async write(bytes) {
+    const response = await fetch(`${this.baseUrl}/api/v1/toradio`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/x-protobuf' },
+      body: bytes,
+    });
+    if (!response.ok) throw new Error(`Node rejected packet (HTTP ${response.status})`);
+
+    this.schedulePoll(0);
+  }
+
+  async read() {
+    const response = await fetch(`${this.baseUrl}/api/v1/fromradio?all=false`, {
+      headers: { Accept: 'application/x-protobuf' },
+    });
+    if (!response.ok) throw new Error(`Node returned HTTP ${response.status}`);
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  schedulePoll(delay) {
+    if (this.closing) return;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+
+  // Read until the node has nothing queued, then back off to the idle interval
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      let bytes;
+      while (!this.closing && (bytes = await this.read()).length > 0) {
+        this.handlers.onFromRadio(bytes);
+      }
+      this.failures = 0;
+    } catch (error) {
+      if (this.closing) return;
+      console.error('HTTP poll error:', error);
+      if (++this.failures >= HttpTransport.MAX_FAILURES) {
+        this.closing = true;
+        this.handlers.onDisconnect?.();
+        return;
+      }
+    } finally {
+      this.polling = false;
+    }
+
+    this.schedulePoll(HttpTransport.POLL_INTERVAL);
+  }
+
+  disconnect() {
+    this.closing = true;
+    clearTimeout(this.pollTimer);
+  }
+}
+
+HttpTransport.POLL_INTERVAL = 2000;
+HttpTransport.MAX_FAILURES = 3;
+
+const RADIO_TRANSPORTS = {
+  ble: { label: 'Bluetooth', Transport: BleTransport },
+  serial: { label: 'USB cable', Transport: SerialTransport },
+  http: { label: 'WiFi (IP address)', Transport: HttpTransport, needsHost: true },
+};
+
+// ============================================================================
+// Meshtastic Connection Manager
+// ============================================================================
+
+class MeshtasticManager {
+  constructor() {
+    this.client = null;
+    this.connection = null;
+    this.myNodeId = null;
+    this.myNodeInfo = null;
+    this.nodes = new Map();
+    this.config = {};
+    this.moduleConfig = {};
+    this.channels = [];
+    this.metadata = null;
+    this.handshake = null;
+    this.pendingRequests = new Map();
+    this.sessionPasskey = null;
+    this.connectionState = 'offline';
+    this.userDisconnected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.outbox = [];
+    this.nodeInfoRequests = new Map();
+    const stranded = MeshtasticManager.readStored(`${NASHME_STORAGE_PREFIX}outbox`, []);
+    this.strandedPacketIds = Array.isArray(stranded) ? stranded : [];
+    this.onMessageCallback = null;
+    this.onNodeUpdateCallback = null;
+    this.onConnectionStateCallback = null;
+    this.onPacketSentCallback = null;
+    this.onAckCallback = null;
+  }
+
+  // A corrupt value reads as missing rather than stopping the app
+  static readStored(key, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  // Transports this browser can use, in order of preference
+  static availableTransports() {
+    return Object.entries(RADIO_TRANSPORTS)
+      .filter(([, { Transport }]) => Transport.isSupported())
+      .map(([type, { label, needsHost }]) => ({ type, label, needsHost: !!needsHost }));
+  }
+
+  async connect(onProgress, { transport = 'ble', host } = {}) {
+    onProgress?.(5, 'Initializing connection...');
+
+    const entry = RADIO_TRANSPORTS[transport];
+    if (!entry?.Transport.isSupported()) {
+      const error = new Error(`${entry?.label || transport} connections are not supported in this browser.`);
+      error.type = 'browser_unsupported';
+      throw error;
+    }
+
+    this.userDisconnected = false;
+    this.setConnectionState('connecting');
+
+    try {
+      await this.open({ transport, host }, onProgress);
+      this.rememberRadio();
+      return true;
+    } catch (error) {
+      console.error('Connection error:', error);
+      this.disconnect();
+      // Classify the error type for better user guidance
+      error.type = error.type || this.classifyError(error);
+      throw error;
+    }
+  }
+
+  // Shared by first connect and reconnect: open the transport, run the
+  // config handshake, then release anything queued while offline.
+  async open(options, onProgress) {
+    const { Transport } = RADIO_TRANSPORTS[options.transport];
+
+    this.connection = new Transport(options, {
+      onFromRadio: (bytes) => this.handleFromRadio(bytes),
+      onDisconnect: () => this.handleDisconnect(),
+    });
+    this.connection.type = options.transport;
+
+    await this.connection.connect(onProgress);
+
+    onProgress?.(45, 'Requesting device configuration...');
+
+    // Request config
+    await this.requestConfig(onProgress);
+
+    this.reconnectAttempts = 0;
+    this.setConnectionState('connected');
+
+    onProgress?.(100, 'Connected successfully!');
+
+    await this.flushOutbox();
+  }
+
+  rememberRadio() {
+    localStorage.setItem(`${NASHME_STORAGE_PREFIX}radio`, JSON.stringify({
+      transport: this.connection.type,
+      ...this.connection.pairing,
+    }));
+  }
+
+  // Reopen the last radio without a device picker. Failures back off
+  // exponentially and keep retrying until the user disconnects.
+  async reconnect() {
+    const saved = MeshtasticManager.readStored(`${NASHME_STORAGE_PREFIX}radio`, null);
+    if (!saved || !RADIO_TRANSPORTS[saved.transport]?.Transport.isSupported()) {
+      this.setConnectionState('offline');
+      return false;
+    }
+
+    clearTimeout(this.reconnectTimer);
+    this.userDisconnected = false;
+    this.setConnectionState('reconnecting');
+
+    try {
+      await this.open(saved);
+      return true;
+    } catch (error) {
+      console.error('Reconnect failed:', error.message);
+      this.connection?.disconnect();
+      this.connection = null;
+      this.setConnectionState('reconnecting');
+      this.scheduleReconnect();
+      return false;
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.userDisconnected) return;
+
+    const { RECONNECT_BASE_DELAY, RECONNECT_MAX_DELAY } = MeshtasticManager;
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY);
+    this.reconnectAttempts++;
+
+    // Jitter so several tabs don't hammer the radio in lockstep
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.reconnect(), delay * (0.8 + Math.random() * 0.4));
+  }
+
+  handleDisconnect() {
+    console.log('Radio disconnected');
+    this.connection = null;
+
+    if (this.userDisconnected) return;
+    this.setConnectionState('reconnecting');
+    this.scheduleReconnect();
+  }
+
+  setConnectionState(state) {
+    if (this.connectionState === state) return;
+    this.connectionState = state;
+    this.onConnectionStateCallback?.(state);
+  }
+
+  isConnected() {
+    return this.connectionState === 'connected' && !!this.connection;
+  }
+
+  async flushOutbox() {
+    while (this.outbox.length > 0 && this.isConnected()) {
+      const packet = this.outbox[0];
+      await this.writeToRadio(packet.bytes);
+      this.outbox.shift();
+      this.saveOutbox();
+      this.onPacketSentCallback?.(packet.id);
+    }
+  }
+
+  // The packets stay in memory (they carry message text), but their ids
+  // are kept so the next page load knows what a reload left unsent
+  saveOutbox() {
+    localStorage.setItem(`${NASHME_STORAGE_PREFIX}outbox`, JSON.stringify(this.outbox.map(packet => packet.id)));
+  }
+
+  // Ids of packets an earlier page load queued and never wrote to the radio
+  takeStrandedPackets() {
+    const ids = this.strandedPacketIds;
+    this.strandedPacketIds = [];
+    return ids;
+  }
+
+  classifyError(error) {
+    const message = error.message?.toLowerCase() || '';
+
+    // Web Bluetooth API disabled or blocked
+    if (message.includes('globally disabled') ||
+        message.includes('bluetooth api') ||
+        message.includes('permission denied') ||
+        message.includes('not allowed')) {
+      return 'bluetooth_disabled';
+    }
+
+    // User cancelled the device picker
+    if (message.includes('user cancelled') ||
+        message.includes('user canceled') ||
+        message.includes('user denied')) {
+      return 'user_cancelled';
+    }
+
+    // Serial port picker dismissed
+    if (message.includes('no port selected')) {
+      return 'user_cancelled';
+    }
+
+    // WiFi node unreachable (wrong address, offline, or blocked by the browser)
+    if (message.includes('failed to fetch') ||
+        message.includes('networkerror') ||
+        message.includes('load failed')) {
+      return 'http_unreachable';
+    }
+
+    // No devices found
+    if (message.includes('no device') ||
+        message.includes('device not found')) {
+      return 'no_device';
+    }
+
+    // Connection lost or failed
+    if (message.includes('disconnected') ||
+        message.includes('connection failed') ||
+        message.includes('gatt')) {
+      return 'connection_lost';
+    }
+
+    // Default to device-related error
+    return 'device';
+  }
+
+  // want_config handshake: the radio streams MyNodeInfo, metadata, channels,
+  // config, module config and the node DB, then echoes our id back as
+  // config_complete_id.
+  async requestConfig(onProgress) {
+    const configId = this.generatePacketId();
+
+    this.config = {};
+    this.moduleConfig = {};
+    this.channels = [];
+
+    const complete = new Promise((resolve, reject) => {
+      this.handshake = {
+        id: configId,
+        progress: 45,
+        onProgress,
+        resolve,
+        timer: setTimeout(() => {
+          this.handshake = null;
+          reject(new Error('Device did not finish sending its configuration'));
+        }, MeshtasticManager.CONFIG_TIMEOUT),
+      };
+    });
+
+    try {
+      await this.writeToRadio(MeshProto.encodeToRadio({ wantConfigId: configId }));
+    } catch (error) {
+      clearTimeout(this.handshake?.timer);
+      this.handshake = null;
+      throw error;
+    }
+
+    await complete;
+  }
+
+  trackHandshake(fromRadio) {
+    const handshake = this.handshake;
+    if (!handshake) return;
+
+    let stage = null;
+    if (fromRadio.myInfo) {
+      stage = [50, 'Reading device info...'];
+    } else if (fromRadio.metadata) {
+      stage = [55, `Firmware ${fromRadio.metadata.firmwareVersion || 'detected'}...`];
+    } else if (fromRadio.channel) {
+      stage = [60, `Loading channels (${fromRadio.channel.index + 1}/8)...`];
+    } else if (fromRadio.config) {
+      stage = [70, 'Loading radio configuration...'];
+    } else if (fromRadio.moduleConfig) {
+      stage = [80, 'Loading module configuration...'];
+    } else if (fromRadio.nodeInfo?.num === this.myNodeInfo?.myNodeNum) {
+      stage = [52, 'Reading owner name...'];
+    } else if (fromRadio.nodeInfo) {
+      stage = [85, `Loading node database (${this.nodes.size} nodes)...`];
+    }
+
+    // Firmware versions order the stream differently; never move backwards
+    if (stage) {
+      handshake.progress = Math.max(handshake.progress, stage[0]);
+      handshake.onProgress?.(handshake.progress, stage[1]);
+    }
+
+    if (fromRadio.configCompleteId === handshake.id) {
+      clearTimeout(handshake.timer);
+      this.handshake = null;
+      handshake.onProgress?.(95, 'Configuration loaded');
+      handshake.resolve();
+    }
+  }
+
+  handleFromRadio(bytes) {
+    try {
+      if (bytes.length === 0) return;
+
+      const fromRadio = MeshProto.decodeFromRadio(bytes);
+
+      if (fromRadio.myInfo) {
+        this.myNodeId = MeshProto.nodeId(fromRadio.myInfo.myNodeNum);
+        this.myNodeInfo = {
+          ...fromRadio.myInfo,
+          user: this.myNodeInfo?.user || { longName: '', shortName: '' },
+        };
+      } else if (fromRadio.nodeInfo) {
+        this.updateNode(fromRadio.nodeInfo.num, fromRadio.nodeInfo);
+      } else if (fromRadio.config) {
+        Object.assign(this.config, fromRadio.config);
+      } else if (fromRadio.moduleConfig) {
+        Object.assign(this.moduleConfig, fromRadio.moduleConfig);
+      } else if (fromRadio.channel) {
+        this.channels[fromRadio.channel.index] = fromRadio.channel;
+      } else if (fromRadio.metadata) {
+        this.metadata = fromRadio.metadata;
+      } else if (fromRadio.packet) {
+        this.handlePacket(fromRadio.packet);
+      }
+
+      this.trackHandshake(fromRadio);
+    } catch (error) {
+      console.error('Error handling fromRadio:', error);
+    }
+  }
+
+  handlePacket(packet) {
+    // Metadata about who we heard is useful even for packets we can't decrypt
+    this.updateNode(packet.from, {
+      lastHeard: packet.rxTime || Math.floor(Date.now() / 1000),
+      snr: packet.rxSnr,
+      hopsAway: packet.hopStart ? packet.hopStart - packet.hopLimit : null,
+      viaMqtt: packet.viaMqtt,
+    });
+
+    const data = packet.decoded;
+    if (!data) return;
+
+    if (data.requestId && this.pendingRequests.has(data.requestId)) {
+      this.resolveRequest(data);
+    }
+
+    switch (data.portnum) {
+      case MeshProto.PortNum.TEXT_MESSAGE_APP:
+        this.onMessageCallback?.({
+          id: packet.id,
+          from: packet.from,
+          fromNodeId: MeshProto.nodeId(packet.from),
+          to: packet.to,
+          channel: packet.channel,
+          text: new TextDecoder().decode(data.payload),
+          timestamp: (packet.rxTime * 1000) || Date.now(),
+          replyId: data.replyId,
+          emoji: data.emoji,
+          rxSnr: packet.rxSnr,
+          rxRssi: packet.rxRssi,
+          hopsAway: packet.hopStart ? packet.hopStart - packet.hopLimit : null,
+          viaMqtt: packet.viaMqtt,
+          pkiEncrypted: packet.pkiEncrypted,
+          publicKey: packet.publicKey,
+        });
+        break;
+
+      case MeshProto.PortNum.NODEINFO_APP:
+        this.updateNode(packet.from, { user: MeshProto.decodeUser(data.payload) });
+        break;
+
+      case MeshProto.PortNum.POSITION_APP:
+        this.updateNode(packet.from, { position: MeshProto.decodePosition(data.payload) });
+        break;
+
+      case MeshProto.PortNum.ROUTING_APP: {
+        const routing = MeshProto.decodeRouting(data.payload);
+        if (data.requestId && !routing.isRouteDiscovery) {
+          this.onAckCallback?.({
+            packetId: data.requestId,
+            from: packet.from,
+            errorReason: routing.errorReason,
+            // Our own radio acks when it hears a neighbour rebroadcast
+            implicit: packet.from === this.myNodeInfo?.myNodeNum,
+          });
+        }
+        break;
+      }
+
+      case MeshProto.PortNum.TELEMETRY_APP: {
+        const telemetry = MeshProto.decodeTelemetry(data.payload);
+        if (telemetry.deviceMetrics) {
+          this.updateNode(packet.from, { deviceMetrics: telemetry.deviceMetrics });
+        }
+        break;
+      }
+    }
+  }
+
+  updateNode(num, update) {
+    if (!num) return;
+
+    // Drop empty metadata so a sparse packet doesn't blank a richer NodeInfo
+    const changes = Object.fromEntries(
+      Object.entries(update).filter(([, value]) => value !== null && value !== undefined)
+    );
+    const node = { ...this.nodes.get(num), ...changes, num };
+    this.nodes.set(num, node);
+
+    if (num === this.myNodeInfo?.myNodeNum && node.user) {
+      this.myNodeInfo.user = node.user;
+    }
+
+    this.onNodeUpdateCallback?.(node);
+  }
+
+  // All steps run inside one begin/commit_edit_settings transaction so the
+  // radio saves (and reboots, if the region changed) only once at the end.
+  async applyConfig(config, onProgress) {
+    const steps = [
+      { name: 'region', message: 'Configuring network region...', progress: 15 },
+      { name: 'radio', message: 'Setting radio parameters...', progress: 30 },
+      { name: 'channel', message: 'Configuring nashme.sh channel...', progress: 45 },
+      { name: 'battery', message: 'Optimizing battery settings...', progress: 60 },
+      { name: 'position', message: 'Setting position parameters...', progress: 75 },
+      { name: 'role', message: 'Configuring device role...', progress: 85 },
+      { name: 'verify', message: 'Verifying configuration...', progress: 95 },
+    ];
+
+    await this.sendAdmin({ beginEditSettings: true });
+    let completed = false;
+
+    try {
+      for (const step of steps) {
+        onProgress?.(step.progress, step.message, step.name);
+
+        if (step.name === 'verify') {
+          // Read back before committing: a region change reboots the radio on
+          // commit, which would drop the connection mid-verify.
+          const mismatches = await this.verifyConfig(config);
+          if (mismatches.length > 0) {
+            const error = new Error(
+              `These settings didn't stick: ${mismatches.map(m => `${m.field} (expected ${m.expected}, got ${m.actual})`).join(', ')}`
+            );
+            error.type = 'config_mismatch';
+            error.mismatches = mismatches;
+            throw error;
+          }
+        } else {
+          await this.sendConfig(step.name, config);
+        }
+      }
+      completed = true;
+    } finally {
+      // A transaction left open holds back every later change to the radio.
+      // When a step failed, its error is the one worth reporting.
+      const commit = this.sendAdmin({ commitEditSettings: true });
+      await (completed ? commit : commit.catch(() => {}));
+    }
+
+    onProgress?.(100, 'Configuration complete!', 'done');
+  }
+
+  async sendConfig(step, config) {
+    switch (step) {
+      case 'region':
+        return this.setConfig('lora', { region: config.lora.region });
+
+      case 'radio':
+        return this.setConfig('lora', {
+          usePreset: true,
+          modemPreset: config.lora.modemPreset,
+          hopLimit: config.lora.hopLimit,
+          txEnabled: config.lora.txEnabled,
+          txPower: config.lora.txPower,
+        });
+
+      case 'channel':
+        return this.setChannel({
+          index: config.primaryChannel.index,
+          role: MeshProto.ChannelRole.PRIMARY,
+          settings: {
+            name: config.primaryChannel.name,
+            psk: config.primaryChannel.psk,
+            uplinkEnabled: config.primaryChannel.uplinkEnabled,
+            downlinkEnabled: config.primaryChannel.downlinkEnabled,
+          },
+        });
+
+      case 'battery':
+        return this.setModuleConfig('telemetry', {
+          deviceUpdateInterval: config.telemetry.deviceUpdateInterval,
+          environmentUpdateInterval: config.telemetry.environmentUpdateInterval,
+        });
+
+      case 'position':
+        return this.setConfig('position', {
+          positionBroadcastSecs: config.position.positionBroadcastSecs,
+          positionBroadcastSmartEnabled: config.position.positionBroadcastSmartEnabled,
+          gpsMode: config.position.gpsEnabled ? MeshProto.GpsMode.ENABLED : MeshProto.GpsMode.DISABLED,
+          gpsUpdateInterval: config.position.gpsUpdateInterval,
+        });
+
+      case 'role':
+        return this.setConfig('device', {
+          role: config.device.role,
+          nodeInfoBroadcastSecs: config.device.nodeInfoBroadcastSecs,
+        });
+    }
+  }
+
+  // set_config replaces the whole variant, so merge onto what the radio
+  // reported during the handshake to keep fields we don't manage.
+  async setConfig(type, changes) {
+    const merged = { ...this.config[type], ...changes };
+    await this.sendAdmin({ setConfig: { [type]: merged } });
+    this.config[type] = merged;
+  }
+
+  async setModuleConfig(type, changes) {
+    const merged = { ...this.moduleConfig[type], ...changes };
+    await this.sendAdmin({ setModuleConfig: { [type]: merged } });
+    this.moduleConfig[type] = merged;
+  }
+
+  async setChannel(channel) {
+    await this.sendAdmin({ setChannel: channel });
+    this.channels[channel.index] = channel;
+  }
+
+  async getConfig(configType) {
+    const response = await this.sendAdmin({ getConfigRequest: configType }, { expectResponse: true });
+    return response?.getConfigResponse || {};
+  }
+
+  async getModuleConfig(moduleConfigType) {
+    const response = await this.sendAdmin({ getModuleConfigRequest: moduleConfigType }, { expectResponse: true });
+    return response?.getModuleConfigResponse || {};
+  }
+
+  async getChannel(index) {
+    const response = await this.sendAdmin({ getChannelRequest: index }, { expectResponse: true });
+    return response?.getChannelResponse || null;
+  }
+
+  // Returns [{ field, expected, actual }] for every setting that differs
+  async verifyConfig(config) {
+    const { lora } = await this.getConfig(MeshProto.ConfigType.LORA_CONFIG);
+    const { position } = await this.getConfig(MeshProto.ConfigType.POSITION_CONFIG);
+    const { device } = await this.getConfig(MeshProto.ConfigType.DEVICE_CONFIG);
+    const { telemetry } = await this.getModuleConfig(MeshProto.ModuleConfigType.TELEMETRY_CONFIG);
+    const channel = await this.getChannel(config.primaryChannel.index);
+
+    const expected = [
+      ['lora.region', lora?.region, config.lora.region],
+      ['lora.modemPreset', lora?.modemPreset, config.lora.modemPreset],
+      ['lora.hopLimit', lora?.hopLimit, config.lora.hopLimit],
+      ['lora.txEnabled', lora?.txEnabled, config.lora.txEnabled],
+      ['lora.txPower', lora?.txPower, config.lora.txPower],
+      ['channel.name', channel?.settings?.name, config.primaryChannel.name],
+      ['channel.psk', CryptoUtils.uint8ArrayToBase64(channel?.settings?.psk || []), CryptoUtils.uint8ArrayToBase64(config.primaryChannel.psk)],
+      ['channel.uplinkEnabled', channel?.settings?.uplinkEnabled, config.primaryChannel.uplinkEnabled],
+      ['channel.downlinkEnabled', channel?.settings?.downlinkEnabled, config.primaryChannel.downlinkEnabled],
+      ['telemetry.deviceUpdateInterval', telemetry?.deviceUpdateInterval, config.telemetry.deviceUpdateInterval],
+      ['telemetry.environmentUpdateInterval', telemetry?.environmentUpdateInterval, config.telemetry.environmentUpdateInterval],
+      ['position.positionBroadcastSecs', position?.positionBroadcastSecs, config.position.positionBroadcastSecs],
+      ['position.positionBroadcastSmartEnabled', position?.positionBroadcastSmartEnabled, config.position.positionBroadcastSmartEnabled],
+      ['position.gpsUpdateInterval', position?.gpsUpdateInterval, config.position.gpsUpdateInterval],
+      ['device.role', device?.role, config.device.role],
+      ['device.nodeInfoBroadcastSecs', device?.nodeInfoBroadcastSecs, config.device.nodeInfoBroadcastSecs],
+    ];
+
+    return expected
+      .filter(([, actual, want]) => actual !== want)
+      .map(([field, actual, want]) => ({ field, expected: want, actual }));
+  }
+
+  // Admin messages go to our own node. Set commands ask for a ROUTING ack,
+  // get commands for an AdminMessage carrying request_id.
+  async sendAdmin(admin, { expectResponse = false } = {}) {
+    const id = this.generatePacketId();
+    const response = this.waitForResponse(id, expectResponse);
+
+    try {
+      await this.sendPacket({
+        id,
+        to: this.myNodeInfo?.myNodeNum,
+        portnum: MeshProto.PortNum.ADMIN_APP,
+        payload: MeshProto.encodeAdminMessage({ ...admin, sessionPasskey: this.sessionPasskey }),
+        wantAck: !expectResponse,
+        wantResponse: true,
+      });
+    } catch (error) {
+      this.cancelRequest(id);
+      throw error;
+    }
+
+    return response;
+  }
+
+  waitForResponse(id, expectResponse) {
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, {
+        expectResponse,
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          this.pendingRequests.delete(id);
+          reject(new Error('Radio did not respond to admin request'));
+        }, MeshtasticManager.ADMIN_TIMEOUT),
+      });
+    });
+  }
+
+  cancelRequest(id) {
+    const pending = this.pendingRequests.get(id);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(id);
+    }
+  }
+
+  resolveRequest(data) {
+    const pending = this.pendingRequests.get(data.requestId);
+
+    if (data.portnum === MeshProto.PortNum.ROUTING_APP) {
+      const { errorReason } = MeshProto.decodeRouting(data.payload);
+      if (errorReason) {
+        this.cancelRequest(data.requestId);
+        pending.reject(new Error(`Radio rejected request: ${MeshProto.RoutingError[errorReason] || errorReason}`));
+      } else if (!pending.expectResponse) {
+        this.cancelRequest(data.requestId);
+        pending.resolve(null);
+      }
+    } else if (data.portnum === MeshProto.PortNum.ADMIN_APP) {
+      const admin = MeshProto.decodeAdminMessage(data.payload);
+      if (admin.sessionPasskey) this.sessionPasskey = admin.sessionPasskey;
+      this.cancelRequest(data.requestId);
+      pending.resolve(admin);
+    }
+  }
+
+  // Firmware keeps names in NUL-terminated char arrays (long_name[40],
+  // short_name[5]), so the limits are UTF-8 bytes rather than characters:
+  // a single emoji fills the whole short name.
+  static validateOwner(longName, shortName) {
+    const { LONG_NAME_MAX_BYTES, SHORT_NAME_MAX_BYTES } = MeshtasticManager;
+    const longBytes = MeshtasticManager.utf8Length(longName.trim());
+    const shortBytes = MeshtasticManager.utf8Length(shortName.trim());
+    const errors = {};
+
+    if (longBytes === 0) {
+      errors.longName = 'Enter a name';
+    } else if (longBytes > LONG_NAME_MAX_BYTES) {
+      errors.longName = `Too long: ${longBytes} of ${LONG_NAME_MAX_BYTES} bytes (emoji and accents use several)`;
+    }
+
+    if (shortBytes === 0) {
+      errors.shortName = 'Enter a short name';
+    } else if (shortBytes > SHORT_NAME_MAX_BYTES) {
+      errors.shortName = `Too long: ${shortBytes} of ${SHORT_NAME_MAX_BYTES} bytes (an emoji uses all 4)`;
+    }
+
+    return errors;
+  }
+
+  static utf8Length(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  // Cuts at whole graphemes so an emoji or accented letter is never split.
+  // Every UTF-16 unit is at least one UTF-8 byte, so the result fits in the
+  // first maxBytes units and only that much of a long text is segmented.
+  static truncateUtf8(text, maxBytes) {
+    const prefix = text.slice(0, maxBytes + 1);
+    const segments = typeof Intl !== 'undefined' && Intl.Segmenter
+      ? Array.from(new Intl.Segmenter().segment(prefix), ({ segment }) => segment)
+      : Array.from(prefix);
+
+    let result = '';
+    let bytes = 0;
+    for (const segment of segments) {
+      bytes += MeshtasticManager.utf8Length(segment);
+      if (bytes > maxBytes) break;
+      result += segment;
+    }
+    return result;
+  }
+
+  // Firmware names a fresh radio "Meshtastic" plus the last 4 hex digits of
+  // its node ID
+  hasDefaultOwner() {
+    const longName = this.myNodeInfo?.user?.longName || '';
+    return !longName || /^Meshtastic [0-9a-f]{4}$/.test(longName) || longName.startsWith('nashme.sh-');
+  }
+
+  async getOwner() {
+    const response = await this.sendAdmin({ getOwnerRequest: true }, { expectResponse: true });
+    return response?.getOwnerResponse || null;
+  }
+
+  // The radio acks set_owner even when it truncates the name, so read it
+  // back before trusting it
+  async setOwner(longName, shortName) {
+    longName = longName.trim();
+    shortName = shortName.trim();
+
+    const errors = MeshtasticManager.validateOwner(longName, shortName);
+    if (Object.keys(errors).length > 0) {
+      const error = new Error(Object.values(errors).join('. '));
+      error.type = 'invalid_owner';
+      error.errors = errors;
+      throw error;
+    }
+
+    if (!this.isConnected()) {
+      throw new Error('Connect your radio to change your name');
+    }
+
+    await this.sendAdmin({
+      setOwner: { longName, shortName, isLicensed: this.myNodeInfo?.user?.isLicensed },
+    });
+
+    const owner = await this.getOwner();
+    if (owner?.longName !== longName || owner?.shortName !== shortName) {
+      const error = new Error(`Radio saved the name as "${owner?.longName}" (${owner?.shortName})`);
+      error.type = 'owner_mismatch';
+      throw error;
+    }
+
+    this.updateNode(this.myNodeInfo.myNodeNum, { user: { ...this.myNodeInfo.user, ...owner } });
+    localStorage.setItem(`${NASHME_STORAGE_PREFIX}longName`, longName);
+    localStorage.setItem(`${NASHME_STORAGE_PREFIX}shortName`, shortName);
+
+    return owner;
+  }
+
+  // Passing the peer's publicKey sends a PKI direct message: the radio
+  // encrypts to that key instead of the channel PSK
+  async sendMessage(text, channelIndex = 0, destination = MeshProto.BROADCAST_NUM, { publicKey = null } = {}) {
+    const id = await this.sendPacket({
+      to: destination,
+      channel: channelIndex,
+      portnum: MeshProto.PortNum.TEXT_MESSAGE_APP,
+      payload: new TextEncoder().encode(text),
+      wantAck: true,
+      queueIfOffline: true,
+      publicKey,
+    });
+
+    return {
+      id,
+      text,
+      timestamp: Date.now(),
+      channelIndex,
+      to: destination,
+      queued: this.outbox.some(packet => packet.id === id),
+    };
+  }
+
+  // Wrap a Data payload in a MeshPacket and write it to the radio.
+  // Returns the packet id so callers can correlate replies and acks.
+  // With queueIfOffline the packet waits in the outbox until reconnected.
+  async sendPacket({ id = this.generatePacketId(), to = MeshProto.BROADCAST_NUM, channel = 0, portnum, payload, wantAck = false, wantResponse = false, queueIfOffline = false, publicKey = null }) {
+    const bytes = MeshProto.encodeToRadio({
+      packet: {
+        to,
+        channel,
+        id,
+        wantAck,
+        decoded: { portnum, payload, wantResponse },
+        publicKey,
+        pkiEncrypted: !!publicKey,
+      },
+    });
+
+    if (!this.isConnected() && queueIfOffline) {
+      this.outbox.push({ id, bytes });
+      this.saveOutbox();
+      return id;
+    }
+
+    await this.writeToRadio(bytes);
+    return id;
+  }
+
+  // Sends our NodeInfo with want_response set; the peer's radio answers
+  // with its own, which carries the public key PKI DMs need. At most once
+  // per node per NODEINFO_REQUEST_INTERVAL, however many DMs are waiting.
+  async requestNodeInfo(num) {
+    if (!this.isConnected() || !this.myNodeInfo?.user) return null;
+    if (Date.now() - (this.nodeInfoRequests.get(num) || 0) < MeshtasticManager.NODEINFO_REQUEST_INTERVAL) return null;
+    this.nodeInfoRequests.set(num, Date.now());
+
+    return this.sendPacket({
+      to: num,
+      portnum: MeshProto.PortNum.NODEINFO_APP,
+      payload: MeshProto.encodeUser({ ...this.myNodeInfo.user, id: this.myNodeId }),
+      wantResponse: true,
+    });
+  }
+
+  async writeToRadio(bytes) {
+    if (!this.connection) {
+      throw new Error('Not connected to a Meshtastic device');
+    }
+    await this.connection.write(bytes);
+  }
+
+  generatePacketId() {
+    const [id] = crypto.getRandomValues(new Uint32Array(1));
+    return id || 1;
+  }
+
+  onMessage(callback) {
+    this.onMessageCallback = callback;
+  }
+
+  onNodeUpdate(callback) {
+    this.onNodeUpdateCallback = callback;
+  }
+
+  onConnectionState(callback) {
+    this.onConnectionStateCallback = callback;
+  }
+
+  // Fires when a packet queued while offline is finally written to the radio
+  onPacketSent(callback) {
+    this.onPacketSentCallback = callback;
+  }
+
+  // ROUTING_APP ack/nak for a packet we sent: { packetId, from, errorReason, implicit }
+  onAck(callback) {
+    this.onAckCallback = callback;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  disconnect() {
+    this.userDisconnected = true;
+    clearTimeout(this.reconnectTimer);
+    this.connection?.disconnect();
+    this.connection = null;
+    this.setConnectionState('offline');
+  }
+}
+
+MeshtasticManager.CONFIG_TIMEOUT = 30000;
+MeshtasticManager.ADMIN_TIMEOUT = 10000;
+MeshtasticManager.NODEINFO_REQUEST_INTERVAL = 5 * 60 * 1000;
+MeshtasticManager.RECONNECT_BASE_DELAY = 2000;
+MeshtasticManager.RECONNECT_MAX_DELAY = 60000;
+MeshtasticManager.LONG_NAME_MAX_BYTES = 39;
+MeshtasticManager.SHORT_NAME_MAX_BYTES = 4;
+
+// ============================================================================
+// Conversation Manager
+// ============================================================================
+
+class ConversationManager {
+  constructor(db, meshtastic) {
+    this.db = db;
+    this.meshtastic = meshtastic;
+    this.searchIndex = new SearchIndex(db);
+    this.knownKeys = new Map();
+    this.pendingChunks = new Map();
+    this.statusQueue = Promise.resolve();
+    this.receiveQueue = Promise.resolve();
+    this.scheduleQueue = Promise.resolve();
+    this.onPartialMessageCallback = null;
+  }
+
+  onPartialMessage(callback) {
+    this.onPartialMessageCallback = callback;
+  }
+
+  // DMs are Meshtastic PKI messages on the primary channel, encrypted to
+  // the peer's public key, so they don't take one of the 7 channel slots
+  async createDM(contact) {
+    const conversation = {
+      id: CryptoUtils.generateUUID(),
+      channelIndex: null,
+      channelName: null,
+      psk: null,
+      type: 'dm',
+      participants: [this.meshtastic.myNodeId, contact.id],
+      peerPublicKey: this.getKnownPublicKey(contact.id),
+      displayName: contact.name,
+      createdAt: Date.now(),
+      lastMessageAt: null,
+      pinned: false,
+      muted: false,
+      archived: false,
+      unreadCount: 0,
+    };
+
+    await this.db.put('conversations', conversation);
+    await this.db.put('contacts', contact);
+
+    return conversation;
+  }
+
+  async createGroup(name, participants) {
+    const conversations = await this.db.getAll('conversations');
+    const availableChannel = this.findFreeSlot(conversations);
+
+    const psk = CryptoUtils.generatePSK(256);
+    const conversation = {
+      id: CryptoUtils.generateUUID(),
+      channelIndex: availableChannel,
+      // Channel names are capped at 11 bytes on the radio
+      channelName: `grp_${CryptoUtils.generateUUID().slice(0, 7)}`,
+      psk,
+      type: 'group',
+      participants: [this.meshtastic.myNodeId, ...participants.map(p => p.id)],
+      displayName: name,
+      createdAt: Date.now(),
+      lastMessageAt: null,
+      pinned: false,
+      muted: false,
+      archived: false,
+      unreadCount: 0,
+    };
+
+    // Like joining, the radio gets the channel before anything is stored
+    await this.writeChannel(conversation);
+    await this.db.put('conversations', conversation);
+
+    return conversation;
+  }
+
+  // A slot is free when no conversation here uses it and the radio has
+  // nothing in it, so channels set up in another app are left alone
+  findFreeSlot(conversations) {
+    const availableChannel = [1, 2, 3, 4, 5, 6, 7].find(i => this.isSlotFree(i, conversations));
+
+    if (!availableChannel) {
+      throw new Error('All 7 group channel slots are in use');
+    }
+    return availableChannel;
+  }
+
+  // DMs created before PKI may still carry a channelIndex; they don't hold
+  // the slot. A group's old key in its grace period does. A radio slot
+  // already holding channel ({ channelName, psk }) counts as free for it.
+  isSlotFree(index, conversations, channel = null) {
+    const usedLocally = conversations
+      .filter(c => c.type !== 'dm')
+      .some(c => c.channelIndex === index || c.graceKey?.channelIndex === index);
+    if (usedLocally) return false;
+
+    return !this.getDeviceChannel(index) || (!!channel && this.deviceHolds(index, channel));
+  }
+
+  // From the radio's own table, read in the config handshake and kept
+  // current by setChannel. Null for a disabled slot.
+  getDeviceChannel(index) {
+    const channel = this.meshtastic.channels[index];
+    return channel && channel.role !== MeshProto.ChannelRole.DISABLED ? channel : null;
+  }
+
+  // Whether the radio's slot holds this name and key. Before any radio has
+  // sent its table there's nothing to contradict us, so that counts as yes.
+  deviceHolds(index, { channelName, psk }) {
+    if (this.meshtastic.channels.length === 0) return true;
+
+    const settings = this.getDeviceChannel(index)?.settings;
+    return !!settings && settings.name === channelName &&
+      CryptoUtils.uint8ArrayToBase64(settings.psk) === psk;
+  }
+
+  // The name and key a group puts in a slot: its own, or its old key's
+  // during a grace period. Null if the group has nothing there.
+  expectedChannel(conversation, index) {
+    if (conversation.type !== 'group') return null;
+    if (conversation.channelIndex === index) {
+      return { channelName: conversation.channelName, psk: conversation.psk };
+    }
+    if (conversation.graceKey?.channelIndex === index) {
+      return { channelName: conversation.channelName, psk: conversation.graceKey.psk };
+    }
+    return null;
+  }
+
+  // One entry per radio slot, comparing what the radio holds with the
+  // group we have there. Null until a radio has connected. States:
+  // primary (slot 0, set up by the config step), free, linked (both
+  // agree), device (only on the radio), missing (only here), pending (a
+  // restored group not written yet) and conflict (both, but different).
+  async getChannelTable() {
+    if (this.meshtastic.channels.length === 0) return null;
+
+    const groups = (await this.db.getAll('conversations')).filter(c => c.type === 'group');
+    return [0, 1, 2, 3, 4, 5, 6, 7].map(index => {
+      const settings = this.getDeviceChannel(index)?.settings;
+      const device = settings
+        ? { name: settings.name, psk: CryptoUtils.uint8ArrayToBase64(settings.psk) }
+        : null;
+      const conversation = groups.find(c => this.expectedChannel(c, index)) || null;
+
+      let state;
+      if (index === 0) {
+        state = 'primary';
+      } else if (!conversation) {
+        state = device ? 'device' : 'free';
+      } else if (conversation.channelPending && conversation.channelIndex === index) {
+        state = 'pending';
+      } else if (!device) {
+        state = 'missing';
+      } else {
+        state = this.deviceHolds(index, this.expectedChannel(conversation, index)) ? 'linked' : 'conflict';
+      }
+
+      return {
+        index,
+        device,
+        conversation,
+        grace: conversation?.graceKey?.channelIndex === index,
+        state,
+      };
+    });
+  }
+
+  // Slots where this app and the radio disagree
+  async getChannelConflicts() {
+    const table = await this.getChannelTable();
+    return (table || []).filter(slot => slot.state === 'conflict' || slot.state === 'missing');
+  }
+
+  // Turns a channel that's only on the radio into a group conversation.
+  // It's already on the radio, so nothing is written.
+  async importChannel(index, displayName) {
+    const slot = (await this.getChannelTable())?.[index];
+    if (slot?.state !== 'device') throw new Error('There\'s no channel to import in that slot');
+    ConversationManager.checkDeviceChannel(slot.device);
+
+    const conversation = {
+      id: CryptoUtils.generateUUID(),
+      channelIndex: index,
+      channelName: slot.device.name,
+      psk: slot.device.psk,
+      type: 'group',
+      participants: [this.meshtastic.myNodeId],
+      displayName: displayName.trim() || slot.device.name,
+      createdAt: Date.now(),
+      lastMessageAt: null,
+      pinned: false,
+      muted: false,
+      archived: false,
+      unreadCount: 0,
+    };
+
+    await this.db.put('conversations', conversation);
+    return conversation;
+  }
+
+  // Settles a slot where we and the radio disagree. keep 'local' writes
+  // ours back to the radio. keep 'device' takes the radio's name and key,
+  // or for an old key's grace slot, just lets that key go.
+  async resolveChannel(index, keep) {
+    const slot = (await this.getChannelTable())?.[index];
+    if (slot?.state !== 'conflict' && slot?.state !== 'missing') {
+      throw new Error('This slot already matches your radio');
+    }
+    const { conversation } = slot;
+
+    if (keep === 'local') {
+      await this.writeChannel({ ...conversation, channelIndex: index, psk: this.expectedChannel(conversation, index).psk });
+      return conversation;
+    }
+
+    let updated;
+    if (slot.grace) {
+      updated = { ...conversation, graceKey: null };
+    } else {
+      if (!slot.device) throw new Error('Your radio has nothing in this slot');
+      ConversationManager.checkDeviceChannel(slot.device);
+
+      const now = Date.now();
+      updated = {
+        ...conversation,
+        channelName: slot.device.name,
+        psk: slot.device.psk,
+        pendingKey: null,
+        keySince: now,
+        keyHistory: [
+          { psk: conversation.psk, since: conversation.keySince || conversation.createdAt, until: now },
+          ...(conversation.keyHistory || []),
+        ],
+        verified: false,
+        keyChangedAt: now,
+      };
+    }
+
+    await this.db.put('conversations', updated);
+    return updated;
+  }
+
+  // Default and empty keys are public (anyone can read them), and invite
+  // links can't carry them, so those channels stay radio-only
+  static checkDeviceChannel({ name, psk }) {
+    const length = CryptoUtils.base64ToUint8Array(psk).length;
+    if (length !== 16 && length !== 32) {
+      throw new Error('This channel uses a default or empty key. Give it its own key in the Meshtastic app first.');
+    }
+    if (!name) {
+      throw new Error('This channel has no name. Name it in the Meshtastic app first.');
+    }
+  }
+
+  // Group conversations mirror a secondary channel slot on the radio
+  async writeChannel(conversation) {
+    if (!this.meshtastic.isConnected()) {
+      throw new Error('Connect your radio to join this group');
+    }
+
+    await this.meshtastic.setChannel({
+      index: conversation.channelIndex,
+      role: MeshProto.ChannelRole.SECONDARY,
+      settings: {
+        name: conversation.channelName,
+        psk: CryptoUtils.base64ToUint8Array(conversation.psk),
+      },
+    });
+  }
+
+  // Disabling the slot stops the radio decrypting the group's traffic and
+  // lets findFreeSlot hand the index to the next group
+  async clearChannel(conversation) {
+    if (!this.meshtastic.isConnected()) {
+      throw new Error('Connect your radio to leave this group');
+    }
+
+    await this.meshtastic.setChannel({
+      index: conversation.channelIndex,
+      role: MeshProto.ChannelRole.DISABLED,
+    });
+  }
+
+  // Groups restored from a backup wait for a radio to write their channel
+  // to. One whose slot this radio uses for something else moves to a free
+  // slot, or waits if there isn't one. Returns the ones written.
+  async writePendingChannels() {
+    return this.queueSchedule(() => this.applyPendingChannels());
+  }
+
+  // The timer, a reconnect and a received rotation can all start schedule
+  // work, and each run picks slots and writes channels to the radio. One
+  // at a time, two runs can't switch the same group or take the same slot.
+  queueSchedule(task) {
+    const run = this.scheduleQueue.then(task);
+    this.scheduleQueue = run.catch(() => {});
+    return run;
+  }
+
+  async applyPendingChannels() {
+    const conversations = await this.db.getAll('conversations');
+    const written = [];
+
+    for (const conversation of conversations.filter(c => c.channelPending)) {
+      const others = conversations.filter(c => c.id !== conversation.id);
+      let { channelIndex } = conversation;
+      if (!this.isSlotFree(channelIndex, others, conversation)) {
+        try {
+          channelIndex = this.findFreeSlot(others);
+        } catch {
+          continue;
+        }
+      }
+
+      await this.writeChannel({ ...conversation, channelIndex });
+      // Re-read: a message may have landed while the radio was busy
+      const current = await this.db.get('conversations', conversation.id);
+      if (!current) continue;
+      delete current.channelPending;
+      current.channelIndex = conversation.channelIndex = channelIndex;
+      await this.db.put('conversations', current);
+      written.push(current);
+    }
+    return written;
+  }
+
+  // Invites go to each member as a PKI DM, which only they can read
+  async sendInvites(conversation, memberIds, options) {
+    const url = this.generateInviteUrl(conversation, options);
+    for (const memberId of memberIds) {
+      const dm = await this.openDM(memberId);
+      await this.sendMessage(dm.id, url);
+    }
+  }
+
+  // New members get an invite; the others' member lists catch up the next
+  // time the key changes
+  async addMembers(conversationId, members) {
+    const conversation = await this.db.get('conversations', conversationId);
+    if (!conversation) throw new Error('Conversation not found');
+
+    const added = members.map(m => m.id).filter(id => !conversation.participants.includes(id));
+    const updated = { ...conversation, participants: [...conversation.participants, ...added] };
+
+    await this.db.put('conversations', updated);
+    await this.sendInvites(updated, added);
+    return updated;
+  }
+
+  // A channel has a key but no member list, so removing someone means
+  // moving everyone else to a new key. We switch straight away and keep no
+  // grace slot, so nothing more from the removed member gets through here.
+  async removeMember(conversationId, memberId) {
+    const conversation = await this.db.get('conversations', conversationId);
+    if (!conversation) throw new Error('Conversation not found');
+
+    return this.rotateKey(conversationId, {
+      participants: conversation.participants.filter(id => id !== memberId),
+      delay: 0,
+      grace: false,
+    });
+  }
+
+  // The new key goes to every other member by PKI DM, never over the old
+  // channel: whoever the rotation is meant to shut out can read that. All
+  // of us switch at the same time, delay from now, which gives the DMs a
+  // head start.
+  async rotateKey(conversationId, { participants, delay = ConversationManager.ROTATION_DELAY, grace = true } = {}) {
+    const conversation = await this.db.get('conversations', conversationId);
+    if (!conversation) throw new Error('Conversation not found');
+
+    const updated = {
+      ...conversation,
+      participants: participants || conversation.participants,
+      pendingKey: { psk: CryptoUtils.generatePSK(256), switchAt: Date.now() + delay, grace },
+    };
+    await this.db.put('conversations', updated);
+
+    const members = updated.participants.filter(id => id !== this.meshtastic.myNodeId);
+    await this.sendInvites({ ...updated, psk: updated.pendingKey.psk }, members, { switchAt: updated.pendingKey.switchAt, grace });
+
+    await this.applyScheduleLater();
+    return this.db.get('conversations', conversationId);
+  }
+
+  // Switches now if the radio lets us. The key is saved either way, so a
+  // busy or offline radio just leaves it to the app's next schedule run
+  // rather than failing whatever called this.
+  async applyScheduleLater() {
+    try {
+      await this.applyKeySchedule();
+    } catch (error) {
+      console.warn('Key switch postponed:', error.message);
+    }
+  }
+
+  // An invite DM'd by a member of a group we're already in is that group's
+  // next key and member list (see rotateKey). Only a PKI DM from the key
+  // we already pinned for that member counts (see storeReceived); the
+  // invite's inviter field is just a claim.
+  async applyInviteKey(text, fromNodeId) {
+    const invite = ConversationManager.findInvite(text);
+    if (!invite) return null;
+
+    const conversations = await this.db.getAll('conversations');
+    const group = conversations.find(c =>
+      c.type === 'group' && c.channelName === invite.channelName && c.participants.includes(fromNodeId)
+    );
+    if (!group || group.psk === invite.psk || group.pendingKey?.psk === invite.psk) return null;
+
+    const myNodeId = this.meshtastic.myNodeId;
+    await this.db.put('conversations', {
+      ...group,
+      // Invites from before rotation had a switch time take effect at once.
+      // A removal asks everyone to drop the old key rather than keep it.
+      pendingKey: { psk: invite.psk, switchAt: invite.switchAt || Date.now(), grace: invite.grace },
+      participants: invite.members
+        ? [myNodeId, ...invite.members.filter(id => id !== myNodeId)].filter(Boolean)
+        : group.participants,
+      keyChangedAt: Date.now(),
+    });
+    await this.applyScheduleLater();
+
+    return this.db.get('conversations', group.id);
+  }
+
+  // Moves groups onto keys whose switch time has come and retires old keys
+  // whose grace period is over. Every step writes to the radio, so this
+  // does nothing offline and runs again on connect and on a timer.
+  // Returns the conversations it changed.
+  async applyKeySchedule(now = Date.now()) {
+    return this.queueSchedule(async () => {
+      if (!this.meshtastic.isConnected()) return [];
+
+      const changed = [];
+      for (const conversation of await this.db.getAll('conversations')) {
+        if (conversation.pendingKey && conversation.pendingKey.switchAt <= now) {
+          changed.push(await this.switchKey(conversation, now));
+        } else if (conversation.graceKey && conversation.graceKey.until <= now) {
+          changed.push(await this.endGrace(conversation));
+        }
+      }
+      return changed.filter(Boolean);
+    });
+  }
+
+  // The old key moves to a spare slot for KEY_GRACE_PERIOD, so members who
+  // haven't switched yet still get through. A grace slot that's already
+  // held passes to the newer old key. With no spare slot, or a rotation
+  // without grace, the old key is dropped at once.
+  async switchKey(conversation, now) {
+    const { pendingKey } = conversation;
+    let graceIndex = conversation.graceKey?.channelIndex ?? null;
+    if (graceIndex === null && pendingKey.grace) {
+      try {
+        graceIndex = this.findFreeSlot(await this.db.getAll('conversations'));
+      } catch {
+        graceIndex = null;
+      }
+    }
+
+    const updated = {
+      ...conversation,
+      psk: pendingKey.psk,
+      pendingKey: null,
+      keySince: now,
+      keyHistory: [
+        { psk: conversation.psk, since: conversation.keySince || conversation.createdAt, until: now },
+        ...(conversation.keyHistory || []),
+      ],
+      graceKey: pendingKey.grace && graceIndex !== null
+        ? { psk: conversation.psk, channelIndex: graceIndex, until: now + ConversationManager.KEY_GRACE_PERIOD }
+        : null,
+      // The safety number comes from the key, so it's new too
+      verified: false,
+    };
+
+    await this.writeChannel(updated);
+    if (updated.graceKey) {
+      await this.writeChannel({ ...updated, channelIndex: graceIndex, psk: updated.graceKey.psk });
+    } else if (graceIndex !== null) {
+      await this.clearChannel({ channelIndex: graceIndex });
+    }
+
+    // Re-read: messages and invites keep landing during the radio writes.
+    // An invite may even have brought the key after this one.
+    const current = await this.db.get('conversations', conversation.id);
+    if (!current) return null;
+    const saved = {
+      ...current,
+      psk: updated.psk,
+      pendingKey: current.pendingKey?.psk === pendingKey.psk ? null : current.pendingKey,
+      keySince: updated.keySince,
+      keyHistory: updated.keyHistory,
+      graceKey: updated.graceKey,
+      verified: false,
+    };
+    await this.db.put('conversations', saved);
+    return saved;
+  }
+
+  async endGrace(conversation) {
+    await this.clearChannel({ channelIndex: conversation.graceKey.channelIndex });
+
+    const current = await this.db.get('conversations', conversation.id);
+    if (!current) return null;
+    const updated = { ...current, graceKey: null };
+    await this.db.put('conversations', updated);
+    return updated;
+  }
+
+  // Joining writes the channel to the radio first, so a failed write
+  // leaves no half-joined conversation behind. A group we're already in
+  // opens as it is, even under another key: its next key comes through
+  // applyInviteKey instead.
+  async acceptInvite(invite) {
+    const conversations = await this.db.getAll('conversations');
+    const existing = conversations.find(c =>
+      c.type === 'group' && c.channelName === invite.channelName
+    );
+    if (existing) return existing;
+
+    const conversation = {
+      id: CryptoUtils.generateUUID(),
+      channelIndex: this.findFreeSlot(conversations),
+      channelName: invite.channelName,
+      psk: invite.psk,
+      type: 'group',
+      participants: [...new Set([this.meshtastic.myNodeId, invite.inviterId, ...(invite.members || [])])].filter(Boolean),
+      displayName: invite.displayName,
+      invitedBy: invite.inviterId,
+      createdAt: Date.now(),
+      lastMessageAt: null,
+      pinned: false,
+      muted: false,
+      archived: false,
+      unreadCount: 0,
+    };
+
+    await this.writeChannel(conversation);
+    await this.db.put('conversations', conversation);
+
+    return conversation;
+  }
+
+  // Pinned first, then most recent
+  async getConversations() {
+    const conversations = await this.db.getAll('conversations');
+    return conversations.sort((a, b) =>
+      (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || (b.lastMessageAt || 0) - (a.lastMessageAt || 0)
+    );
+  }
+
+  // Accepts any of { pinned, muted, archived }. Archiving unpins, since a
+  // pinned conversation hidden in the archive would never be seen.
+  async updateFlags(conversationId, flags) {
+    const conversation = await this.db.get('conversations', conversationId);
+    if (!conversation) throw new Error('Conversation not found');
+
+    const updated = { ...conversation, ...flags };
+    if (flags.archived) updated.pinned = false;
+
+    await this.db.put('conversations', updated);
+    return updated;
+  }
+
+  // Group slots are cleared on the radio before anything local is removed,
+  // so a failed write leaves the conversation intact to try again
+  async deleteConversation(conversationId) {
+    const conversation = await this.db.get('conversations', conversationId);
+    if (!conversation) return;
+
+    // A slot the radio has since given to another channel is left alone
+    const slots = conversation.type === 'group'
+      ? [conversation.channelIndex, conversation.graceKey?.channelIndex].filter(Boolean)
+      : [];
+    for (const index of slots) {
+      if (this.deviceHolds(index, this.expectedChannel(conversation, index))) {
+        await this.clearChannel({ channelIndex: index });
+      }
+    }
+
+    await this.db.deleteAll('messages', 'conversationId', IDBKeyRange.only(conversationId));
+    await this.searchIndex.removeConversation(conversationId);
+    await this.db.delete('conversations', conversationId);
+  }
+
+  // DMs match on the sender, everything else on the channel index it
+  // arrived on, as long as the radio still holds our channel there.
+  // Channel 0 is the public mesh; anything else we can't place lands in
+  // the unassigned inbox rather than being dropped.
+  async findConversationFor(packet) {
+    const conversations = await this.db.getAll('conversations');
+    const myNodeNum = this.meshtastic.myNodeInfo?.myNodeNum;
+
+    if (packet.to === myNodeNum) {
+      const dm = conversations.find(c => c.type === 'dm' && this.getPeerId(c) === packet.fromNodeId);
+      if (dm) return dm;
+
+      // A DM costs nothing to open, so a new sender just gets a conversation
+      const sender = this.meshtastic.nodes.get(packet.from)?.user;
+      return this.createDM({ id: packet.fromNodeId, name: sender?.longName || packet.fromNodeId });
+    } else {
+      const channel = conversations.find(c => {
+        if (c.type === 'group') {
+          const expected = this.expectedChannel(c, packet.channel);
+          return !!expected && this.deviceHolds(packet.channel, expected);
+        }
+        return c.type !== 'dm' && c.channelIndex === packet.channel;
+      });
+      if (channel) return channel;
+      if (packet.channel === 0) return this.getSystemConversation(ConversationManager.PUBLIC_ID);
+    }
+
+    return this.getSystemConversation(ConversationManager.UNASSIGNED_ID);
+  }
+
+  async getSystemConversation(id) {
+    const existing = await this.db.get('conversations', id);
+    if (existing) return existing;
+
+    const isPublic = id === ConversationManager.PUBLIC_ID;
+    const conversation = {
+      id,
+      channelIndex: isPublic ? 0 : null,
+      channelName: '',
+      psk: null,
+      type: isPublic ? 'channel' : 'unassigned',
+      participants: [this.meshtastic.myNodeId],
+      displayName: isPublic ? 'Nashville Mesh' : 'Unassigned',
+      readOnly: !isPublic,
+      createdAt: Date.now(),
+      lastMessageAt: null,
+      pinned: false,
+      muted: false,
+      archived: false,
+      unreadCount: 0,
+    };
+
+    await this.db.put('conversations', conversation);
+    return conversation;
+  }
+
+  // Stores a received text packet. Returns null for a duplicate (the radio
+  // replays its queue after a reconnect) and for a chunk of a longer
+  // message that isn't complete yet.
+  async receiveMessage(packet) {
+    return this.queueReceive(() => this.applyReceived(packet));
+  }
+
+  // Packets arrive back to back, and each one reads and rewrites its
+  // conversation. One at a time, a burst can't create a sender's DM twice,
+  // slip a duplicate past the check or lose an unread count.
+  queueReceive(task) {
+    const run = this.receiveQueue.then(task);
+    this.receiveQueue = run.catch(() => {});
+    return run;
+  }
+
+  async applyReceived(packet) {
+    const duplicates = await this.findMessagesByPacketId(packet.id);
+    if (duplicates.some(m => m.fromNodeId === packet.fromNodeId)) return null;
+
+    const chunk = ConversationManager.parseChunk(packet.text);
+    if (chunk) return this.receiveChunk(packet, chunk);
+
+    return this.storeReceived([packet], packet.text);
+  }
+
+  // Chunks wait in memory until the set is complete. A set that stalls is
+  // stored with its gaps marked after REASSEMBLY_TIMEOUT and reported via
+  // onPartialMessage, since receiveMessage has long since returned.
+  async receiveChunk(packet, chunk) {
+    const key = `${packet.fromNodeId}:${chunk.tag}`;
+    let pending = this.pendingChunks.get(key);
+
+    if (!pending) {
+      pending = {
+        parts: new Array(chunk.total).fill(null),
+        packets: [],
+        timer: setTimeout(() => this.flushChunks(key), ConversationManager.REASSEMBLY_TIMEOUT),
+      };
+      this.pendingChunks.set(key, pending);
+    }
+
+    if (chunk.index > pending.parts.length || pending.parts[chunk.index - 1] !== null) return null;
+    pending.parts[chunk.index - 1] = chunk.body;
+    pending.packets.push(packet);
+
+    if (pending.parts.includes(null)) return null;
+
+    clearTimeout(pending.timer);
+    this.pendingChunks.delete(key);
+    return this.storeReceived(pending.packets, pending.parts.join(''));
+  }
+
+  async flushChunks(key) {
+    const pending = this.pendingChunks.get(key);
+    if (!pending) return;
+
+    // Nothing can be stored while the app is locked; wait another round
+    if (this.db.isLocked()) {
+      pending.timer = setTimeout(() => this.flushChunks(key), ConversationManager.REASSEMBLY_TIMEOUT);
+      return;
+    }
+    this.pendingChunks.delete(key);
+
+    const text = pending.parts.map(part => part ?? ConversationManager.MISSING_CHUNK).join('');
+    const received = await this.queueReceive(() => this.storeReceived(pending.packets, text, { partial: true }));
+    this.onPartialMessageCallback?.(received);
+  }
+
+  // packets are every chunk that made up the text, in arrival order
+  async storeReceived(packets, text, { partial = false } = {}) {
+    const [packet] = packets;
+    const conversation = await this.findConversationFor(packet);
+    const sender = this.meshtastic.nodes.get(packet.from)?.user;
+    const pinnedKey = conversation.type === 'dm' ? conversation.peerPublicKey : null;
+
+    const message = {
+      id: CryptoUtils.generateUUID(),
+      packetId: packet.id,
+      packetIds: packets.map(p => p.id),
+      conversationId: conversation.id,
+      fromNodeId: packet.fromNodeId,
+      senderName: conversation.type === 'dm' ? null : (sender?.longName || packet.fromNodeId),
+      text,
+      partial,
+      timestamp: packet.timestamp,
+      receivedAt: Date.now(),
+      read: false,
+      encrypted: packet.channel !== 0 || !!packet.pkiEncrypted,
+      channel: packet.channel,
+      status: 'received',
+      replyId: packet.replyId || null,
+      rxSnr: packet.rxSnr,
+      rxRssi: packet.rxRssi,
+      hopsAway: packet.hopsAway,
+      viaMqtt: packet.viaMqtt,
+      pkiEncrypted: packet.pkiEncrypted,
+    };
+
+    await this.db.put('messages', message);
+    await this.searchIndex.addMessage(message);
+
+    // Only a sender still holding the key we pinned before this message may
+    // change a group's key. A new or changed key (see applyPeerKey) could
+    // be anyone using their node ID.
+    const authenticated = !!pinnedKey && !!packet.publicKey?.length &&
+      CryptoUtils.uint8ArrayToBase64(packet.publicKey) === pinnedKey;
+    const rekeyed = conversation.type === 'dm' && packet.pkiEncrypted && authenticated && !partial
+      ? await this.applyInviteKey(text, packet.fromNodeId)
+      : null;
+
+    // Re-read: a key rotation, a read receipt or a node update may have
+    // saved the conversation while the message was stored
+    let latest = (await this.db.get('conversations', conversation.id)) || conversation;
+
+    // A PKI DM carries the sender's key, which unblocks our replies
+    if (latest.type === 'dm' && packet.pkiEncrypted && packet.publicKey?.length) {
+      latest = this.applyPeerKey(latest, CryptoUtils.uint8ArrayToBase64(packet.publicKey));
+    }
+
+    // New activity brings an archived conversation back, unless it's muted
+    const updated = {
+      ...latest,
+      lastMessageAt: Math.max(latest.lastMessageAt || 0, message.timestamp),
+      lastMessagePreview: message.text,
+      unreadCount: (latest.unreadCount || 0) + 1,
+      archived: latest.archived && latest.muted,
+    };
+    await this.db.put('conversations', updated);
+
+    return { message, conversation: updated, rekeyed };
+  }
+
+  // Conversations match on name (and a DM's node ID), messages on text
+  async search(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return { conversations: [], messages: [] };
+
+    const all = await this.getConversations();
+    const byId = new Map(all.map(c => [c.id, c]));
+    const conversations = all.filter(c =>
+      c.displayName?.toLowerCase().includes(needle) ||
+      (c.type === 'dm' && this.getPeerId(c)?.toLowerCase().includes(needle))
+    );
+
+    const found = await this.searchIndex.search(query);
+    const messages = found
+      .filter(message => byId.has(message.conversationId))
+      .map(message => ({ message, conversation: byId.get(message.conversationId) }));
+
+    return { conversations, messages };
+  }
+
+  // Every message, oldest first. The UI pages through getMessagePage instead.
+  async getMessages(conversationId) {
+    return this.db.getAll('messages', 'conversationTimestamp', ConversationManager.conversationRange(conversationId));
+  }
+
+  // The newest page first; pass the oldest message shown so far as before
+  // to step back. Messages come back oldest first, ready to render.
+  async getMessagePage(conversationId, { before = null, limit = ConversationManager.PAGE_SIZE } = {}) {
+    const range = ConversationManager.conversationRange(conversationId, before);
+    const records = await this.db.getPage('messages', 'conversationTimestamp', range, { direction: 'prev', limit: limit + 1 });
+
+    return {
+      messages: records.slice(0, limit).reverse(),
+      hasMore: records.length > limit,
+    };
+  }
+
+  // [id] sorts before every [id, timestamp, messageId] key and [id, []]
+  // after them, since arrays sort above numbers
+  static conversationRange(conversationId, before = null) {
+    return before
+      ? IDBKeyRange.bound([conversationId], [conversationId, before.timestamp, before.id], false, true)
+      : IDBKeyRange.bound([conversationId], [conversationId, []]);
+  }
+
+  async sendMessage(conversationId, text) {
+    const conversation = await this.db.get('conversations', conversationId);
+    if (!conversation) throw new Error('Conversation not found');
+
+    const chunkTag = CryptoUtils.generateUUID().slice(0, 4);
+    const chunks = ConversationManager.splitMessage(text, chunkTag);
+    if (chunks.length > ConversationManager.MAX_CHUNKS) {
+      throw new Error(`Messages are limited to ${ConversationManager.MAX_CHUNKS} parts`);
+    }
+
+    const sent = await this.transmitChunks(conversation, chunks);
+
+    const message = this.withChunks({
+      id: CryptoUtils.generateUUID(),
+      conversationId,
+      fromNodeId: this.meshtastic.myNodeId,
+      text,
+      chunkTag,
+      timestamp: Date.now(),
+      read: true,
+      encrypted: true,
+      channel: this.getChannel(conversation),
+    }, sent);
+
+    await this.db.put('messages', message);
+    await this.searchIndex.addMessage(message);
+
+    await this.db.put('conversations', {
+      ...conversation,
+      lastMessageAt: Date.now(),
+      lastMessagePreview: text,
+    });
+
+    return message;
+  }
+
+  // Every chunk's packet id is in packetIds, older messages included
+  // (see the version 7 migration)
+  async findMessagesByPacketId(packetId) {
+    return this.db.getAll('messages', 'packetIds', IDBKeyRange.only(packetId));
+  }
+
+  // Received messages share the index, so only look at our own
+  async getMessageByPacketId(packetId) {
+    const messages = await this.findMessagesByPacketId(packetId);
+    return messages.find(m => m.fromNodeId === this.meshtastic.myNodeId) || null;
+  }
+
+  async updateMessageStatus(packetId, status) {
+    return this.queueStatusUpdate(async () => {
+      const message = await this.getMessageByPacketId(packetId);
+      if (!message) return null;
+
+      const updated = this.setChunkStatus(message, packetId, { status });
+      await this.db.put('messages', updated);
+      return updated;
+    });
+  }
+
+  // Chunks still queued when the last page closed went with its outbox and
+  // will never be sent. Failing them offers a resend.
+  async failStranded(packetIds) {
+    return this.queueStatusUpdate(async () => {
+      const failed = [];
+      for (const packetId of packetIds) {
+        const message = await this.getMessageByPacketId(packetId);
+        const chunk = message && this.getChunks(message).find(c => c.packetId === packetId);
+        if (chunk?.status !== 'queued') continue;
+
+        const updated = this.setChunkStatus(message, packetId, { status: 'failed' });
+        await this.db.put('messages', updated);
+        failed.push(updated);
+      }
+      return failed;
+    });
+  }
+
+  // Acks for a message's chunks arrive back to back. Applying them one at
+  // a time stops one read-modify-write from overwriting another.
+  queueStatusUpdate(task) {
+    const run = this.statusQueue.then(task);
+    this.statusQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Every outgoing message tracks its packets as chunks, [{ packetId, status }].
+  // The message's own status is its least advanced chunk.
+  getChunks(message) {
+    return message.chunks || [{ packetId: message.packetId, status: message.status }];
+  }
+
+  withChunks(message, chunks) {
+    const statusOrder = ['failed', 'waiting_key', 'queued', 'sent', 'relayed', 'delivered'];
+    return {
+      ...message,
+      chunks,
+      packetId: chunks[0].packetId,
+      packetIds: chunks.map(c => c.packetId).filter(id => id != null),
+      status: statusOrder.find(status => chunks.some(c => c.status === status)) || chunks[0].status,
+    };
+  }
+
+  setChunkStatus(message, packetId, changes) {
+    const chunks = this.getChunks(message).map(c => c.packetId === packetId ? { ...c, ...changes } : c);
+    return this.withChunks(message, chunks);
+  }
+
+  // The texts actually put on air, headers included
+  getChunkTexts(message) {
+    return message.chunkTag
+      ? ConversationManager.splitMessage(message.text, message.chunkTag)
+      : [message.text];
+  }
+
+  // sent -> relayed (our radio heard a rebroadcast) -> delivered (the
+  // recipient acked) or failed once automatic retries run out
+  async handleAck(ack) {
+    return this.queueStatusUpdate(() => this.applyAck(ack));
+  }
+
+  async applyAck({ packetId, errorReason, implicit }) {
+    const message = await this.getMessageByPacketId(packetId);
+    if (!message) return null;
+
+    if (errorReason) {
+      const reason = MeshProto.RoutingError[errorReason] || `ERROR_${errorReason}`;
+      const maxRetries = await this.getMaxRetries();
+
+      // Sending the same packet again can't fix a missing channel, an
+      // oversized payload or a key problem
+      const retryable = !ConversationManager.PERMANENT_ERRORS.includes(reason);
+
+      if (retryable && (message.retryCount || 0) < maxRetries) {
+        return this.retransmitChunk(message, packetId, { retryCount: (message.retryCount || 0) + 1, errorReason: reason });
+      }
+
+      const failed = this.setChunkStatus({ ...message, errorReason: reason }, packetId, { status: 'failed' });
+      await this.db.put('messages', failed);
+      return failed;
+    }
+
+    // A rebroadcast heard after the recipient's ack mustn't downgrade it
+    const chunk = this.getChunks(message).find(c => c.packetId === packetId);
+    if (implicit && chunk?.status === 'delivered') return null;
+
+    const updated = this.setChunkStatus(message, packetId, { status: implicit ? 'relayed' : 'delivered' });
+    if (updated.status !== 'failed') updated.errorReason = null;
+    await this.db.put('messages', updated);
+    return updated;
+  }
+
+  // Manual resend resets the automatic retry budget
+  async resendMessage(messageId) {
+    const message = await this.db.get('messages', messageId);
+    if (!message) throw new Error('Message not found');
+    return this.retransmit(message, { retryCount: 0, errorReason: null });
+  }
+
+  // Send the same text again under new packet ids. Chunks keep their tag,
+  // so a receiver still holding part of the set completes it.
+  async retransmit(message, changes) {
+    const conversation = await this.db.get('conversations', message.conversationId);
+    if (!conversation) throw new Error('Conversation not found');
+
+    const sent = await this.transmitChunks(conversation, this.getChunkTexts(message));
+    const updated = this.withChunks({ ...message, ...changes }, sent);
+
+    await this.db.put('messages', updated);
+    return updated;
+  }
+
+  // Only the chunk that was NAKed goes out again
+  async retransmitChunk(message, packetId, changes) {
+    const conversation = await this.db.get('conversations', message.conversationId);
+    if (!conversation) throw new Error('Conversation not found');
+
+    const index = this.getChunks(message).findIndex(c => c.packetId === packetId);
+    const sent = await this.transmit(conversation, this.getChunkTexts(message)[index]);
+    const updated = this.setChunkStatus({ ...message, ...changes }, packetId, sent);
+
+    await this.db.put('messages', updated);
+    return updated;
+  }
+
+  // A DM still waiting on a key sends nothing, so every chunk waits with it
+  async transmitChunks(conversation, texts) {
+    const sent = [];
+    for (const text of texts) {
+      const result = await this.transmit(conversation, text);
+      if (result.status === 'waiting_key') return texts.map(() => result);
+      sent.push(result);
+    }
+    return sent;
+  }
+
+  // Hands text to the radio. A DM without the peer's key can't be
+  // encrypted yet: it waits, and we ask the peer for its NodeInfo.
+  async transmit(conversation, text) {
+    const destination = this.getDestination(conversation);
+    let publicKey = null;
+
+    if (conversation.type === 'dm') {
+      publicKey = this.getPeerPublicKey(conversation);
+      if (!publicKey) {
+        this.meshtastic.requestNodeInfo(destination)
+          .catch(error => console.warn('NodeInfo request failed:', error.message));
+        return { packetId: null, status: 'waiting_key' };
+      }
+    }
+
+    const sent = await this.meshtastic.sendMessage(text, this.getChannel(conversation), destination, { publicKey });
+    return { packetId: sent.id, status: sent.queued ? 'queued' : 'sent' };
+  }
+
+  // Called for every node update. Once a DM peer's key shows up, store it
+  // and send whatever was waiting on it.
+  async handleNodeUpdate(node) {
+    const publicKey = node.user?.publicKey;
+    if (!publicKey?.length) return null;
+
+    const nodeId = MeshProto.nodeId(node.num);
+    const encoded = CryptoUtils.uint8ArrayToBase64(publicKey);
+    if (this.knownKeys.get(nodeId) === encoded) return null;
+    this.knownKeys.set(nodeId, encoded);
+
+    const conversations = await this.db.getAll('conversations');
+    const dm = conversations.find(c => c.type === 'dm' && this.getPeerId(c) === nodeId);
+    if (!dm || dm.peerPublicKey === encoded) return null;
+
+    const conversation = this.applyPeerKey(dm, encoded);
+    await this.db.put('conversations', conversation);
+
+    const waiting = (await this.getMessages(dm.id)).filter(m => m.status === 'waiting_key');
+    const messages = [];
+    for (const message of waiting) {
+      messages.push(await this.retransmit(message, {}));
+    }
+
+    return { conversation, messages };
+  }
+
+  // A different key for a peer we already had one for is a reset radio or
+  // an impostor. The radio encrypts to the new key regardless, so take it,
+  // but drop verification and flag the change for the user.
+  applyPeerKey(conversation, encoded) {
+    if (conversation.peerPublicKey === encoded) return conversation;
+    if (!conversation.peerPublicKey) return { ...conversation, peerPublicKey: encoded };
+
+    return {
+      ...conversation,
+      peerPublicKey: encoded,
+      previousPeerPublicKey: conversation.peerPublicKey,
+      verified: false,
+      keyChangedAt: Date.now(),
+    };
+  }
+
+  async getConversation(conversationId) {
+    return this.db.get('conversations', conversationId);
+  }
+
+  // DMs cover both node IDs and both public keys; groups cover the channel
+  // name and PSK, so every member sees the same 30 digits. Null until the
+  // keys are known.
+  async getSafetyNumber(conversation) {
+    if (conversation.type === 'dm') {
+      const myKey = this.meshtastic.myNodeInfo?.user?.publicKey || this.meshtastic.config.security?.publicKey;
+      const peerKey = this.getPeerPublicKey(conversation);
+      if (!myKey?.length || !peerKey) return null;
+
+      return CryptoUtils.createSafetyNumber([
+        { id: this.meshtastic.myNodeId, key: myKey },
+        { id: this.getPeerId(conversation), key: peerKey },
+      ]);
+    }
+
+    if (conversation.type === 'group' && conversation.psk) {
+      return CryptoUtils.createSafetyNumber([
+        { id: conversation.channelName, key: CryptoUtils.base64ToUint8Array(conversation.psk) },
+      ]);
+    }
+
+    return null;
+  }
+
+  // A group's earlier keys, newest first, each with the safety number it had
+  async getKeyHistory(conversation) {
+    return Promise.all((conversation.keyHistory || []).map(async ({ psk, since, until }) => ({
+      since,
+      until,
+      number: await this.getSafetyNumber({ ...conversation, psk }),
+    })));
+  }
+
+  // Verifying (or deliberately clearing it) also acknowledges a key change
+  async setVerified(conversationId, verified) {
+    const conversation = await this.db.get('conversations', conversationId);
+    if (!conversation) throw new Error('Conversation not found');
+
+    const updated = {
+      ...conversation,
+      verified,
+      verifiedAt: verified ? Date.now() : null,
+      keyChangedAt: null,
+    };
+    await this.db.put('conversations', updated);
+    return updated;
+  }
+
+  // Texts over MAX_TEXT_BYTES go out as "[tag i/n] body" chunks. The
+  // header reads fine in other Meshtastic apps, which don't reassemble.
+  // Splitting stops one chunk past MAX_CHUNKS: that's enough to refuse a
+  // text, and the counter calls this on every keystroke.
+  static splitMessage(text, tag) {
+    if (MeshtasticManager.utf8Length(text) <= ConversationManager.MAX_TEXT_BYTES) return [text];
+
+    const budget = ConversationManager.MAX_TEXT_BYTES - ConversationManager.CHUNK_HEADER_BYTES;
+    const bodies = [];
+    let rest = text;
+
+    while (rest && bodies.length <= ConversationManager.MAX_CHUNKS) {
+      let body = MeshtasticManager.truncateUtf8(rest, budget);
+      if (!body) break;
+
+      // Break after a space if there's one near the end
+      const space = body.lastIndexOf(' ');
+      if (body.length < rest.length && space > body.length * 0.8) body = body.slice(0, space + 1);
+
+      bodies.push(body);
+      rest = rest.slice(body.length);
+    }
+
+    return bodies.map((body, i) => `[${tag} ${i + 1}/${bodies.length}] ${body}`);
+  }
+
+  static parseChunk(text) {
+    const match = /^\[([0-9a-f]{4}) ([1-9])\/([2-9])\] /.exec(text);
+    if (!match || Number(match[2]) > Number(match[3])) return null;
+
+    return {
+      tag: match[1],
+      index: Number(match[2]),
+      total: Number(match[3]),
+      body: text.slice(match[0].length),
+    };
+  }
+
+  getKnownPublicKey(nodeId) {
+    const publicKey = this.meshtastic.nodes.get(MeshProto.nodeNum(nodeId))?.user?.publicKey;
+    return publicKey?.length ? CryptoUtils.uint8ArrayToBase64(publicKey) : null;
+  }
+
+  getPeerPublicKey(conversation) {
+    if (conversation.peerPublicKey) return CryptoUtils.base64ToUint8Array(conversation.peerPublicKey);
+    const known = this.getKnownPublicKey(this.getPeerId(conversation));
+    return known ? CryptoUtils.base64ToUint8Array(known) : null;
+  }
+
+  // PKI DMs always travel on the primary channel
+  getChannel(conversation) {
+    return conversation.type === 'dm' ? 0 : conversation.channelIndex;
+  }
+
+  async getMaxRetries() {
+    const setting = await this.db.get('settings', 'messageRetries');
+    return setting?.value ?? ConversationManager.DEFAULT_RETRIES;
+  }
+
+  // Automatic resends before a message is marked failed
+  async setMaxRetries(count) {
+    await this.db.put('settings', { key: 'messageRetries', value: count });
+  }
+
+  getDestination(conversation) {
+    return conversation.type === 'dm'
+      ? MeshProto.nodeNum(this.getPeerId(conversation))
+      : MeshProto.BROADCAST_NUM;
+  }
+
+  // The DM peer is whichever participant isn't us (createDM stores [me, peer])
+  // The DM with this node, started if there isn't one yet
+  async openDM(nodeId) {
+    const conversations = await this.db.getAll('conversations');
+    const existing = conversations.find(c => c.type === 'dm' && this.getPeerId(c) === nodeId);
+    if (existing) return existing;
+
+    return this.createDM({ id: nodeId, name: await this.getMemberName(nodeId) });
+  }
+
+  // A saved contact's name, then whatever the node calls itself
+  async getMemberName(nodeId) {
+    const contact = await this.db.get('contacts', nodeId);
+    return contact?.name || this.meshtastic.nodes.get(MeshProto.nodeNum(nodeId))?.user?.longName || nodeId;
+  }
+
+  getPeerId(conversation) {
+    return conversation.participants.find(id => id !== this.meshtastic.myNodeId)
+      || conversation.participants[conversation.participants.length - 1];
+  }
+
+  async markAsRead(conversationId) {
+    const conversation = await this.db.get('conversations', conversationId);
+    if (!conversation || !conversation.unreadCount) return false;
+
+    await this.db.put('conversations', {
+      ...conversation,
+      unreadCount: 0,
+    });
+
+    const messages = await this.getMessages(conversationId);
+    await Promise.all(messages
+      .filter(m => !m.read)
+      .map(m => this.db.put('messages', { ...m, read: true })));
+    return true;
+  }
+
+  // The channel travels in the URL fragment, which browsers never send to
+  // a server. Payload is base64 UTF-8 JSON: n channel name, p PSK (base64),
+  // d display name, f inviter node ID, i inviter name, m member node IDs,
+  // t when a rotated key takes over (ms since the epoch).
+  generateInviteUrl(conversation, { switchAt, grace } = {}) {
+    const data = {
+      n: conversation.channelName,
+      p: conversation.psk,
+      d: conversation.displayName,
+      f: this.meshtastic.myNodeId,
+      i: this.meshtastic.myNodeInfo?.user?.longName || undefined,
+      m: conversation.participants,
+      t: switchAt,
+      g: grace === false ? 0 : undefined,
+    };
+    const payload = CryptoUtils.uint8ArrayToBase64(new TextEncoder().encode(JSON.stringify(data)));
+    return `https://nashme.sh/#invite=${encodeURIComponent(payload)}`;
+  }
+
+  // Returns null for anything that isn't a usable invite. Links from before
+  // d/f/i/m/t/g existed still parse.
+  static parseInvite(hash) {
+    const match = /^#?invite=(.+)$/.exec(hash || '');
+    if (!match) return null;
+
+    try {
+      const json = new TextDecoder().decode(CryptoUtils.base64ToUint8Array(decodeURIComponent(match[1])));
+      const data = JSON.parse(json);
+      const psk = CryptoUtils.base64ToUint8Array(data.p);
+
+      if (typeof data.n !== 'string' || !data.n ||
+          MeshtasticManager.utf8Length(data.n) > ConversationManager.CHANNEL_NAME_MAX_BYTES) {
+        throw new Error('bad channel name');
+      }
+      if (psk.length !== 16 && psk.length !== 32) {
+        throw new Error('bad PSK length');
+      }
+
+      return {
+        channelName: data.n,
+        psk: data.p,
+        displayName: data.d || data.n,
+        inviterId: typeof data.f === 'string' ? data.f : null,
+        inviterName: typeof data.i === 'string' ? data.i : null,
+        members: Array.isArray(data.m) ? data.m.filter(id => typeof id === 'string') : null,
+        switchAt: Number.isFinite(data.t) ? data.t : null,
+        grace: data.g !== 0,
+      };
+    } catch (error) {
+      console.warn('Ignoring invalid invite link:', error.message);
+      return null;
+    }
+  }
+
+  // An invite link anywhere in a message's text
+  static findInvite(text) {
+    const match = /#(invite=\S+)/.exec(text || '');
+    return match ? ConversationManager.parseInvite(match[1]) : null;
+  }
+}
+
+ConversationManager.DEFAULT_RETRIES = 2;
+ConversationManager.PERMANENT_ERRORS = ['NO_CHANNEL', 'TOO_LARGE', 'PKI_FAILED', 'PKI_UNKNOWN_PUBKEY'];
+ConversationManager.PUBLIC_ID = 'public';
+ConversationManager.UNASSIGNED_ID = 'unassigned';
+ConversationManager.CHANNEL_NAME_MAX_BYTES = 11;
+// The firmware's 233-byte payload, less headroom for PKI's auth tag and nonce
+ConversationManager.MAX_TEXT_BYTES = 200;
+// "[abcd 8/8] "
+ConversationManager.CHUNK_HEADER_BYTES = 11;
+ConversationManager.MAX_CHUNKS = 8;
+ConversationManager.REASSEMBLY_TIMEOUT = 120000;
+ConversationManager.MISSING_CHUNK = ' [\u2026] ';
+ConversationManager.PAGE_SIZE = 50;
+// Time for a rotation's DMs to reach everyone before the switch
+ConversationManager.ROTATION_DELAY = 10 * 60 * 1000;
+ConversationManager.KEY_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// Search Index
+// ============================================================================
+
+// Full-text search over message text. Every prefix of every word in a
+// message is a (token, messageId) record, so a query is one exact key
+// lookup per word. Exact lookups are what let tokens be HMACs when the
+// database is encrypted (see NashMeshDB.indexKey).
+class SearchIndex {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Lowercased with accents folded, so "Café" and "cafe" are the same word
+  static fold(text) {
+    return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+  }
+
+  // Folded, split on anything that isn't a letter or digit
+  static tokenize(text) {
+    const words = SearchIndex.fold(text || '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length >= SearchIndex.MIN_TOKEN_LENGTH);
+    return [...new Set(words)];
+  }
+
+  // Prefixes are capped at MAX_PREFIX_LENGTH; longer words are found by
+  // their first MAX_PREFIX_LENGTH letters
+  static prefixes(token) {
+    const prefixes = [];
+    const longest = Math.min(token.length, SearchIndex.MAX_PREFIX_LENGTH);
+    for (let length = SearchIndex.MIN_TOKEN_LENGTH; length <= longest; length++) {
+      prefixes.push(token.slice(0, length));
+    }
+    return prefixes;
+  }
+
+  async addMessage(message) {
+    const prefixes = new Set(SearchIndex.tokenize(message.text).flatMap(SearchIndex.prefixes));
+    const records = await Promise.all([...prefixes].map(async prefix => ({
+      token: await this.db.indexKey(prefix),
+      messageId: message.id,
+      conversationId: message.conversationId,
+    })));
+    if (records.length > 0) await this.db.putAll('searchIndex', records);
+  }
+
+  async removeConversation(conversationId) {
+    await this.db.deleteAll('searchIndex', 'conversationId', IDBKeyRange.only(conversationId));
+  }
+
+  // Indexes every message when the index is missing or in an older format
+  async build() {
+    const built = await this.db.get('settings', 'searchIndexBuilt');
+    if (built?.value === SearchIndex.FORMAT_VERSION) return;
+
+    await this.db.clear('searchIndex');
+    const messages = await this.db.getAll('messages');
+    for (const message of messages) {
+      await this.addMessage(message);
+    }
+    await this.db.put('settings', { key: 'searchIndexBuilt', value: SearchIndex.FORMAT_VERSION });
+  }
+
+  // Every query word must match, each as a prefix so results show up
+  // while the last word is still being typed. Newest first.
+  async search(query, { limit = SearchIndex.MAX_RESULTS } = {}) {
+    const tokens = SearchIndex.tokenize(query);
+    if (tokens.length === 0) return [];
+
+    let matches = null;
+    for (const token of tokens) {
+      const key = await this.db.indexKey(token.slice(0, SearchIndex.MAX_PREFIX_LENGTH));
+      const records = await this.db.getAll('searchIndex', null, IDBKeyRange.bound([key], [key, []]));
+      const ids = new Set(records.map(record => record.messageId));
+      matches = matches ? new Set([...matches].filter(id => ids.has(id))) : ids;
+      if (matches.size === 0) return [];
+    }
+
+    const messages = await Promise.all([...matches].map(id => this.db.get('messages', id)));
+    return messages
+      .filter(Boolean)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
+  }
+}
+
+SearchIndex.MIN_TOKEN_LENGTH = 2;
+SearchIndex.MAX_PREFIX_LENGTH = 16;
+SearchIndex.MAX_RESULTS = 50;
+// Bumped whenever the record format changes, to rebuild old indexes
+SearchIndex.FORMAT_VERSION = 2;
+
+// ============================================================================
+// Node Manager
+// ============================================================================
+
+class NodeManager {
+  constructor(db, meshtastic) {
+    this.db = db;
+    this.meshtastic = meshtastic;
+    this.records = new Map();
+  }
+
+  async load() {
+    const records = await this.db.getAll('nodes');
+    records.forEach(record => this.records.set(record.num, record));
+  }
+
+  // Flattens a MeshtasticManager node into a stored record. Fields an
+  // update doesn't carry keep their earlier values.
+  async saveNode(node) {
+    const previous = this.records.get(node.num) || {
+      num: node.num,
+      id: MeshProto.nodeId(node.num),
+      firstHeard: Date.now(),
+    };
+
+    const update = {
+      longName: node.user?.longName || null,
+      shortName: node.user?.shortName || null,
+      hwModel: node.user?.hwModel,
+      role: node.user?.role,
+      publicKey: node.user?.publicKey,
+      lastHeard: node.lastHeard ? node.lastHeard * 1000 : null,
+      snr: node.snr,
+      hopsAway: node.hopsAway,
+      viaMqtt: node.viaMqtt,
+      batteryLevel: node.deviceMetrics?.batteryLevel || null,
+      voltage: node.deviceMetrics?.voltage || null,
+      latitude: node.position?.latitude,
+      longitude: node.position?.longitude,
+      isSelf: node.num === this.meshtastic.myNodeInfo?.myNodeNum || null,
+    };
+
+    const record = { ...previous };
+    Object.entries(update).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) record[key] = value;
+    });
+
+    this.records.set(node.num, record);
+    await this.db.put('nodes', record);
+    return record;
+  }
+
+  getNode(num) {
+    return this.records.get(num) || null;
+  }
+
+  // Everyone but us, with distance (km) from our own node's last position
+  getNodes(sortBy = 'lastHeard') {
+    const nodes = [...this.records.values()]
+      .filter(record => !record.isSelf)
+      .map(record => ({ ...record, distance: this.distanceTo(record) }));
+
+    const byLastHeard = (a, b) => (b.lastHeard || 0) - (a.lastHeard || 0);
+
+    if (sortBy === 'distance') {
+      return nodes.sort((a, b) => {
+        if (a.distance === null || b.distance === null) {
+          return (a.distance === null) - (b.distance === null) || byLastHeard(a, b);
+        }
+        return a.distance - b.distance;
+      });
+    }
+    return nodes.sort(byLastHeard);
+  }
+
+  distanceTo(record) {
+    const self = [...this.records.values()].find(r => r.isSelf);
+    if (!self || self.latitude === undefined || record.latitude === undefined) return null;
+
+    // Haversine
+    const toRad = degrees => degrees * Math.PI / 180;
+    const dLat = toRad(record.latitude - self.latitude);
+    const dLon = toRad(record.longitude - self.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(self.latitude)) * Math.cos(toRad(record.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * NodeManager.EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+}
+
+NodeManager.EARTH_RADIUS_KM = 6371;
+
+// ============================================================================
+// Backup
+// ============================================================================
+
+// A backup is a JSON envelope naming its key derivation around a single
+// AES-GCM blob. Records go in decrypted and re-encrypted under the backup's
+// own passphrase, so restoring doesn't depend on this device's passphrase.
+class BackupManager {
+  constructor(db, conversations) {
+    this.db = db;
+    this.conversations = conversations;
+  }
+
+  // Messages are optional: keys and contacts alone fit an animated QR
+  async createBackup(passphrase, { includeMessages = false } = {}) {
+    const settings = await this.db.getAll('settings');
+    const payload = {
+      exportedAt: Date.now(),
+      nodeId: this.conversations.meshtastic.myNodeId,
+      conversations: await this.db.getAll('conversations'),
+      contacts: await this.db.getAll('contacts'),
+      messages: includeMessages ? await this.db.getAll('messages') : [],
+      settings: settings.filter(setting => !BackupManager.LOCAL_SETTINGS.includes(setting.key)),
+    };
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iterations = NashMeshDB.PBKDF2_ITERATIONS;
+    const { cipherKey } = await CryptoUtils.deriveStorageKeys(passphrase, salt, iterations);
+    const { iv, ciphertext } = await CryptoUtils.encryptValue(cipherKey, payload);
+
+    return JSON.stringify({
+      format: BackupManager.FORMAT,
+      version: BackupManager.VERSION,
+      salt: CryptoUtils.uint8ArrayToBase64(salt),
+      iterations,
+      iv: CryptoUtils.uint8ArrayToBase64(iv),
+      ciphertext: CryptoUtils.uint8ArrayToBase64(ciphertext),
+    });
+  }
+
+  async readBackup(text, passphrase) {
+    const backup = BackupManager.parseBackup(text);
+    const salt = CryptoUtils.base64ToUint8Array(backup.salt);
+    const { cipherKey } = await CryptoUtils.deriveStorageKeys(passphrase, salt, backup.iterations);
+
+    try {
+      return await CryptoUtils.decryptValue(cipherKey, {
+        iv: CryptoUtils.base64ToUint8Array(backup.iv),
+        ciphertext: CryptoUtils.base64ToUint8Array(backup.ciphertext),
+      });
+    } catch {
+      throw BackupManager.error('wrong_passphrase', 'Wrong passphrase for this backup');
+    }
+  }
+
+  // Merges a backup into what's already here; where both have a record,
+  // the local one wins. A group whose channel index is taken here, or on
+  // the radio, moves to a free slot, and is left out if there isn't one.
+  async restoreBackup(text, passphrase) {
+    const payload = await this.readBackup(text, passphrase);
+    const summary = { conversations: 0, contacts: 0, messages: 0, skipped: [] };
+
+    const local = await this.db.getAll('conversations');
+    const conversationIds = new Map();
+    const added = [];
+    const updated = [];
+
+    for (const conversation of payload.conversations) {
+      const restored = this.adoptConversation(conversation, payload.nodeId);
+      const existing = this.findExisting(local, restored);
+      if (existing) {
+        conversationIds.set(conversation.id, existing.id);
+        if ((restored.lastMessageAt || 0) > (existing.lastMessageAt || 0)) {
+          updated.push({
+            ...existing,
+            lastMessageAt: restored.lastMessageAt,
+            lastMessagePreview: restored.lastMessagePreview,
+          });
+        }
+        continue;
+      }
+
+      if (restored.type === 'group') {
+        const free = restored.channelIndex && this.conversations.isSlotFree(restored.channelIndex, local, restored);
+        if (!free) {
+          try {
+            restored.channelIndex = this.conversations.findFreeSlot(local);
+          } catch {
+            summary.skipped.push(restored.displayName);
+            continue;
+          }
+        }
+        // This radio doesn't have the channel yet, or any old key's grace slot
+        restored.channelPending = true;
+        restored.graceKey = null;
+      }
+
+      local.push(restored);
+      added.push(restored);
+      conversationIds.set(conversation.id, restored.id);
+    }
+
+    const contacts = await this.db.getAll('contacts');
+    const newContacts = payload.contacts.filter(contact => !contacts.some(c => c.id === contact.id));
+
+    const settings = await this.db.getAll('settings');
+    const newSettings = payload.settings.filter(setting =>
+      !BackupManager.LOCAL_SETTINGS.includes(setting.key) && !settings.some(s => s.key === setting.key)
+    );
+
+    if (newContacts.length > 0) await this.db.putAll('contacts', newContacts);
+    if (newSettings.length > 0) await this.db.putAll('settings', newSettings);
+    if (added.length + updated.length > 0) await this.db.putAll('conversations', [...added, ...updated]);
+    summary.contacts = newContacts.length;
+    summary.conversations = added.length;
+
+    summary.messages = await this.restoreMessages(payload.messages, conversationIds);
+
+    // Offline, the channels are written the next time the radio connects
+    if (this.conversations.meshtastic.isConnected()) {
+      await this.conversations.writePendingChannels();
+    }
+
+    return summary;
+  }
+
+  // Returns how many were new. Each one is indexed for search as it lands.
+  async restoreMessages(messages, conversationIds) {
+    const byConversation = new Map();
+    for (const message of messages) {
+      const conversationId = conversationIds.get(message.conversationId);
+      if (!conversationId) continue;
+      if (!byConversation.has(conversationId)) byConversation.set(conversationId, []);
+      byConversation.get(conversationId).push({ ...message, conversationId });
+    }
+
+    let restored = 0;
+    for (const [conversationId, incoming] of byConversation) {
+      const existing = await this.db.getAll('messages', 'conversationId', IDBKeyRange.only(conversationId));
+      const existingIds = new Set(existing.map(message => message.id));
+      const fresh = incoming
+        .filter(message => !existingIds.has(message.id))
+        .map(message => this.settleMessage(message));
+      if (fresh.length === 0) continue;
+
+      await this.db.putAll('messages', fresh);
+      for (const message of fresh) {
+        await this.conversations.searchIndex.addMessage(message);
+      }
+      restored += fresh.length;
+    }
+    return restored;
+  }
+
+  // The outbox stays on the old device, so anything it hadn't sent yet
+  // never will be. As after a reload (see failStranded), marking it
+  // failed offers a resend instead.
+  settleMessage(message) {
+    const unsent = status => ['queued', 'waiting_key'].includes(status);
+    if (!this.conversations.getChunks(message).some(chunk => unsent(chunk.status))) return message;
+
+    const chunks = this.conversations.getChunks(message)
+      .map(chunk => unsent(chunk.status) ? { ...chunk, status: 'failed' } : chunk);
+    return this.conversations.withChunks({ ...message, errorReason: null }, chunks);
+  }
+
+  // The backup's participants name the old device's radio. Swap in this
+  // one's, or drop it until this radio is known, so getPeerId still finds
+  // the other side.
+  adoptConversation(conversation, previousNodeId) {
+    const myNodeId = this.conversations.meshtastic.myNodeId;
+    const others = conversation.participants.filter(id => id !== previousNodeId && id !== myNodeId);
+    return { ...conversation, participants: [myNodeId, ...others].filter(Boolean) };
+  }
+
+  // Same id, or the same group key, or a DM with the same peer
+  findExisting(local, conversation) {
+    return local.find(c => c.id === conversation.id) ||
+      local.find(c => {
+        if (c.type !== conversation.type) return false;
+        if (c.type === 'group') return c.channelName === conversation.channelName && c.psk === conversation.psk;
+        if (c.type === 'dm') return this.conversations.getPeerId(c) === this.conversations.getPeerId(conversation);
+        return false;
+      });
+  }
+
+  static parseBackup(text) {
+    let backup = null;
+    try {
+      backup = JSON.parse(text);
+    } catch {
+      // Reported below along with any other file that isn't a backup
+    }
+
+    if (backup?.format !== BackupManager.FORMAT) {
+      throw BackupManager.error('invalid_backup', "This isn't a nashme.sh backup");
+    }
+    if (backup.version > BackupManager.VERSION) {
+      throw BackupManager.error('unsupported_backup', 'This backup is from a newer version of nashme.sh. Update the app and try again.');
+    }
+    return backup;
+  }
+
+  // Crockford base32, since it's typed on the receiving phone: there's no
+  // O, I, L or U, and normalizing reads the lookalikes as 0 and 1.
+  // 16 characters is 80 bits.
+  static generateTransferCode() {
+    const alphabet = BackupManager.TRANSFER_CODE_ALPHABET;
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    const code = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    return code.match(/.{4}/g).join('-');
+  }
+
+  static normalizeTransferCode(code) {
+    return code.toUpperCase()
+      .replace(/[^A-Z0-9]/g, '')
+      .replace(/O/g, '0')
+      .replace(/[IL]/g, '1');
+  }
+
+  // An animated QR carries a backup one frame at a time:
+  // nashme-xfer:<session>:<index>:<count>:<data>
+  static toFrames(text) {
+    const session = CryptoUtils.generateUUID().slice(0, 8);
+    const length = BackupManager.FRAME_DATA_LENGTH;
+    const count = Math.ceil(text.length / length);
+    return Array.from({ length: count }, (_, i) =>
+      `${BackupManager.FRAME_PREFIX}${session}:${i}:${count}:${text.slice(i * length, (i + 1) * length)}`
+    );
+  }
+
+  static parseFrame(value) {
+    if (!value.startsWith(BackupManager.FRAME_PREFIX)) return null;
+    const match = /^([0-9a-f]{8}):(\d+):(\d+):([\s\S]*)$/.exec(value.slice(BackupManager.FRAME_PREFIX.length));
+    if (!match) return null;
+
+    const [, session, index, count, data] = match;
+    if (Number(index) >= Number(count)) return null;
+    return { session, index: Number(index), count: Number(count), data };
+  }
+
+  static error(type, message) {
+    const error = new Error(message);
+    error.type = type;
+    return error;
+  }
+}
+
+BackupManager.FORMAT = 'nashme.sh backup';
+BackupManager.VERSION = 1;
+// Device state that shouldn't follow the data to another device
+BackupManager.LOCAL_SETTINGS = ['encryption', 'searchIndexBuilt', 'configured', 'configuredAt', 'autoLockMinutes'];
+BackupManager.FRAME_PREFIX = 'nashme-xfer:';
+BackupManager.FRAME_DATA_LENGTH = 400;
+BackupManager.TRANSFER_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// ============================================================================
+// Message List
+// ============================================================================
+
+// Renders only the messages near the viewport. Heights are measured as
+// messages render and estimated until then; spacers above and below stand
+// in for the rest so the scrollbar stays honest. Every re-render keeps the
+// first visible message where it was on screen, which is what holds the
+// view still while older pages are prepended.
+class MessageList {
+  constructor(container, renderItem) {
+    this.container = container;
+    this.renderItem = renderItem;
+    this.messages = [];
+    this.heights = new Map();
+    this.elements = new Map();
+    this.hasMore = false;
+    this.loading = null;
+    this.frame = null;
+    this.disposed = false;
+    this.onLoadOlderCallback = null;
+
+    this.topSpacer = document.createElement('div');
+    this.window = document.createElement('div');
+    this.window.className = 'message-window';
+    this.bottomSpacer = document.createElement('div');
+    container.replaceChildren(this.topSpacer, this.window, this.bottomSpacer);
+
+    this.gap = parseFloat(getComputedStyle(this.window).rowGap) || 0;
+    this.scrollHandler = () => this.handleScroll();
+    container.onscroll = this.scrollHandler;
+  }
+
+  // callback(oldestMessage) resolves to the next page back, { messages, hasMore }
+  onLoadOlder(callback) {
+    this.onLoadOlderCallback = callback;
+  }
+
+  setMessages(messages, hasMore) {
+    this.messages = messages;
+    this.hasMore = hasMore;
+    this.elements.clear();
+    this.window.replaceChildren();
+    this.scrollToBottom();
+  }
+
+  // Follows the new message down if we were already at the bottom, or if
+  // it's our own
+  append(message, { follow = false } = {}) {
+    const atBottom = this.isAtBottom();
+    this.messages.push(message);
+    if (follow || atBottom) this.scrollToBottom();
+    else this.render();
+  }
+
+  update(message) {
+    const index = this.messages.findIndex(m => m.id === message.id);
+    if (index === -1) return;
+
+    this.messages[index] = message;
+    const el = this.elements.get(message.id);
+    if (el) {
+      const replacement = this.renderItem(message);
+      el.replaceWith(replacement);
+      this.elements.set(message.id, replacement);
+      this.render();
+    }
+  }
+
+  async loadOlder() {
+    if (this.disposed || !this.hasMore || !this.onLoadOlderCallback) return;
+    if (!this.loading) {
+      this.loading = this.onLoadOlderCallback(this.messages[0]).then(page => {
+        // Another conversation took over the container while this page loaded
+        if (this.disposed) return;
+
+        const pinned = this.captureAnchor();
+        this.messages = [...page.messages, ...this.messages];
+        this.hasMore = page.hasMore;
+
+        // Grow the space above by the new pages' estimated height and scroll
+        // down by as much; the anchor then corrects for the estimate
+        let added = 0;
+        for (let i = 0; i < page.messages.length; i++) added += this.slotHeight(i);
+        this.topSpacer.style.height = `${(parseFloat(this.topSpacer.style.height) || 0) + added}px`;
+        this.container.scrollTop += added;
+
+        this.render({ anchor: pinned });
+      }).finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  // Pages back until the message is loaded, then centres it. Returns its
+  // element, or null if it isn't in this conversation.
+  async scrollTo(messageId) {
+    while (!this.messages.some(m => m.id === messageId) && this.hasMore) {
+      await this.loadOlder();
+      if (this.disposed) return null;
+    }
+
+    const index = this.messages.findIndex(m => m.id === messageId);
+    if (index === -1) return null;
+
+    let offset = 0;
+    for (let i = 0; i < index; i++) offset += this.slotHeight(i);
+    this.container.scrollTop = offset - this.container.clientHeight / 2;
+    this.render();
+
+    const el = this.elements.get(messageId);
+    el?.scrollIntoView({ block: 'center' });
+    return el || null;
+  }
+
+  // The container outlives the list when another conversation opens in it.
+  // A page still loading for this one is dropped rather than scrolled in.
+  dispose() {
+    this.disposed = true;
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+    if (this.container.onscroll === this.scrollHandler) this.container.onscroll = null;
+  }
+
+  scrollToBottom() {
+    // Estimated heights settle as messages get measured, so repeat until
+    // the bottom stays put
+    for (let i = 0; i < MessageList.SETTLE_PASSES; i++) {
+      this.container.scrollTop = this.container.scrollHeight;
+      this.render({ anchor: false });
+    }
+  }
+
+  isAtBottom() {
+    const { scrollTop, scrollHeight, clientHeight } = this.container;
+    return scrollHeight - scrollTop - clientHeight < MessageList.BOTTOM_THRESHOLD_PX;
+  }
+
+  handleScroll() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+      if (this.container.scrollTop < MessageList.LOAD_THRESHOLD_PX) {
+        this.loadOlder().catch(error => console.error('Failed to load older messages:', error));
+      }
+    });
+  }
+
+  slotHeight(index) {
+    return (this.heights.get(this.messages[index].id) || MessageList.ESTIMATED_HEIGHT_PX) + this.gap;
+  }
+
+  // anchor is true to hold the first visible message in place, false to
+  // let it move, or a position captureAnchor took before the list changed
+  render({ anchor = true } = {}) {
+    const pinned = anchor === true ? this.captureAnchor() : anchor || null;
+    const { scrollTop, clientHeight } = this.container;
+    const top = scrollTop - MessageList.OVERSCAN_PX;
+    const bottom = scrollTop + clientHeight + MessageList.OVERSCAN_PX;
+
+    let offset = 0;
+    let start = 0;
+    while (start < this.messages.length && offset + this.slotHeight(start) < top) {
+      offset += this.slotHeight(start++);
+    }
+    const above = offset;
+
+    let end = start;
+    while (end < this.messages.length && offset < bottom) {
+      offset += this.slotHeight(end++);
+    }
+
+    let below = 0;
+    for (let i = end; i < this.messages.length; i++) below += this.slotHeight(i);
+
+    // Reuse elements still in the window; build the ones scrolling in
+    const visible = this.messages.slice(start, end);
+    const elements = new Map();
+    visible.forEach(message => {
+      elements.set(message.id, this.elements.get(message.id) || this.renderItem(message));
+    });
+    const changed = elements.size !== this.elements.size ||
+      [...elements.values()].some((el, i) => this.window.children[i] !== el);
+    this.elements = elements;
+    if (changed) this.window.replaceChildren(...elements.values());
+
+    // A hidden list measures everything as 0; keep the estimates until it shows
+    elements.forEach((el, id) => {
+      if (el.offsetHeight) this.heights.set(id, el.offsetHeight);
+    });
+    this.topSpacer.style.height = `${above}px`;
+    this.bottomSpacer.style.height = `${below}px`;
+
+    if (pinned) this.restoreAnchor(pinned);
+  }
+
+  // The first message at least partly on screen, and where it sits
+  captureAnchor() {
+    const viewTop = this.container.getBoundingClientRect().top;
+    for (const [id, el] of this.elements) {
+      const rect = el.getBoundingClientRect();
+      if (rect.bottom > viewTop) return { id, top: rect.top - viewTop };
+    }
+    return null;
+  }
+
+  restoreAnchor({ id, top }) {
+    const el = this.elements.get(id);
+    if (!el) return;
+
+    const viewTop = this.container.getBoundingClientRect().top;
+    this.container.scrollTop += (el.getBoundingClientRect().top - viewTop) - top;
+  }
+}
+
+MessageList.ESTIMATED_HEIGHT_PX = 64;
+MessageList.OVERSCAN_PX = 600;
+MessageList.LOAD_THRESHOLD_PX = 200;
+MessageList.BOTTOM_THRESHOLD_PX = 40;
+MessageList.SETTLE_PASSES = 3;
+
+// ============================================================================
+// UI Manager
+// ============================================================================
+
+class UIManager {
+  constructor() {
+    this.app = document.getElementById('app');
+    this.currentScreen = null;
+    this.selectedConversation = null;
+    this.onResend = null;
+  }
+
+  showScreen(templateId) {
+    const template = document.getElementById(templateId);
+    if (!template) {
+      console.error(`Template not found: ${templateId}`);
+      return null;
+    }
+
+    const content = template.content.cloneNode(true);
+    this.app.innerHTML = '';
+    this.app.appendChild(content);
+    this.currentScreen = templateId;
+
+    return this.app.querySelector('.screen');
+  }
+
+  // The template's connect button uses the preferred transport; any other
+  // transport the browser supports is offered underneath it.
+  showOnboarding(transports, onConnect) {
+    this.showScreen('onboarding-template');
+
+    const connectBtn = document.getElementById('connect-btn');
+    if (!connectBtn) return;
+
+    const [preferred, ...others] = transports;
+    const choose = (transport) => {
+      if (transport.needsHost) {
+        this.showHostForm(connectBtn, (host) => onConnect({ transport: transport.type, host }));
+      } else {
+        onConnect({ transport: transport.type });
+      }
+    };
+
+    if (!preferred) {
+      connectBtn.addEventListener('click', () => onConnect({ transport: 'ble' }));
+      return;
+    }
+
+    if (preferred.type !== 'ble') {
+      connectBtn.textContent = `Connect via ${preferred.label}`;
+    }
+    connectBtn.addEventListener('click', () => choose(preferred));
+
+    if (others.length > 0) {
+      const options = document.createElement('div');
+      options.className = 'transport-options';
+      options.innerHTML = '<span>or connect via</span>';
+
+      others.forEach(transport => {
+        const btn = document.createElement('button');
+        btn.className = 'text-btn';
+        btn.textContent = transport.label;
+        btn.addEventListener('click', () => choose(transport));
+        options.appendChild(btn);
+      });
+
+      connectBtn.after(options);
+    }
+  }
+
+  showHostForm(anchor, onSubmit) {
+    document.querySelector('.host-form')?.remove();
+
+    const form = document.createElement('form');
+    form.className = 'host-form form-group';
+    form.innerHTML = `
+      <label for="node-host">Node address</label>
+      <input type="text" id="node-host" placeholder="meshtastic.local or 192.168.1.20"
+             autocomplete="off" autocapitalize="off" spellcheck="false">
+      <small>Your phone must be on the same WiFi network as the node.</small>
+      <button type="submit" class="secondary-btn">Connect</button>
+    `;
+    anchor.parentElement.appendChild(form);
+
+    const input = form.querySelector('input');
+    input.value = localStorage.getItem(`${NASHME_STORAGE_PREFIX}nodeHost`) || '';
+    input.focus();
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const host = input.value.trim();
+      if (!host) return;
+      localStorage.setItem(`${NASHME_STORAGE_PREFIX}nodeHost`, host);
+      onSubmit(host);
+    });
+  }
+
+  showConnecting() {
+    this.showScreen('connecting-template');
+  }
+
+  updateProgress(percent, message, step) {
+    const progressFill = document.getElementById('progress-fill');
+    const progressText = document.getElementById('progress-text');
+    const connectStatus = document.getElementById('connect-status');
+    const connectTitle = document.getElementById('connect-title');
+
+    if (progressFill) progressFill.style.width = `${percent}%`;
+    if (progressText) progressText.textContent = `${Math.round(percent)}%`;
+    if (connectStatus) connectStatus.textContent = message;
+
+    // Update step indicators
+    if (step) {
+      const steps = document.querySelectorAll('#config-steps li');
+      steps.forEach(li => {
+        const liStep = li.dataset.step;
+        if (liStep === step) {
+          li.classList.add('active');
+          li.classList.remove('done');
+        } else if (this.isStepBefore(liStep, step)) {
+          li.classList.add('done');
+          li.classList.remove('active');
+        }
+      });
+
+      if (step === 'done') {
+        steps.forEach(li => {
+          li.classList.add('done');
+          li.classList.remove('active');
+        });
+        if (connectTitle) connectTitle.textContent = 'Setup Complete!';
+      }
+    }
+  }
+
+  isStepBefore(step, currentStep) {
+    const order = ['region', 'radio', 'channel', 'battery', 'position', 'role', 'verify', 'done'];
+    return order.indexOf(step) < order.indexOf(currentStep);
+  }
+
+  showUserSetup(onSave, onSkip) {
+    this.showScreen('user-setup-template');
+
+    const longNameInput = document.getElementById('long-name');
+    const shortNameInput = document.getElementById('short-name');
+    const saveBtn = document.getElementById('save-user-btn');
+    const skipBtn = document.getElementById('skip-user-btn');
+    if (!longNameInput || !shortNameInput) return;
+
+    // Blank names are allowed here - the app fills in a default
+    const fields = this.bindOwnerFields(longNameInput, shortNameInput, saveBtn, { allowEmpty: true });
+
+    const buttons = [saveBtn, skipBtn].filter(Boolean);
+    const submit = async (handler) => {
+      buttons.forEach(btn => { btn.disabled = true; });
+      try {
+        await handler();
+      } catch (error) {
+        // Radio errors aren't the user's input, so leave Save enabled to retry
+        fields.showErrors(error.errors || { longName: error.message });
+        buttons.forEach(btn => { btn.disabled = btn === saveBtn && !!error.errors; });
+      }
+    };
+
+    saveBtn?.addEventListener('click', () => {
+      submit(() => onSave(longNameInput.value, shortNameInput.value));
+    });
+
+    skipBtn?.addEventListener('click', () => {
+      submit(() => onSkip());
+    });
+  }
+
+  // Live byte counters and inline errors for a long/short name pair. The
+  // short name follows the long one until the user edits it.
+  bindOwnerFields(longNameInput, shortNameInput, saveBtn, { allowEmpty = false } = {}) {
+    const { LONG_NAME_MAX_BYTES, SHORT_NAME_MAX_BYTES } = MeshtasticManager;
+    const limits = new Map([[longNameInput, LONG_NAME_MAX_BYTES], [shortNameInput, SHORT_NAME_MAX_BYTES]]);
+
+    const fieldFor = (input) => {
+      let error = input.parentElement.querySelector('.field-error');
+      if (!error) {
+        error = document.createElement('p');
+        error.className = 'field-error';
+        input.after(error);
+      }
+      return error;
+    };
+
+    const showErrors = (errors) => {
+      [[longNameInput, errors.longName], [shortNameInput, errors.shortName]].forEach(([input, message]) => {
+        input.classList.toggle('invalid', !!message);
+        fieldFor(input).textContent = message || '';
+      });
+      if (saveBtn) saveBtn.disabled = !!(errors.longName || errors.shortName);
+    };
+
+    const validate = () => {
+      const errors = MeshtasticManager.validateOwner(longNameInput.value, shortNameInput.value);
+      if (allowEmpty && !longNameInput.value.trim()) delete errors.longName;
+      if (allowEmpty && !shortNameInput.value.trim()) delete errors.shortName;
+
+      limits.forEach((limit, input) => {
+        input.title = `${MeshtasticManager.utf8Length(input.value.trim())} / ${limit} bytes`;
+      });
+      showErrors(errors);
+    };
+
+    longNameInput.addEventListener('input', () => {
+      if (!shortNameInput.dataset.manual) {
+        shortNameInput.value = MeshtasticManager.truncateUtf8(longNameInput.value.trim(), SHORT_NAME_MAX_BYTES).toUpperCase();
+      }
+      validate();
+    });
+
+    shortNameInput.addEventListener('input', () => {
+      shortNameInput.dataset.manual = 'true';
+      validate();
+    });
+
+    return { validate, showErrors };
+  }
+
+  showSuccess(onComplete) {
     this.showScreen('success-template');
 
-    setTimeout(onComplete, 2500);
+    setTimeout(onComplete, 2500);
+  }
+
+  showError(message, errorType, onRetry) {
+    this.showScreen('error-template');
+
+    const errorMessage = document.getElementById('error-message');
+    const retryBtn = document.getElementById('retry-btn');
+    const troubleshootingContainer = document.querySelector('.troubleshooting');
+
+    if (errorMessage) errorMessage.textContent = message;
+    retryBtn?.addEventListener('click', onRetry);
+
+    // Show appropriate troubleshooting steps based on error type
+    if (troubleshootingContainer) {
+      const steps = this.getTroubleshootingSteps(errorType);
+      troubleshootingContainer.innerHTML = `
+        <h3>${steps.title}</h3>
+        <ul>
+          ${steps.items.map(item => `<li>${item}</li>`).join('')}
+        </ul>
+      `;
+    }
+  }
+
+  getTroubleshootingSteps(errorType) {
+    const troubleshootingGuides = {
+      bluetooth_disabled: {
+        title: 'Enable Web Bluetooth:',
+        items: [
+          'Use Chrome, Edge, or Opera browser (Firefox/Safari not supported)',
+          'On Chrome: Go to chrome://flags and enable "Experimental Web Platform features"',
+          'Make sure this page is served over HTTPS',
+          'Check that Bluetooth is enabled in your device settings',
+          'On iOS: Web Bluetooth is not supported - use the Meshtastic app instead'
+        ]
+      },
+      browser_unsupported: {
+        title: 'Browser not supported:',
+        items: [
+          'Use Google Chrome, Microsoft Edge, or Opera browser for Bluetooth or USB',
+          'Firefox and Safari do not support Web Bluetooth or Web Serial',
+          'On Android: Use Chrome browser',
+          'On iOS or Firefox: connect to a WiFi-enabled node by its IP address instead'
+        ]
+      },
+      http_unreachable: {
+        title: 'Could not reach your node:',
+        items: [
+          'Check the address - try the IP shown on the node\'s screen',
+          'Make sure this phone or computer is on the same WiFi network as the node',
+          'Enable WiFi in the node\'s network settings using the Meshtastic app',
+          'If the node uses HTTPS, open its address once in a new tab and accept the certificate'
+        ]
+      },
+      user_cancelled: {
+        title: 'Connection cancelled:',
+        items: [
+          'Click "Try Again" to restart the connection',
+          'When the device picker appears, select your Meshtastic device',
+          'Make sure your device is powered on and nearby'
+        ]
+      },
+      no_device: {
+        title: 'No device found:',
+        items: [
+          'Make sure your Meshtastic device is powered on',
+          'Ensure Bluetooth is enabled on your device',
+          'Move closer to your Meshtastic device',
+          'Try restarting your Meshtastic device'
+        ]
+      },
+      connection_lost: {
+        title: 'Connection lost:',
+        items: [
+          'Move closer to your Meshtastic device',
+          'Check that your device is still powered on',
+          'Try restarting your Meshtastic device',
+          'Restart Bluetooth on your phone/computer'
+        ]
+      },
+      config_mismatch: {
+        title: 'Some settings were not saved:',
+        items: [
+          'Your radio may be running older firmware - update it with the Meshtastic web flasher',
+          'Click "Try Again" to re-send the nashme.sh settings',
+          'Keep the device close and powered on until setup finishes'
+        ]
+      },
+      device: {
+        title: 'Try these steps:',
+        items: [
+          'Make sure your device is powered on',
+          'Check that Bluetooth is enabled',
+          'Move your device closer',
+          'Restart your Meshtastic device'
+        ]
+      }
+    };
+
+    return troubleshootingGuides[errorType] || troubleshootingGuides.device;
+  }
+
+  showMessenger(conversations, onNewConvo, onSelectConvo, onOpenSettings, onOpenNodes, onConvoActions, onNewGroup, onOpenInvite, onOpenChannels) {
+    this.showScreen('messenger-template');
+
+    // Invite links that arrive in messages get a button that opens them
+    this.onOpenInvite = onOpenInvite;
+    this.renderConversations(conversations, onSelectConvo, onConvoActions);
+
+    this.addHeaderButton('settings-btn', '\u2699', 'Settings', onOpenSettings);
+    this.addHeaderButton('nodes-btn', '\u{1F4E1}', 'Nodes', onOpenNodes);
+    this.addHeaderButton('new-group-btn', '\u{1F465}', 'New group', onNewGroup);
+    this.addHeaderButton('channels-btn', '\u{1F4FB}', 'Radio channels', onOpenChannels);
+
+    // Set up event listeners
+    const newDmBtn = document.getElementById('new-dm-btn');
+    const fabBtn = document.getElementById('new-conversation-fab');
+    const startConvoBtn = document.getElementById('start-convo-btn');
+
+    [newDmBtn, fabBtn, startConvoBtn].forEach(btn => {
+      btn?.addEventListener('click', onNewConvo);
+    });
+
+    // Back button for mobile
+    const backBtn = document.getElementById('back-btn');
+    backBtn?.addEventListener('click', () => {
+      document.querySelector('.messenger-layout')?.classList.remove('convo-open');
+    });
+  }
+
+  renderConversations(conversations, onSelect, onActions) {
+    const list = document.getElementById('conversation-list');
+    if (!list) return;
+
+    // Search results own the list until the query is cleared
+    this.lastConversations = [conversations, onSelect, onActions];
+    if (this.searchQuery) return;
+
+    list.innerHTML = '';
+
+    if (conversations.length === 0) {
+      list.innerHTML = `
+        <div class="empty-list">
+          <p style="text-align: center; color: var(--text-muted); padding: 2rem;">
+            No conversations yet.<br>Tap + to start one.
+          </p>
+        </div>
+      `;
+      return;
+    }
+
+    conversations.filter(c => !c.archived).forEach(convo => {
+      list.appendChild(this.createConversationElement(convo, onSelect, onActions));
+    });
+
+    // Archived conversations sit behind a toggle at the bottom of the list
+    const archived = conversations.filter(c => c.archived);
+    if (archived.length > 0) {
+      const toggle = document.createElement('button');
+      toggle.className = 'archived-toggle';
+      toggle.textContent = `${this.showArchived ? 'Hide' : 'Show'} archived (${archived.length})`;
+      toggle.addEventListener('click', () => {
+        this.showArchived = !this.showArchived;
+        this.renderConversations(conversations, onSelect, onActions);
+      });
+      list.appendChild(toggle);
+
+      if (this.showArchived) {
+        archived.forEach(convo => list.appendChild(this.createConversationElement(convo, onSelect, onActions)));
+      }
+    }
+  }
+
+  // Adds the search box above the conversation list. onSearch(query)
+  // resolves to { conversations, messages }; picking a message calls
+  // onOpenResult(conversation, message).
+  bindSearch(onSearch, onOpenResult) {
+    const header = document.querySelector('.sidebar-header');
+    if (!header || document.getElementById('search-input')) return;
+
+    const box = document.createElement('div');
+    box.className = 'sidebar-search';
+    box.innerHTML = '<input type="search" id="search-input" placeholder="Search messages and people" autocomplete="off">';
+    header.after(box);
+
+    const input = box.querySelector('input');
+    let debounce = null;
+    let latest = 0;
+
+    input.addEventListener('input', () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(async () => {
+        this.searchQuery = input.value.trim();
+        if (!this.searchQuery) {
+          if (this.lastConversations) this.renderConversations(...this.lastConversations);
+          return;
+        }
+
+        // A slow search mustn't overwrite the results of a newer one
+        const run = ++latest;
+        const results = await onSearch(this.searchQuery);
+        if (run === latest && this.searchQuery) {
+          this.renderSearchResults(results, this.searchQuery, onOpenResult);
+        }
+      }, UIManager.SEARCH_DEBOUNCE_MS);
+    });
+  }
+
+  renderSearchResults({ conversations, messages }, query, onOpenResult) {
+    const list = document.getElementById('conversation-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (conversations.length === 0 && messages.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'search-empty';
+      empty.textContent = `No results for "${query}"`;
+      list.appendChild(empty);
+      return;
+    }
+
+    const [, onSelect, onActions] = this.lastConversations || [];
+    if (conversations.length > 0) {
+      list.appendChild(this.createSearchHeading('Conversations'));
+      conversations.forEach(convo => list.appendChild(this.createConversationElement(convo, onSelect, onActions)));
+    }
+
+    if (messages.length > 0) {
+      list.appendChild(this.createSearchHeading('Messages'));
+      messages.forEach(({ message, conversation }) => {
+        const el = document.createElement('div');
+        el.className = 'search-result';
+        el.innerHTML = `
+          <div class="convo-header-row">
+            <span class="convo-name"></span>
+            <span class="convo-time"></span>
+          </div>
+          <div class="search-snippet"></div>
+        `;
+        el.querySelector('.convo-name').textContent = conversation.displayName;
+        el.querySelector('.convo-time').textContent = this.formatTime(message.timestamp);
+        el.querySelector('.search-snippet').replaceChildren(...this.highlightSnippet(message.text, query));
+        el.addEventListener('click', () => onOpenResult(conversation, message));
+        list.appendChild(el);
+      });
+    }
+  }
+
+  createSearchHeading(text) {
+    const heading = document.createElement('h3');
+    heading.className = 'search-heading';
+    heading.textContent = text;
+    return heading;
+  }
+
+  // Text nodes and <mark>s around the query words, trimmed to
+  // SNIPPET_CONTEXT characters either side of the first match so it's
+  // visible in one line
+  highlightSnippet(text, query) {
+    const tokens = SearchIndex.tokenize(query);
+    if (tokens.length === 0) return [document.createTextNode(text)];
+
+    // Match on the folded text, as the index does, and map each match back
+    // to the characters it came from so "cafe" marks "Café"
+    const chars = Array.from(text);
+    const origin = [];
+    let folded = '';
+    chars.forEach((char, i) => {
+      const fold = SearchIndex.fold(char);
+      folded += fold;
+      for (let j = 0; j < fold.length; j++) origin.push(i);
+    });
+
+    // Tokens are only letters and digits, so they're safe in a pattern as-is
+    const pattern = new RegExp(tokens.join('|'), 'gu');
+    const matches = Array.from(folded.matchAll(pattern), match => ({
+      start: origin[match.index],
+      end: origin[match.index + match[0].length - 1] + 1,
+    }));
+    if (matches.length === 0) return [document.createTextNode(text)];
+
+    const from = Math.max(0, matches[0].start - UIManager.SNIPPET_CONTEXT);
+    const to = Math.min(chars.length, matches[0].end + UIManager.SNIPPET_CONTEXT);
+    const slice = (start, end) => document.createTextNode(chars.slice(start, end).join(''));
+
+    const nodes = from > 0 ? [document.createTextNode('\u2026')] : [];
+    let at = from;
+    for (const { start, end } of matches) {
+      if (start >= to) break;
+      if (start > at) nodes.push(slice(at, start));
+      const mark = document.createElement('mark');
+      mark.textContent = chars.slice(start, Math.min(end, to)).join('');
+      nodes.push(mark);
+      at = Math.min(end, to);
+    }
+    if (to > at) nodes.push(slice(at, to));
+    if (to < chars.length) nodes.push(document.createTextNode('\u2026'));
+
+    return nodes;
+  }
+
+  // Brings a message into view, e.g. after opening a search result
+  async scrollToMessage(messageId) {
+    const el = await this.messageList?.scrollTo(messageId);
+    if (!el) return;
+
+    el.classList.add('highlight');
+    setTimeout(() => el.classList.remove('highlight'), 2000);
+  }
+
+  createConversationElement(convo, onSelect, onActions) {
+    const template = document.getElementById('conversation-item-template');
+    const item = template.content.cloneNode(true);
+    const el = item.querySelector('.conversation-item');
+
+    el.dataset.id = convo.id;
+    el.classList.toggle('pinned', !!convo.pinned);
+    el.classList.toggle('muted', !!convo.muted);
+    el.querySelector('.avatar-text').textContent = convo.displayName?.[0] || '?';
+    el.querySelector('.convo-name').textContent = convo.displayName || 'Unknown';
+    el.querySelector('.convo-time').textContent = convo.lastMessageAt
+      ? this.formatTime(convo.lastMessageAt)
+      : '';
+    el.querySelector('.convo-preview').textContent = convo.lastMessagePreview || 'Tap to open';
+
+    const flags = [convo.pinned && '\u{1F4CC}', convo.muted && '\u{1F515}'].filter(Boolean);
+    if (flags.length > 0) {
+      const flag = document.createElement('span');
+      flag.className = 'convo-flags';
+      flag.textContent = flags.join(' ');
+      el.querySelector('.convo-preview-row').appendChild(flag);
+    }
+
+    // Muted conversations still count unread messages, they just don't nag
+    if (convo.unreadCount > 0 && !convo.muted) {
+      const badge = el.querySelector('.unread-badge');
+      badge.textContent = convo.unreadCount;
+      badge.classList.remove('hidden');
+    }
+
+    // Long-press on touch, right-click on desktop. Android fires
+    // contextmenu for a long-press too, so only the first one opens.
+    let pressTimer = null;
+    let longPressed = false;
+    const openActions = (e) => {
+      e?.preventDefault();
+      clearTimeout(pressTimer);
+      if (longPressed || !onActions) return;
+      longPressed = true;
+      onActions(convo);
+    };
+
+    el.addEventListener('pointerdown', () => {
+      longPressed = false;
+      pressTimer = setTimeout(openActions, UIManager.LONG_PRESS_MS);
+    });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+      el.addEventListener(type, () => clearTimeout(pressTimer));
+    });
+    el.addEventListener('contextmenu', openActions);
+
+    el.addEventListener('click', () => {
+      if (longPressed) return;
+      document.querySelectorAll('.conversation-item').forEach(i => i.classList.remove('active'));
+      el.classList.add('active');
+      onSelect(convo);
+    });
+
+    return item;
+  }
+
+  showConversationActions(conversation, onUpdate, onDelete) {
+    document.querySelector('.convo-actions-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay convo-actions-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2></h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content action-list">
+          <button class="secondary-btn" data-flag="pinned"></button>
+          <button class="secondary-btn" data-flag="muted"></button>
+          <button class="secondary-btn" data-flag="archived"></button>
+          <button class="secondary-btn danger" id="delete-convo-btn">Delete</button>
+          <p class="delete-warning hidden"></p>
+          <p class="field-error"></p>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.querySelector('h2').textContent = conversation.displayName;
+
+    const labels = {
+      pinned: ['Pin', 'Unpin'],
+      muted: ['Mute', 'Unmute'],
+      archived: ['Archive', 'Unarchive'],
+    };
+    const closeModal = () => overlay.remove();
+    const error = overlay.querySelector('.field-error');
+
+    overlay.querySelectorAll('[data-flag]').forEach(btn => {
+      const flag = btn.dataset.flag;
+      btn.textContent = labels[flag][conversation[flag] ? 1 : 0];
+      btn.addEventListener('click', async () => {
+        await onUpdate({ [flag]: !conversation[flag] });
+        closeModal();
+      });
+    });
+
+    // Deleting takes a second tap, after saying what goes with it
+    const deleteBtn = overlay.querySelector('#delete-convo-btn');
+    const warning = overlay.querySelector('.delete-warning');
+    deleteBtn.addEventListener('click', async () => {
+      if (warning.classList.contains('hidden')) {
+        warning.textContent = conversation.type === 'group'
+          ? 'All messages are deleted and the channel is removed from your radio. You\'ll need a new invite to rejoin.'
+          : 'All messages in this conversation are deleted from this device.';
+        warning.classList.remove('hidden');
+        deleteBtn.textContent = 'Delete for good';
+        return;
+      }
+
+      deleteBtn.disabled = true;
+      error.textContent = '';
+      try {
+        await onDelete();
+        closeModal();
+      } catch (err) {
+        error.textContent = err.message;
+        deleteBtn.disabled = false;
+      }
+    });
+
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+  }
+
+  // Back to the empty state, e.g. after the open conversation is deleted
+  closeConversation() {
+    this.selectedConversation = null;
+    document.getElementById('conversation-view')?.classList.add('hidden');
+    document.getElementById('empty-state')?.classList.remove('hidden');
+    document.querySelector('.messenger-layout')?.classList.remove('convo-open');
+  }
+
+  renderConversationHeader(conversation) {
+    const verified = conversation.verified ? ' \u00b7 Verified \u2713' : '';
+    const nextKey = conversation.pendingKey ? ` \u00b7 New key at ${this.formatTime(conversation.pendingKey.switchAt)}` : '';
+    const subtitles = {
+      group: `${conversation.participants.length} members${verified}${nextKey}`,
+      channel: 'Public - everyone on the mesh can read this',
+      unassigned: 'Messages on channels with no conversation',
+      dm: conversation.peerPublicKey
+        ? `End-to-end encrypted${verified}`
+        : 'Waiting for key - messages send once their radio is heard',
+    };
+    const subtitle = document.getElementById('convo-subtitle');
+
+    document.getElementById('convo-name').textContent = conversation.displayName;
+    subtitle.textContent = subtitles[conversation.type] || 'End-to-end encrypted';
+    subtitle.classList.toggle('waiting-key', conversation.type === 'dm' && !conversation.peerPublicKey);
+    subtitle.classList.toggle('verified', !!conversation.verified);
+    document.querySelector('#convo-avatar span').textContent = conversation.displayName?.[0] || '?';
+
+    document.querySelector('.key-change-banner')?.remove();
+    if (conversation.keyChangedAt) {
+      const banner = document.createElement('div');
+      banner.className = 'key-change-banner';
+      banner.innerHTML = `
+        <span></span>
+        <button class="text-btn">Review</button>
+      `;
+      banner.querySelector('span').textContent = conversation.type === 'dm'
+        ? `\u26a0 ${conversation.displayName}'s security key changed. Check the safety number before sharing anything sensitive.`
+        : '\u26a0 This group\'s key changed. Check the safety number with another member.';
+      banner.querySelector('button').addEventListener('click', () => this.onVerify?.());
+      document.getElementById('messages-container')?.before(banner);
+    }
+  }
+
+  // page is the newest messages, { messages, hasMore }; onLoadOlder(oldest)
+  // fetches the page before oldest as the user scrolls up
+  showConversation(conversation, page, myNodeId, onSend, onResend, onShareInvite, onVerify, onLoadOlder, onShowMembers) {
+    const view = document.getElementById('conversation-view');
+    const emptyState = document.getElementById('empty-state');
+
+    if (emptyState) emptyState.classList.add('hidden');
+    if (view) view.classList.remove('hidden');
+
+    // Tapping the header opens the safety number
+    this.onVerify = onVerify;
+    const info = document.querySelector('.convo-info');
+    if (info) info.onclick = onVerify || null;
+
+    this.renderConversationHeader(conversation);
+
+    document.getElementById('share-invite-btn')?.remove();
+    document.getElementById('members-btn')?.remove();
+    const actions = document.querySelector('.convo-actions');
+    if (actions && onShareInvite) {
+      const shareBtn = document.createElement('button');
+      shareBtn.id = 'share-invite-btn';
+      shareBtn.className = 'icon-btn';
+      shareBtn.title = 'Share invite';
+      shareBtn.textContent = '\u{1F517}';
+      shareBtn.addEventListener('click', onShareInvite);
+      actions.prepend(shareBtn);
+    }
+    if (actions && onShowMembers) {
+      const membersBtn = document.createElement('button');
+      membersBtn.id = 'members-btn';
+      membersBtn.className = 'icon-btn';
+      membersBtn.title = 'Members';
+      membersBtn.textContent = '\u{1F465}';
+      membersBtn.addEventListener('click', onShowMembers);
+      actions.prepend(membersBtn);
+    }
+
+    // Mobile: show conversation view, before rendering so messages can be measured
+    document.querySelector('.messenger-layout')?.classList.add('convo-open');
+
+    // Render messages
+    this.onResend = onResend;
+    this.renderMessages(page, myNodeId, onLoadOlder);
+
+    // Set up input (the unassigned inbox has no channel to reply on)
+    const input = document.getElementById('message-input');
+    const sendBtn = document.getElementById('send-btn');
+    document.querySelector('.input-container')?.classList.toggle('hidden', !!conversation.readOnly);
+
+    // Live byte count; past MAX_TEXT_BYTES it also counts the parts the
+    // message will be split into
+    let counter = document.getElementById('byte-counter');
+    if (!counter) {
+      counter = document.createElement('span');
+      counter.id = 'byte-counter';
+      counter.className = 'byte-counter';
+      sendBtn.before(counter);
+    }
+
+    const updateCounter = () => {
+      const text = input.value.trim();
+      const bytes = MeshtasticManager.utf8Length(text);
+      const chunks = ConversationManager.splitMessage(text, '0000').length;
+      const tooLong = chunks > ConversationManager.MAX_CHUNKS;
+
+      counter.textContent = !text ? ''
+        : tooLong ? `${bytes} bytes \u00b7 over ${ConversationManager.MAX_CHUNKS} parts`
+        : chunks > 1 ? `${bytes} bytes \u00b7 ${chunks} parts`
+        : `${bytes}/${ConversationManager.MAX_TEXT_BYTES}`;
+      counter.title = tooLong ? `Too long - the limit is ${ConversationManager.MAX_CHUNKS} parts` : '';
+      counter.classList.toggle('over', tooLong);
+      sendBtn.disabled = tooLong;
+      return !tooLong;
+    };
+    updateCounter();
+
+    const handleSend = async () => {
+      const text = input.value.trim();
+      if (!text || !updateCounter()) return;
+
+      input.value = '';
+      input.style.height = 'auto';
+      updateCounter();
+      await onSend(text);
+    };
+
+    sendBtn.onclick = handleSend;
+    input.onkeypress = (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        handleSend();
+      }
+    };
+
+    // Auto-resize textarea
+    input.oninput = () => {
+      input.style.height = 'auto';
+      input.style.height = Math.min(input.scrollHeight, 120) + 'px';
+      updateCounter();
+    };
+
+    this.selectedConversation = conversation;
+  }
+
+  renderMessages({ messages, hasMore }, myNodeId, onLoadOlder) {
+    const container = document.getElementById('messages-container');
+    if (!container) return;
+
+    this.messageList?.dispose();
+    this.messageList = new MessageList(container, (message) =>
+      this.createMessageElement(message, myNodeId).querySelector('.message')
+    );
+    this.messageList.onLoadOlder(onLoadOlder);
+    this.messageList.setMessages(messages, hasMore);
+  }
+
+  addMessage(message, myNodeId) {
+    this.messageList?.append(message, { follow: message.fromNodeId === myNodeId });
+  }
+
+  createMessageElement(message, myNodeId) {
+    const isOwn = message.fromNodeId === myNodeId;
+    const template = document.getElementById('message-template');
+    const item = template.content.cloneNode(true);
+    const el = item.querySelector('.message');
+
+    el.dataset.id = message.id;
+    el.classList.add(isOwn ? 'own' : 'other');
+    el.querySelector('.message-text').textContent = message.text;
+    el.querySelector('.message-time').textContent = this.formatTime(message.timestamp);
+
+    if (isOwn) {
+      this.applyMessageStatus(el, message);
+    } else {
+      if (message.senderName) {
+        const sender = document.createElement('div');
+        sender.className = 'message-sender';
+        sender.textContent = message.senderName;
+        (el.querySelector('.message-bubble') || el).prepend(sender);
+      }
+      el.title = this.formatArrival(message);
+    }
+
+    // A group we're already in sends its next key this way too. That's
+    // applied as it arrives, so there's nothing to open.
+    const invite = !isOwn && ConversationManager.findInvite(message.text);
+    const joined = invite && (this.lastConversations?.[0] || []).some(c =>
+      c.type === 'group' && c.channelName === invite.channelName
+    );
+    if (invite && !joined && this.onOpenInvite) {
+      const openBtn = document.createElement('button');
+      openBtn.className = 'secondary-btn invite-open-btn';
+      openBtn.textContent = `Open invite to ${invite.displayName}`;
+      openBtn.addEventListener('click', () => this.onOpenInvite(invite));
+      (el.querySelector('.message-bubble') || el).appendChild(openBtn);
+    }
+
+    if (message.partial) {
+      el.classList.add('partial');
+      const note = document.createElement('div');
+      note.className = 'partial-note';
+      note.textContent = 'Some parts of this message never arrived';
+      (el.querySelector('.message-bubble') || el).appendChild(note);
+    }
+
+    return item;
+  }
+
+  // Update an already-rendered message in place (acks, retries, flushes)
+  updateMessageStatus(message) {
+    this.messageList?.update(message);
+  }
+
+  applyMessageStatus(el, message) {
+    const status = el.querySelector('.message-status');
+    const { icon, label } = this.formatStatus(message.status);
+
+    const chunks = message.chunks || [];
+    const parts = chunks.length > 1
+      ? ` \u00b7 ${chunks.filter(c => c.status === 'delivered').length}/${chunks.length} parts delivered`
+      : '';
+
+    status.textContent = icon;
+    status.title = (message.errorReason ? `${label} (${message.errorReason})` : label) + parts;
+    el.classList.toggle('failed', message.status === 'failed');
+
+    el.querySelector('.resend-btn')?.remove();
+    if (message.status === 'failed') {
+      const resendBtn = document.createElement('button');
+      resendBtn.className = 'resend-btn';
+      resendBtn.textContent = 'Resend';
+      resendBtn.addEventListener('click', () => this.onResend?.(message));
+      el.querySelector('.message-meta')?.appendChild(resendBtn);
+    }
+  }
+
+  formatArrival(message) {
+    const details = [];
+
+    if (message.hopsAway === 0) details.push('Direct');
+    else if (message.hopsAway > 0) details.push(`${message.hopsAway} hop${message.hopsAway === 1 ? '' : 's'}`);
+    if (message.rxSnr) details.push(`SNR ${message.rxSnr.toFixed(1)} dB`);
+    if (message.rxRssi) details.push(`RSSI ${message.rxRssi} dBm`);
+    if (message.viaMqtt) details.push('via MQTT');
+
+    return details.join(' \u00b7 ');
+  }
+
+  formatStatus(status) {
+    const statuses = {
+      queued: { icon: '🕓', label: 'Waiting for radio' },
+      waiting_key: { icon: '🔑', label: 'Waiting for their encryption key' },
+      sent: { icon: '✓', label: 'Sent' },
+      relayed: { icon: '📡', label: 'Relayed by the mesh' },
+      delivered: { icon: '✓✓', label: 'Delivered' },
+      failed: { icon: '!', label: 'Not delivered' },
+    };
+    return statuses[status] || statuses.sent;
+  }
+
+  // Connection pill next to the messenger title
+  setConnectionState(state, onReconnect) {
+    const header = document.querySelector('.sidebar-header h1');
+    if (!header) return;
+
+    let pill = document.getElementById('connection-status');
+    if (!pill) {
+      pill = document.createElement('button');
+      pill.id = 'connection-status';
+      header.after(pill);
+    }
+
+    const labels = {
+      connected: 'Connected',
+      connecting: 'Connecting...',
+      reconnecting: 'Reconnecting...',
+      offline: 'Offline - tap to connect',
+    };
+
+    pill.className = `connection-status ${state}`;
+    pill.textContent = labels[state] || state;
+    pill.disabled = state !== 'offline';
+    pill.onclick = state === 'offline' ? onReconnect : null;
+  }
+
+  addHeaderButton(id, icon, title, onClick) {
+    const headerActions = document.querySelector('.sidebar-header .header-actions');
+    if (!headerActions || !onClick) return;
+
+    const button = document.createElement('button');
+    button.id = id;
+    button.className = 'icon-btn';
+    button.title = title;
+    button.textContent = icon;
+    button.addEventListener('click', onClick);
+    headerActions.prepend(button);
+  }
+
+  // Checkbox rows for choosing group members from candidates ({ id, name }).
+  // Returns the element and a getter for whoever is ticked.
+  createMemberPicker(candidates) {
+    const list = document.createElement('div');
+    list.className = 'member-picker';
+
+    if (candidates.length === 0) {
+      list.innerHTML = '<p class="empty-nodes">Nobody to add yet. Contacts and nodes your radio has heard appear here.</p>';
+    }
+
+    const rows = candidates.map(candidate => {
+      const row = document.createElement('label');
+      row.className = 'member-row';
+      row.innerHTML = `
+        <input type="checkbox">
+        <span class="member-info">
+          <span class="member-name"></span>
+          <span class="member-id"></span>
+        </span>
+      `;
+      row.querySelector('.member-name').textContent = candidate.name;
+      row.querySelector('.member-id').textContent = candidate.id;
+      list.appendChild(row);
+      return { candidate, checkbox: row.querySelector('input') };
+    });
+
+    return {
+      element: list,
+      getSelected: () => rows.filter(row => row.checkbox.checked).map(row => row.candidate),
+    };
+  }
+
+  // onCreate(name, members) resolves once the group exists
+  showGroupEditor(candidates, onCreate) {
+    document.querySelector('.group-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay group-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>New group</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <form>
+            <div class="form-group">
+              <label for="group-name">Group name</label>
+              <input type="text" id="group-name" autocomplete="off" required>
+              <small>Only members see this. It isn't sent over the air.</small>
+            </div>
+            <h3 class="member-heading">Members</h3>
+            <p class="field-error"></p>
+            <div class="invite-actions">
+              <button type="submit" class="primary-btn">Create group</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const form = overlay.querySelector('form');
+    const nameInput = overlay.querySelector('#group-name');
+    const error = form.querySelector('.field-error');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const picker = this.createMemberPicker(candidates);
+    overlay.querySelector('.member-heading').after(picker.element);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const name = nameInput.value.trim();
+      if (!name) return;
+
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Creating...';
+      error.textContent = '';
+      try {
+        await onCreate(name, picker.getSelected());
+        overlay.remove();
+      } catch (err) {
+        error.textContent = err.message;
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Create group';
+      }
+    });
+
+    const closeModal = () => overlay.remove();
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+    nameInput.focus();
+  }
+
+  // members are { id, name, isMe }. onAdd(candidates) and onRemove(id)
+  // resolve once done; the app reopens this with the new list.
+  showMembers(conversation, members, candidates, onAdd, onRemove) {
+    document.querySelector('.members-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay members-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2></h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <div class="member-list"></div>
+          <p class="settings-hint">Removing someone gives the group a new key, sent to everyone else by direct message.</p>
+          <p class="field-error"></p>
+          <div class="add-members" hidden>
+            <h3 class="member-heading">Add members</h3>
+          </div>
+          <div class="invite-actions">
+            <button class="secondary-btn" id="add-members-btn">Add members</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.querySelector('h2').textContent = `${conversation.displayName} \u00b7 ${members.length}`;
+    const error = overlay.querySelector('.field-error');
+
+    // Runs a membership change, reporting failures inline
+    const run = async (btn, busyLabel, task) => {
+      const label = btn.textContent;
+      btn.disabled = true;
+      btn.textContent = busyLabel;
+      error.textContent = '';
+      try {
+        await task();
+      } catch (err) {
+        error.textContent = err.message;
+        btn.disabled = false;
+        btn.textContent = label;
+      }
+    };
+
+    overlay.querySelector('.member-list').replaceChildren(...members.map(member => {
+      const row = document.createElement('div');
+      row.className = 'member-row';
+      row.innerHTML = `
+        <span class="member-info">
+          <span class="member-name"></span>
+          <span class="member-id"></span>
+        </span>
+      `;
+      row.querySelector('.member-name').textContent = member.isMe ? `${member.name} (you)` : member.name;
+      row.querySelector('.member-id').textContent = member.id;
+
+      if (!member.isMe) {
+        // Removing changes the key for everyone, so it takes a second tap
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'text-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+          if (!removeBtn.classList.contains('confirm')) {
+            removeBtn.classList.add('confirm');
+            removeBtn.textContent = 'Remove and change key';
+            return;
+          }
+          run(removeBtn, 'Changing key...', () => onRemove(member.id));
+        });
+        row.appendChild(removeBtn);
+      }
+      return row;
+    }));
+
+    // The first tap shows the picker, the second adds whoever was ticked
+    const addSection = overlay.querySelector('.add-members');
+    const addBtn = overlay.querySelector('#add-members-btn');
+    const picker = this.createMemberPicker(candidates);
+    addSection.appendChild(picker.element);
+    addBtn.addEventListener('click', () => {
+      if (addSection.hidden) {
+        addSection.hidden = false;
+        addBtn.textContent = 'Send invites';
+        addBtn.className = 'primary-btn';
+        return;
+      }
+      const selected = picker.getSelected();
+      if (selected.length === 0) return;
+      run(addBtn, 'Inviting...', () => onAdd(selected));
+    });
+
+    const closeModal = () => overlay.remove();
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+  }
+
+  // slots come from ConversationManager.getChannelTable.
+  // onImport(index, displayName) adds a radio-only channel as a group;
+  // onResolve(index, keep) settles a conflict, keep being 'local' or 'device'.
+  showChannels(slots, onImport, onResolve) {
+    document.querySelector('.channels-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay channels-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>Radio channels</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <p class="settings-hint">Your radio has 8 channel slots. Groups only take slots that are empty on the radio, so channels set up in other apps stay put.</p>
+          <div class="channel-list"></div>
+          <p class="field-error"></p>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const error = overlay.querySelector('.field-error');
+    const run = async (btn, task) => {
+      btn.disabled = true;
+      error.textContent = '';
+      try {
+        await task();
+      } catch (err) {
+        error.textContent = err.message;
+        btn.disabled = false;
+      }
+    };
+
+    const states = {
+      primary: 'Primary \u00b7 the public mesh',
+      free: 'Empty',
+      linked: 'In sync',
+      device: 'Only on your radio',
+      missing: 'Missing from your radio',
+      pending: 'Waiting to be written',
+      conflict: 'Your radio has a different channel here',
+    };
+
+    overlay.querySelector('.channel-list').replaceChildren(...slots.map(slot => {
+      const row = document.createElement('div');
+      row.className = 'member-row channel-row';
+      row.innerHTML = `
+        <span class="channel-slot"></span>
+        <span class="member-info">
+          <span class="member-name"></span>
+          <span class="channel-state"></span>
+        </span>
+        <span class="channel-actions"></span>
+      `;
+      const { conversation, device } = slot;
+      const name = conversation
+        ? `${conversation.displayName}${slot.grace ? ' (old key)' : ''}`
+        : device?.name || (slot.index === 0 ? 'Primary' : '');
+      row.querySelector('.channel-slot').textContent = slot.index;
+      row.querySelector('.member-name').textContent = name;
+
+      const state = row.querySelector('.channel-state');
+      state.textContent = slot.state === 'conflict' && device.name !== conversation.channelName
+        ? `Your radio has "${device.name}" here`
+        : states[slot.state];
+      state.classList.toggle('warning', slot.state === 'conflict' || slot.state === 'missing');
+
+      const actions = row.querySelector('.channel-actions');
+      const addAction = (label, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = 'text-btn';
+        btn.textContent = label;
+        btn.addEventListener('click', () => onClick(btn));
+        actions.appendChild(btn);
+      };
+
+      if (slot.state === 'device') {
+        // Importing asks what to call it first
+        addAction('Import', () => {
+          const form = document.createElement('form');
+          form.className = 'channel-import';
+          form.innerHTML = `
+            <input type="text" aria-label="Conversation name" autocomplete="off">
+            <button type="submit" class="primary-btn">Add</button>
+          `;
+          const input = form.querySelector('input');
+          input.value = device.name;
+          form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            run(form.querySelector('button'), () => onImport(slot.index, input.value));
+          });
+          actions.replaceChildren(form);
+          input.focus();
+        });
+      } else if (slot.state === 'conflict' || slot.state === 'missing') {
+        if (slot.grace) {
+          addAction('Forget old key', btn => run(btn, () => onResolve(slot.index, 'device')));
+        } else if (slot.state === 'conflict') {
+          addAction('Use radio\'s', btn => run(btn, () => onResolve(slot.index, 'device')));
+        }
+        // Writing ours replaces whatever the radio has there
+        addAction('Write ours', btn => {
+          if (!btn.classList.contains('confirm') && device) {
+            btn.classList.add('confirm');
+            btn.textContent = `Replace "${device.name}"`;
+            return;
+          }
+          run(btn, () => onResolve(slot.index, 'local'));
+        });
+      }
+      return row;
+    }));
+
+    const closeModal = () => overlay.remove();
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+  }
+
+  showNodes(getNodes, onMessage) {
+    document.querySelector('.nodes-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay nodes-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>Nodes</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <div class="modal-tabs">
+            <button class="tab-btn active" data-sort="lastHeard">Last heard</button>
+            <button class="tab-btn" data-sort="distance">Distance</button>
+          </div>
+          <div class="nearby-list"></div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const list = overlay.querySelector('.nearby-list');
+    const tabBtns = overlay.querySelectorAll('.tab-btn');
+    let sortBy = 'lastHeard';
+
+    const render = () => {
+      const nodes = getNodes(sortBy);
+      if (nodes.length === 0) {
+        list.innerHTML = '<p class="empty-nodes">No nodes heard yet. They appear as your radio hears them.</p>';
+        return;
+      }
+      list.replaceChildren(...nodes.map(node => this.createNodeElement(node, () => {
+        closeModal();
+        onMessage(node);
+      })));
+    };
+
+    tabBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        tabBtns.forEach(b => b.classList.toggle('active', b === btn));
+        sortBy = btn.dataset.sort;
+        render();
+      });
+    });
+
+    const closeModal = () => {
+      overlay.remove();
+      this.refreshNodes = null;
+    };
+
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+
+    // The app calls this as nodes are heard while the list is open
+    this.refreshNodes = render;
+    render();
   }
 
-  showError(message, errorType, onRetry) {
-    this.showScreen('error-template');
+  createNodeElement(node, onMessage) {
+    const el = document.createElement('div');
+    el.className = 'nearby-node';
+    el.innerHTML = `
+      <div class="node-avatar"></div>
+      <div class="node-info">
+        <div class="node-name"></div>
+        <div class="node-id"></div>
+        <div class="node-details"></div>
+      </div>
+      <span class="signal-bars"></span>
+      <button class="add-node-btn">Message</button>
+    `;
 
-    const errorMessage = document.getElementById('error-message');
-    const retryBtn = document.getElementById('retry-btn');
-    const troubleshootingContainer = document.querySelector('.troubleshooting');
+    el.querySelector('.node-avatar').textContent = node.shortName || '?';
+    el.querySelector('.node-name').textContent = node.longName || node.id;
+    el.querySelector('.node-id').textContent = node.id;
+    el.querySelector('.node-details').textContent = this.formatNodeDetails(node);
+    el.querySelector('.signal-bars').textContent = this.formatSignal(node.snr);
+    el.querySelector('.signal-bars').title = node.snr !== undefined ? `SNR ${node.snr.toFixed(1)} dB` : '';
+    el.querySelector('.add-node-btn').addEventListener('click', onMessage);
 
-    if (errorMessage) errorMessage.textContent = message;
-    retryBtn?.addEventListener('click', onRetry);
+    return el;
+  }
 
-    // Show appropriate troubleshooting steps based on error type
-    if (troubleshootingContainer) {
-      const steps = this.getTroubleshootingSteps(errorType);
-      troubleshootingContainer.innerHTML = `
-        <h3>${steps.title}</h3>
-        <ul>
-          ${steps.items.map(item => `<li>${item}</li>`).join('')}
-        </ul>
-      `;
+  formatNodeDetails(node) {
+    const details = [];
+
+    if (node.lastHeard) details.push(this.formatAgo(node.lastHeard));
+    if (node.hopsAway === 0) details.push('direct');
+    else if (node.hopsAway > 0) details.push(`${node.hopsAway} hop${node.hopsAway === 1 ? '' : 's'}`);
+    if (node.distance !== null && node.distance !== undefined) {
+      details.push(node.distance < 1 ? `${Math.round(node.distance * 1000)} m` : `${node.distance.toFixed(1)} km`);
     }
+    // Firmware reports 101 for externally powered
+    if (node.batteryLevel > 100) details.push('plugged in');
+    else if (node.batteryLevel) details.push(`${node.batteryLevel}% battery`);
+    if (node.viaMqtt) details.push('via MQTT');
+
+    return details.join(' \u00b7 ');
   }
 
-  getTroubleshootingSteps(errorType) {
-    const troubleshootingGuides = {
-      bluetooth_disabled: {
-        title: 'Enable Web Bluetooth:',
-        items: [
-          'Use Chrome, Edge, or Opera browser (Firefox/Safari not supported)',
-          'On Chrome: Go to chrome://flags and enable "Experimental Web Platform features"',
-          'Make sure this page is served over HTTPS',
-          'Check that Bluetooth is enabled in your device settings',
-          'On iOS: Web Bluetooth is not supported - use the Meshtastic app instead'
-        ]
-      },
-      browser_unsupported: {
-        title: 'Browser not supported:',
-        items: [
-          'Use Google Chrome, Microsoft Edge, or Opera browser',
-          'Firefox and Safari do not support Web Bluetooth',
-          'On Android: Use Chrome browser',
-          'On iOS: Web Bluetooth is not available - use the Meshtastic app instead'
-        ]
-      },
-      user_cancelled: {
-        title: 'Connection cancelled:',
-        items: [
-          'Click "Try Again" to restart the connection',
-          'When the device picker appears, select your Meshtastic device',
-          'Make sure your device is powered on and nearby'
-        ]
-      },
-      no_device: {
-        title: 'No device found:',
-        items: [
-          'Make sure your Meshtastic device is powered on',
-          'Ensure Bluetooth is enabled on your device',
-          'Move closer to your Meshtastic device',
-          'Try restarting your Meshtastic device'
-        ]
-      },
-      connection_lost: {
-        title: 'Connection lost:',
-        items: [
-          'Move closer to your Meshtastic device',
-          'Check that your device is still powered on',
-          'Try restarting your Meshtastic device',
-          'Restart Bluetooth on your phone/computer'
-        ]
-      },
-      device: {
-        title: 'Try these steps:',
-        items: [
-          'Make sure your device is powered on',
-          'Check that Bluetooth is enabled',
-          'Move your device closer',
-          'Restart your Meshtastic device'
-        ]
+  formatSignal(snr) {
+    if (snr === undefined || snr === null) return '';
+    if (snr > 5) return '\u2582\u2584\u2586\u2588';
+    if (snr > 0) return '\u2582\u2584\u2586_';
+    if (snr > -7) return '\u2582\u2584__';
+    return '\u2582___';
+  }
+
+  formatAgo(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return this.formatTime(timestamp);
+  }
+
+  showInvitePreview(invite, onAccept, onDecline) {
+    document.querySelector('.invite-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay invite-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>Group invite</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content invite-preview">
+          <p class="invite-from"></p>
+          <h3 class="invite-name"></h3>
+          <p class="invite-channel"></p>
+          <p class="field-error"></p>
+          <div class="invite-actions">
+            <button class="text-btn" id="decline-invite-btn">Decline</button>
+            <button class="primary-btn" id="accept-invite-btn">Join group</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const inviter = invite.inviterName
+      ? `${invite.inviterName} (${invite.inviterId})`
+      : invite.inviterId || 'Someone';
+    overlay.querySelector('.invite-from').textContent = `${inviter} invited you to join`;
+    overlay.querySelector('.invite-name').textContent = invite.displayName;
+    overlay.querySelector('.invite-channel').textContent =
+      `Channel "${invite.channelName}" - joining uses one of your radio's 7 channel slots.`;
+
+    const acceptBtn = overlay.querySelector('#accept-invite-btn');
+    const error = overlay.querySelector('.field-error');
+
+    acceptBtn.addEventListener('click', async () => {
+      acceptBtn.disabled = true;
+      acceptBtn.textContent = 'Joining...';
+      error.textContent = '';
+
+      try {
+        await onAccept();
+        overlay.remove();
+      } catch (err) {
+        error.textContent = err.message;
+        acceptBtn.disabled = false;
+        acceptBtn.textContent = 'Join group';
       }
+    });
+
+    const decline = () => {
+      overlay.remove();
+      onDecline();
     };
+    overlay.querySelector('#decline-invite-btn').addEventListener('click', decline);
+    overlay.querySelector('.modal-close').addEventListener('click', decline);
+  }
 
-    return troubleshootingGuides[errorType] || troubleshootingGuides.device;
+  async showInviteSheet(url, name) {
+    document.querySelector('.invite-sheet')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay invite-sheet';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>Invite to group</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <p class="invite-sheet-name"></p>
+          <canvas class="invite-qr"></canvas>
+          <div class="form-group">
+            <input type="text" class="invite-link" readonly>
+            <small>Anyone with this link can read the group. Share it in person or over a channel you trust.</small>
+          </div>
+          <div class="invite-actions">
+            <button class="secondary-btn" id="copy-invite-btn">Copy link</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.querySelector('.invite-sheet-name').textContent = `Scan to join ${name}`;
+    const linkInput = overlay.querySelector('.invite-link');
+    linkInput.value = url;
+    linkInput.addEventListener('focus', () => linkInput.select());
+
+    overlay.querySelector('#copy-invite-btn').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(url);
+        this.showToast('Invite link copied');
+      } catch (error) {
+        linkInput.select();
+      }
+    });
+
+    if (navigator.share) {
+      const shareBtn = document.createElement('button');
+      shareBtn.className = 'primary-btn';
+      shareBtn.textContent = 'Share';
+      shareBtn.addEventListener('click', () => {
+        navigator.share({ title: `Join ${name} on nashme.sh`, url }).catch(() => {});
+      });
+      overlay.querySelector('.invite-actions').appendChild(shareBtn);
+    }
+
+    const closeModal = () => overlay.remove();
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+
+    const canvas = overlay.querySelector('.invite-qr');
+    const drawn = await HyphaeMesh.generateQRCode(url, canvas, 240);
+    if (!drawn) canvas.remove();
   }
 
-  showMessenger(conversations, onNewConvo, onSelectConvo) {
-    this.showScreen('messenger-template');
+  // history is a group's earlier keys ({ since, until, number }); onRotate,
+  // for groups, sends everyone a new key
+  showSafetyNumber(conversation, number, onSetVerified, history = [], onRotate = null) {
+    document.querySelector('.safety-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay safety-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>Safety number</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <p class="safety-intro"></p>
+          <div class="safety-number"></div>
+          <canvas class="invite-qr"></canvas>
+          <div class="qr-scan"></div>
+          <p class="safety-pending" hidden></p>
+          <div class="invite-actions">
+            <button class="secondary-btn" id="scan-safety-btn" hidden>Scan their code</button>
+            <button class="primary-btn" id="verify-btn"></button>
+          </div>
+          <div class="key-history" hidden>
+            <h3>Earlier keys</h3>
+            <ul></ul>
+          </div>
+          <p class="field-error"></p>
+          <div class="invite-actions">
+            <button class="text-btn" id="rotate-key-btn" hidden>Rotate key</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.querySelector('.safety-intro').textContent = conversation.type === 'dm'
+      ? `Compare these numbers with ${conversation.displayName}, in person or on a call. If they match, nobody can read your messages in between.`
+      : 'Compare these numbers with another member. Everyone in the group sees the same digits.';
+
+    const groups = CryptoUtils.formatSafetyNumber(number).split(' ');
+    overlay.querySelector('.safety-number').replaceChildren(...groups.map(group => {
+      const span = document.createElement('span');
+      span.textContent = group;
+      return span;
+    }));
+
+    const verifyBtn = overlay.querySelector('#verify-btn');
+    let verified = !!conversation.verified;
+    const setVerified = async (value) => {
+      await onSetVerified(value);
+      verified = value;
+      verifyBtn.textContent = verified ? 'Clear verification' : 'Mark as verified';
+    };
+    verifyBtn.textContent = verified ? 'Clear verification' : 'Mark as verified';
+    verifyBtn.addEventListener('click', () => setVerified(!verified));
 
-    this.renderConversations(conversations, onSelectConvo);
+    if (conversation.pendingKey) {
+      const pending = overlay.querySelector('.safety-pending');
+      pending.textContent = `A new key takes over at ${this.formatTime(conversation.pendingKey.switchAt)}. Compare again after that.`;
+      pending.hidden = false;
+    }
 
-    // Set up event listeners
-    const newDmBtn = document.getElementById('new-dm-btn');
-    const fabBtn = document.getElementById('new-conversation-fab');
-    const startConvoBtn = document.getElementById('start-convo-btn');
+    if (history.length > 0) {
+      overlay.querySelector('.key-history').hidden = false;
+      overlay.querySelector('.key-history ul').replaceChildren(...history.map(key => {
+        const item = document.createElement('li');
+        item.innerHTML = `
+          <span class="key-dates"></span>
+          <span class="key-number"></span>
+        `;
+        item.querySelector('.key-dates').textContent = `${this.formatTime(key.since)} \u2013 ${this.formatTime(key.until)}`;
+        item.querySelector('.key-number').textContent = CryptoUtils.formatSafetyNumber(key.number);
+        return item;
+      }));
+    }
 
-    [newDmBtn, fabBtn, startConvoBtn].forEach(btn => {
-      btn?.addEventListener('click', onNewConvo);
+    // A leaked invite link stays good until the key changes. Rotating
+    // takes a second tap, since it messages every member.
+    const rotateBtn = overlay.querySelector('#rotate-key-btn');
+    const error = overlay.querySelector('.field-error');
+    if (onRotate) {
+      rotateBtn.hidden = false;
+      rotateBtn.addEventListener('click', async () => {
+        if (!rotateBtn.classList.contains('confirm')) {
+          rotateBtn.classList.add('confirm');
+          rotateBtn.textContent = `Send a new key to ${conversation.participants.length - 1} members`;
+          return;
+        }
+        rotateBtn.disabled = true;
+        error.textContent = '';
+        try {
+          await onRotate();
+        } catch (err) {
+          error.textContent = err.message;
+          rotateBtn.disabled = false;
+        }
+      });
+    }
+
+    // Scanning the other phone's code compares all 60 digits at once
+    const qrValue = `nashme-verify:${number}`;
+    const scanBtn = overlay.querySelector('#scan-safety-btn');
+    if ('BarcodeDetector' in window && navigator.mediaDevices?.getUserMedia) {
+      scanBtn.hidden = false;
+      scanBtn.addEventListener('click', async () => {
+        try {
+          const scanned = await this.scanQRCode(overlay.querySelector('.qr-scan'));
+          if (scanned === null) return;
+          if (scanned === qrValue) {
+            await setVerified(true);
+            this.showToast('Numbers match - verified');
+          } else {
+            this.showToast('These numbers don\'t match. Don\'t mark this conversation verified.', 5000);
+          }
+        } catch (error) {
+          this.showToast(`Couldn't scan: ${error.message}`);
+        }
+      });
+    }
+
+    const closeModal = () => overlay.remove();
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
     });
 
-    // Back button for mobile
-    const backBtn = document.getElementById('back-btn');
-    backBtn?.addEventListener('click', () => {
-      document.querySelector('.messenger-layout')?.classList.remove('convo-open');
+    const canvas = overlay.querySelector('.invite-qr');
+    HyphaeMesh.generateQRCode(qrValue, canvas, 200).then(drawn => {
+      if (!drawn) canvas.remove();
     });
   }
 
-  renderConversations(conversations, onSelect) {
-    const list = document.getElementById('conversation-list');
-    if (!list) return;
+  // Returns the first QR code's text that accept() takes, or null if the
+  // view closes first. Without accept, that's the first code seen.
+  async scanQRCode(container, accept = () => true) {
+    const video = document.createElement('video');
+    video.className = 'qr-video';
+    video.playsInline = true;
+    video.muted = true;
+    container.replaceChildren(video);
 
-    list.innerHTML = '';
+    const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    try {
+      video.srcObject = stream;
+      await video.play();
+
+      const detector = new BarcodeDetector({ formats: ['qr_code'] });
+      while (video.isConnected) {
+        const [code] = await detector.detect(video);
+        if (code && accept(code.rawValue)) return code.rawValue;
+        await new Promise(resolve => setTimeout(resolve, 250));
+      }
+      return null;
+    } finally {
+      stream.getTracks().forEach(track => track.stop());
+      video.remove();
+    }
+  }
 
-    if (conversations.length === 0) {
-      list.innerHTML = `
-        <div class="empty-list">
-          <p style="text-align: center; color: var(--text-muted); padding: 2rem;">
-            No conversations yet.<br>Tap + to start one.
-          </p>
+  // Covers everything and clears whatever was decrypted on screen.
+  // onUnlock(passphrase) resolves to whether it was right.
+  showLockScreen(onUnlock) {
+    document.querySelectorAll('.modal-overlay').forEach(overlay => overlay.remove());
+    this.app.innerHTML = '';
+    this.messageList?.dispose();
+    this.messageList = null;
+    this.selectedConversation = null;
+    this.searchQuery = '';
+    this.lastConversations = null;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'lock-screen';
+    overlay.innerHTML = `
+      <form class="lock-form">
+        <div class="lock-icon">\u{1F512}</div>
+        <h2>nashme.sh is locked</h2>
+        <div class="form-group">
+          <label for="unlock-passphrase">Passphrase</label>
+          <input type="password" id="unlock-passphrase" autocomplete="current-password" required>
         </div>
-      `;
-      return;
-    }
+        <p class="field-error"></p>
+        <button type="submit" class="primary-btn">Unlock</button>
+      </form>
+    `;
+    document.body.appendChild(overlay);
 
-    conversations.forEach(convo => {
-      const template = document.getElementById('conversation-item-template');
-      const item = template.content.cloneNode(true);
-      const el = item.querySelector('.conversation-item');
+    const form = overlay.querySelector('form');
+    const input = overlay.querySelector('input');
+    const error = overlay.querySelector('.field-error');
+    const unlockBtn = form.querySelector('button');
+    input.focus();
 
-      el.dataset.id = convo.id;
-      el.querySelector('.avatar-text').textContent = convo.displayName?.[0] || '?';
-      el.querySelector('.convo-name').textContent = convo.displayName || 'Unknown';
-      el.querySelector('.convo-time').textContent = convo.lastMessageAt
-        ? this.formatTime(convo.lastMessageAt)
-        : '';
-      el.querySelector('.convo-preview').textContent = 'Tap to open';
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      unlockBtn.disabled = true;
+      unlockBtn.textContent = 'Unlocking...';
+      error.textContent = '';
 
-      if (convo.unreadCount > 0) {
-        const badge = el.querySelector('.unread-badge');
-        badge.textContent = convo.unreadCount;
-        badge.classList.remove('hidden');
+      if (await onUnlock(input.value)) {
+        overlay.remove();
+        return;
       }
 
-      el.addEventListener('click', () => {
-        document.querySelectorAll('.conversation-item').forEach(i => i.classList.remove('active'));
-        el.classList.add('active');
-        onSelect(convo);
-      });
-
-      list.appendChild(item);
+      error.textContent = 'Wrong passphrase';
+      unlockBtn.disabled = false;
+      unlockBtn.textContent = 'Unlock';
+      input.select();
     });
   }
 
-  showConversation(conversation, messages, myNodeId, onSend) {
-    const view = document.getElementById('conversation-view');
-    const emptyState = document.getElementById('empty-state');
+  showSettings(owner, onSaveOwner, security, backup, delivery) {
+    document.querySelector('.settings-modal')?.remove();
 
-    if (emptyState) emptyState.classList.add('hidden');
-    if (view) view.classList.remove('hidden');
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay settings-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>Settings</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <form class="settings-section" id="owner-form">
+            <h3>Your name on the mesh</h3>
+            <div class="form-group">
+              <label for="settings-long-name">Name</label>
+              <input type="text" id="settings-long-name" autocomplete="off">
+            </div>
+            <div class="form-group">
+              <label for="settings-short-name">Short name</label>
+              <input type="text" id="settings-short-name" autocomplete="off">
+              <small>Shown on radio screens. Up to 4 letters, or one emoji.</small>
+            </div>
+            <p class="settings-node-id"></p>
+            <button type="submit" class="primary-btn">Save to radio</button>
+          </form>
+          <form class="settings-section" id="passphrase-form">
+            <h3>App passphrase</h3>
+            <p class="settings-hint"></p>
+            <div class="form-group" id="current-passphrase-group">
+              <label for="current-passphrase">Current passphrase</label>
+              <input type="password" id="current-passphrase" autocomplete="current-password">
+            </div>
+            <div class="form-group">
+              <label for="new-passphrase">New passphrase</label>
+              <input type="password" id="new-passphrase" autocomplete="new-password">
+            </div>
+            <div class="form-group">
+              <label for="confirm-passphrase">Confirm new passphrase</label>
+              <input type="password" id="confirm-passphrase" autocomplete="new-password">
+            </div>
+            <p class="field-error"></p>
+            <button type="submit" class="primary-btn"></button>
+          </form>
+          <div class="settings-section" id="lock-settings">
+            <div class="form-group">
+              <label for="auto-lock">Lock after</label>
+              <select id="auto-lock">
+                <option value="1">1 minute</option>
+                <option value="5">5 minutes</option>
+                <option value="15">15 minutes</option>
+                <option value="60">1 hour</option>
+                <option value="0">Never</option>
+              </select>
+            </div>
+            <div class="invite-actions">
+              <button class="text-btn" id="remove-passphrase-btn">Remove passphrase</button>
+              <button class="secondary-btn" id="lock-now-btn">Lock now</button>
+            </div>
+          </div>
+          <div class="settings-section" id="delivery-settings">
+            <h3>Delivery</h3>
+            <div class="form-group">
+              <label for="message-retries">Resend undelivered messages</label>
+              <select id="message-retries">
+                <option value="0">Never</option>
+                <option value="1">Once</option>
+                <option value="2">Twice</option>
+                <option value="3">3 times</option>
+                <option value="5">5 times</option>
+              </select>
+              <small>Before a message is marked not delivered. Every resend takes airtime on the mesh.</small>
+            </div>
+          </div>
+          <div class="settings-section" id="notification-settings">
+            <h3>Notifications</h3>
+            <p class="settings-hint"></p>
+            <button class="secondary-btn" id="enable-notifications-btn">Turn on notifications</button>
+          </div>
+          <div class="settings-section" id="backup-settings">
+            <h3>Backup</h3>
+            <p class="settings-hint">Your channel keys and contacts, and optionally your messages, encrypted with a passphrase of their own.</p>
+            <div class="invite-actions">
+              <button class="secondary-btn" id="export-backup-btn">Back up to a file</button>
+              <button class="secondary-btn" id="import-backup-btn">Restore from a file</button>
+            </div>
+            <div class="invite-actions">
+              <button class="secondary-btn" id="send-transfer-btn">Send to another phone</button>
+              <button class="secondary-btn" id="receive-transfer-btn" hidden>Receive from another phone</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
 
-    // Update header
-    document.getElementById('convo-name').textContent = conversation.displayName;
-    document.getElementById('convo-subtitle').textContent =
-      conversation.type === 'group'
-        ? `${conversation.participants.length} members`
-        : 'End-to-end encrypted';
-    document.querySelector('#convo-avatar span').textContent = conversation.displayName?.[0] || '?';
+    this.bindPassphraseSettings(overlay, security);
+    this.bindDeliverySettings(overlay, delivery);
+    this.bindNotificationSettings(overlay);
+    this.bindBackupSettings(overlay, backup);
 
-    // Render messages
-    this.renderMessages(messages, myNodeId);
+    const form = overlay.querySelector('#owner-form');
+    const longNameInput = overlay.querySelector('#settings-long-name');
+    const shortNameInput = overlay.querySelector('#settings-short-name');
+    const saveBtn = form.querySelector('button[type="submit"]');
 
-    // Set up input
-    const input = document.getElementById('message-input');
-    const sendBtn = document.getElementById('send-btn');
+    longNameInput.value = owner.longName || '';
+    shortNameInput.value = owner.shortName || '';
+    shortNameInput.dataset.manual = 'true';
+    overlay.querySelector('.settings-node-id').textContent = owner.nodeId ? `Node ID ${owner.nodeId}` : '';
 
-    const handleSend = async () => {
-      const text = input.value.trim();
-      if (!text) return;
+    const fields = this.bindOwnerFields(longNameInput, shortNameInput, saveBtn);
 
-      input.value = '';
-      input.style.height = 'auto';
-      await onSend(text);
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      saveBtn.disabled = true;
+      saveBtn.textContent = 'Saving...';
+
+      try {
+        await onSaveOwner(longNameInput.value, shortNameInput.value);
+        this.showToast('Name saved to your radio');
+        fields.validate();
+      } catch (error) {
+        fields.showErrors(error.errors || { longName: error.message });
+        if (!error.errors) saveBtn.disabled = false;
+      } finally {
+        saveBtn.textContent = 'Save to radio';
+      }
+    });
+
+    const closeModal = () => overlay.remove();
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+  }
+
+  bindPassphraseSettings(overlay, security) {
+    const form = overlay.querySelector('#passphrase-form');
+    const current = overlay.querySelector('#current-passphrase');
+    const next = overlay.querySelector('#new-passphrase');
+    const confirm = overlay.querySelector('#confirm-passphrase');
+    const error = form.querySelector('.field-error');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const submitLabel = security.encrypted ? 'Change passphrase' : 'Set passphrase';
+
+    form.querySelector('.settings-hint').textContent = security.encrypted
+      ? 'On. Channel keys, contacts and messages are encrypted on this device.'
+      : 'Off. Anyone with access to this browser can read your channel keys and messages.';
+    overlay.querySelector('#current-passphrase-group').hidden = !security.encrypted;
+    overlay.querySelector('#lock-settings').hidden = !security.encrypted;
+    submitBtn.textContent = submitLabel;
+
+    // Runs a passphrase change, reporting failures inline
+    const run = async (btn, busyLabel, task) => {
+      const label = btn.textContent;
+      btn.disabled = true;
+      btn.textContent = busyLabel;
+      error.textContent = '';
+      try {
+        await task();
+      } catch (err) {
+        error.textContent = err.message;
+        btn.disabled = false;
+        btn.textContent = label;
+      }
     };
 
-    sendBtn.onclick = handleSend;
-    input.onkeypress = (e) => {
-      if (e.key === 'Enter' && !e.shiftKey) {
-        e.preventDefault();
-        handleSend();
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (next.value.length < UIManager.MIN_PASSPHRASE_LENGTH) {
+        error.textContent = `Use at least ${UIManager.MIN_PASSPHRASE_LENGTH} characters`;
+        return;
+      }
+      if (next.value !== confirm.value) {
+        error.textContent = "Passphrases don't match";
+        return;
+      }
+
+      run(submitBtn, 'Encrypting...', async () => {
+        await security.onSetPassphrase(current.value, next.value);
+        this.showToast(security.encrypted ? 'Passphrase changed' : 'Passphrase set - this device is now encrypted');
+      });
+    });
+
+    const removeBtn = overlay.querySelector('#remove-passphrase-btn');
+    removeBtn.addEventListener('click', () => {
+      if (!current.value) {
+        error.textContent = 'Enter your current passphrase to remove it';
+        current.focus();
+        return;
       }
+      run(removeBtn, 'Decrypting...', async () => {
+        await security.onRemovePassphrase(current.value);
+        this.showToast('Passphrase removed');
+      });
+    });
+
+    const autoLock = overlay.querySelector('#auto-lock');
+    autoLock.value = String(security.autoLockMinutes);
+    autoLock.addEventListener('change', () => security.onSetAutoLock(Number(autoLock.value)));
+
+    overlay.querySelector('#lock-now-btn').addEventListener('click', () => {
+      overlay.remove();
+      security.onLockNow();
+    });
+  }
+
+  bindDeliverySettings(overlay, delivery) {
+    const retries = overlay.querySelector('#message-retries');
+
+    // A restored backup can carry a count the list doesn't offer
+    if (![...retries.options].some(option => Number(option.value) === delivery.retries)) {
+      retries.add(new Option(`${delivery.retries} times`, String(delivery.retries)));
+    }
+    retries.value = String(delivery.retries);
+
+    retries.addEventListener('change', async () => {
+      try {
+        await delivery.onSetRetries(Number(retries.value));
+      } catch (error) {
+        this.showToast(error.message);
+      }
+    });
+  }
+
+  // Permission is only ever asked for from here, when the user taps the button
+  bindNotificationSettings(overlay) {
+    const section = overlay.querySelector('#notification-settings');
+    const hint = section.querySelector('.settings-hint');
+    const enableBtn = overlay.querySelector('#enable-notifications-btn');
+
+    const render = () => {
+      const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+      hint.textContent = {
+        granted: 'On. New messages show a notification while the app is in the background.',
+        denied: 'Blocked. Allow notifications for this site in your browser settings to turn them on.',
+        default: 'Off. Turn them on to hear about new messages while the app is in the background.',
+        unsupported: "This browser can't show notifications.",
+      }[permission];
+      enableBtn.hidden = permission !== 'default';
     };
 
-    // Auto-resize textarea
-    input.oninput = () => {
-      input.style.height = 'auto';
-      input.style.height = Math.min(input.scrollHeight, 120) + 'px';
-    };
+    enableBtn.addEventListener('click', async () => {
+      enableBtn.disabled = true;
+      try {
+        await Notification.requestPermission();
+      } finally {
+        enableBtn.disabled = false;
+        render();
+      }
+    });
+
+    render();
+  }
+
+  bindBackupSettings(overlay, backup) {
+    overlay.querySelector('#export-backup-btn').addEventListener('click', () => this.showBackupExport(backup.onExport));
+    overlay.querySelector('#import-backup-btn').addEventListener('click', () => this.showBackupImport(backup.onImport));
+
+    const sendBtn = overlay.querySelector('#send-transfer-btn');
+    sendBtn.addEventListener('click', async () => {
+      sendBtn.disabled = true;
+      sendBtn.textContent = 'Preparing...';
+      try {
+        await backup.onSendTransfer();
+      } catch (error) {
+        this.showToast(error.message);
+      } finally {
+        sendBtn.disabled = false;
+        sendBtn.textContent = 'Send to another phone';
+      }
+    });
+
+    const receiveBtn = overlay.querySelector('#receive-transfer-btn');
+    if ('BarcodeDetector' in window && navigator.mediaDevices?.getUserMedia) {
+      receiveBtn.hidden = false;
+      receiveBtn.addEventListener('click', () => this.showTransferReceive(backup.onReceiveTransfer));
+    }
+  }
+
+  // onExport(passphrase, includeMessages) resolves to the backup's text
+  showBackupExport(onExport) {
+    document.querySelector('.backup-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay backup-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>Back up to a file</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <form>
+            <p class="settings-hint">Choose a passphrase for this backup. You'll need it to restore, and it can't be recovered.</p>
+            <div class="form-group">
+              <label for="backup-passphrase">Backup passphrase</label>
+              <input type="password" id="backup-passphrase" autocomplete="new-password" required>
+            </div>
+            <div class="form-group">
+              <label for="backup-confirm">Confirm passphrase</label>
+              <input type="password" id="backup-confirm" autocomplete="new-password" required>
+            </div>
+            <label class="checkbox-row">
+              <input type="checkbox" id="backup-include-messages">
+              Include messages
+            </label>
+            <p class="field-error"></p>
+            <div class="invite-actions">
+              <button type="submit" class="primary-btn">Download backup</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const form = overlay.querySelector('form');
+    const passphrase = overlay.querySelector('#backup-passphrase');
+    const confirm = overlay.querySelector('#backup-confirm');
+    const includeMessages = overlay.querySelector('#backup-include-messages');
+    const error = form.querySelector('.field-error');
+    const submitBtn = form.querySelector('button[type="submit"]');
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (passphrase.value.length < UIManager.MIN_PASSPHRASE_LENGTH) {
+        error.textContent = `Use at least ${UIManager.MIN_PASSPHRASE_LENGTH} characters`;
+        return;
+      }
+      if (passphrase.value !== confirm.value) {
+        error.textContent = "Passphrases don't match";
+        return;
+      }
 
-    // Mobile: show conversation view
-    document.querySelector('.messenger-layout')?.classList.add('convo-open');
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Encrypting...';
+      error.textContent = '';
+      try {
+        const text = await onExport(passphrase.value, includeMessages.checked);
+        this.downloadFile(`nashme-backup-${new Date().toISOString().slice(0, 10)}.json`, text, 'application/json');
+        overlay.remove();
+        this.showToast('Backup saved');
+      } catch (err) {
+        error.textContent = err.message;
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Download backup';
+      }
+    });
 
-    this.selectedConversation = conversation;
+    const closeModal = () => overlay.remove();
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+    passphrase.focus();
   }
 
-  renderMessages(messages, myNodeId) {
-    const container = document.getElementById('messages-container');
-    if (!container) return;
+  // onImport(text, passphrase) restores the file; the modal closes once it has
+  showBackupImport(onImport) {
+    document.querySelector('.backup-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay backup-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>Restore from a file</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <form>
+            <p class="settings-hint">Restoring adds to what's already here. Conversations you already have are kept as they are.</p>
+            <div class="form-group">
+              <label for="backup-file">Backup file</label>
+              <input type="file" id="backup-file" accept=".json,application/json" required>
+            </div>
+            <div class="form-group">
+              <label for="restore-passphrase">Backup passphrase</label>
+              <input type="password" id="restore-passphrase" autocomplete="off" required>
+            </div>
+            <p class="field-error"></p>
+            <div class="invite-actions">
+              <button type="submit" class="primary-btn">Restore</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
 
-    container.innerHTML = '';
+    const form = overlay.querySelector('form');
+    const file = overlay.querySelector('#backup-file');
+    const passphrase = overlay.querySelector('#restore-passphrase');
+    const error = form.querySelector('.field-error');
+    const submitBtn = form.querySelector('button[type="submit"]');
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Restoring...';
+      error.textContent = '';
+      try {
+        await onImport(await file.files[0].text(), passphrase.value);
+        overlay.remove();
+      } catch (err) {
+        error.textContent = err.message;
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Restore';
+      }
+    });
 
-    messages.forEach(msg => {
-      const isOwn = msg.fromNodeId === myNodeId;
-      const template = document.getElementById('message-template');
-      const item = template.content.cloneNode(true);
-      const el = item.querySelector('.message');
+    const closeModal = () => overlay.remove();
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+  }
 
-      el.dataset.id = msg.id;
-      el.classList.add(isOwn ? 'own' : 'other');
-      el.querySelector('.message-text').textContent = msg.text;
-      el.querySelector('.message-time').textContent = this.formatTime(msg.timestamp);
+  downloadFile(name, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
 
-      if (isOwn) {
-        el.querySelector('.message-status').textContent = msg.status === 'sent' ? '✓' : '✓✓';
+  // Cycles through the frames until closed. The receiving phone keeps
+  // whichever frames it catches, so missed ones come round again.
+  showTransferSend(frames, code) {
+    document.querySelector('.transfer-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay transfer-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>Send to another phone</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <p class="safety-intro">On the other phone, open Settings, tap "Receive from another phone" and point it at this code. Keep this screen open until it's done.</p>
+          <canvas class="invite-qr"></canvas>
+          <p class="transfer-progress"></p>
+          <p class="safety-intro">Then enter this transfer code on the other phone:</p>
+          <div class="transfer-code"></div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.querySelector('.transfer-code').textContent = code;
+    const canvas = overlay.querySelector('.invite-qr');
+    const progress = overlay.querySelector('.transfer-progress');
+
+    const showFrame = async (index) => {
+      if (!overlay.isConnected) return;
+      if (!(await HyphaeMesh.generateQRCode(frames[index], canvas, 280))) {
+        canvas.remove();
+        progress.textContent = "QR codes can't be drawn here";
+        return;
       }
+      progress.textContent = `Part ${index + 1} of ${frames.length}`;
+      setTimeout(() => showFrame((index + 1) % frames.length), UIManager.TRANSFER_FRAME_MS);
+    };
+    showFrame(0);
 
-      container.appendChild(item);
+    const closeModal = () => overlay.remove();
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
     });
-
-    // Scroll to bottom
-    container.scrollTop = container.scrollHeight;
   }
 
-  addMessage(message, myNodeId) {
-    const container = document.getElementById('messages-container');
-    if (!container) return;
+  // Scans frames in any order until the set is complete, then asks for
+  // the transfer code. onReceive(text, code) restores it.
+  async showTransferReceive(onReceive) {
+    document.querySelector('.transfer-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay transfer-modal';
+    overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h2>Receive from another phone</h2>
+          <button class="modal-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal-content">
+          <p class="safety-intro">On the other phone, open Settings and tap "Send to another phone", then point this camera at its code.</p>
+          <div class="qr-scan"></div>
+          <p class="transfer-progress"></p>
+          <form hidden>
+            <div class="form-group">
+              <label for="transfer-code">Transfer code</label>
+              <input type="text" id="transfer-code" autocomplete="off" autocapitalize="characters" spellcheck="false" required>
+            </div>
+            <p class="field-error"></p>
+            <div class="invite-actions">
+              <button type="submit" class="primary-btn">Restore</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
 
-    const isOwn = message.fromNodeId === myNodeId;
-    const template = document.getElementById('message-template');
-    const item = template.content.cloneNode(true);
-    const el = item.querySelector('.message');
+    const closeModal = () => overlay.remove();
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
 
-    el.dataset.id = message.id;
-    el.classList.add(isOwn ? 'own' : 'other');
-    el.querySelector('.message-text').textContent = message.text;
-    el.querySelector('.message-time').textContent = this.formatTime(message.timestamp);
+    const progress = overlay.querySelector('.transfer-progress');
+    const parts = new Map();
+    let session = null;
+    let count = 0;
 
-    if (isOwn) {
-      el.querySelector('.message-status').textContent = '✓';
+    try {
+      const last = await this.scanQRCode(overlay.querySelector('.qr-scan'), (value) => {
+        const frame = BackupManager.parseFrame(value);
+        if (!frame) return false;
+        // The sender was restarted: its frames are a new encryption
+        if (frame.session !== session) {
+          session = frame.session;
+          parts.clear();
+        }
+        count = frame.count;
+        parts.set(frame.index, frame.data);
+        progress.textContent = `Received ${parts.size} of ${count}`;
+        return parts.size === count;
+      });
+      if (last === null) return;
+    } catch (error) {
+      progress.textContent = `Couldn't scan: ${error.message}`;
+      return;
     }
 
-    container.appendChild(item);
-    container.scrollTop = container.scrollHeight;
+    const text = Array.from({ length: count }, (_, i) => parts.get(i)).join('');
+    const form = overlay.querySelector('form');
+    const codeInput = overlay.querySelector('#transfer-code');
+    const error = form.querySelector('.field-error');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    progress.textContent = 'Received everything';
+    form.hidden = false;
+    codeInput.focus();
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Restoring...';
+      error.textContent = '';
+      try {
+        await onReceive(text, codeInput.value);
+        overlay.remove();
+      } catch (err) {
+        error.textContent = err.message;
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Restore';
+      }
+    });
   }
 
   showNewContactModal(onAdd, onClose) {
@@ -986,6 +7014,12 @@ class UIManager {
   }
 }
 
+UIManager.LONG_PRESS_MS = 500;
+UIManager.SEARCH_DEBOUNCE_MS = 200;
+UIManager.SNIPPET_CONTEXT = 30;
+UIManager.MIN_PASSPHRASE_LENGTH = 8;
+UIManager.TRANSFER_FRAME_MS = 400;
+
 // ============================================================================
 // Main Application
 // ============================================================================
@@ -995,22 +7029,56 @@ class NashMeshApp {
     this.db = new NashMeshDB();
     this.meshtastic = new MeshtasticManager();
     this.conversations = null;
+    this.nodes = null;
+    this.backup = null;
     this.ui = new UIManager();
+    this.pendingInvite = null;
+    this.lockedEvents = [];
+    this.lockedHandlers = new Map();
+    this.lastActivity = Date.now();
+    this.autoLockMinutes = NashMeshApp.DEFAULT_AUTO_LOCK_MINUTES;
   }
 
   async init() {
+    // An upgrade waits on any older tab, which closes itself once it's told
+    this.db.onBlocked(() => this.ui.showToast('Close other nashme.sh tabs to finish updating', 10000));
+    this.db.onVersionChange(() => {
+      this.ui.showToast('nashme.sh was updated in another tab. Reloading...');
+      setTimeout(() => window.location.reload(), NashMeshApp.RELOAD_DELAY);
+    });
+
     // Initialize database
     await this.db.init();
 
+    // With a passphrase set nothing is readable until it's entered
+    if (this.db.isLocked()) await this.waitForUnlock();
+    const autoLock = await this.db.get('settings', 'autoLockMinutes');
+    if (autoLock) this.autoLockMinutes = autoLock.value;
+    this.startAutoLock();
+
+    // An invite link waits until the messenger is up (after onboarding,
+    // for a first visit)
+    this.pendingInvite = ConversationManager.parseInvite(window.location.hash);
+    window.addEventListener('hashchange', () => {
+      const invite = ConversationManager.parseInvite(window.location.hash);
+      if (!invite) return;
+      this.pendingInvite = invite;
+      if (this.conversations) this.showInvite(invite);
+    });
+
     // Check if already configured
     const configured = await this.db.get('settings', 'configured');
 
     if (configured?.value) {
-      // Try to auto-reconnect
+      // Open the messenger right away; the radio reconnects in the background
       await this.showMessenger();
+      this.meshtastic.reconnect();
     } else {
       // Show onboarding
-      this.ui.showOnboarding(() => this.startConnection());
+      this.ui.showOnboarding(
+        MeshtasticManager.availableTransports(),
+        (options) => this.startConnection(options)
+      );
     }
 
     // Register service worker
@@ -1020,28 +7088,25 @@ class NashMeshApp {
     this.handleInstallPrompt();
   }
 
-  async startConnection() {
+  async startConnection(options = {}) {
     this.ui.showConnecting();
 
     try {
-      // Connect to device
+      // Connect and run the config handshake (first 40% of the bar)
       await this.meshtastic.connect((progress, message) => {
-        this.ui.updateProgress(progress, message);
-      });
+        this.ui.updateProgress(progress * 0.4, message);
+      }, options);
 
-      // Apply nashme.sh configuration
+      // Apply nashme.sh configuration (remaining 60%)
       await this.meshtastic.applyConfig(NASHME_CONFIG, (progress, message, step) => {
-        this.ui.updateProgress(progress, message, step);
+        this.ui.updateProgress(40 + progress * 0.6, message, step);
       });
 
       // Wait a moment to show completion
       await new Promise(resolve => setTimeout(resolve, 1000));
 
-      // Check if user needs to set name
-      const hasName = this.meshtastic.myNodeInfo?.user?.longName &&
-                      !this.meshtastic.myNodeInfo.user.longName.startsWith('nashme.sh-');
-
-      if (!hasName) {
+      // Ask for a name unless the radio already has one of its own
+      if (this.meshtastic.hasDefaultOwner()) {
         this.showUserSetup();
       } else {
         this.showSuccess();
@@ -1049,27 +7114,101 @@ class NashMeshApp {
 
     } catch (error) {
       console.error('Connection error:', error);
-      this.ui.showError(error.message, error.type || 'device', () => this.startConnection());
+      this.ui.showError(error.message, error.type || 'device', () => this.startConnection(options));
     }
   }
 
   showUserSetup() {
     this.ui.showUserSetup(
       async (longName, shortName) => {
-        const finalLongName = longName || `nashme-${Date.now().toString(36)}`;
-        const finalShortName = shortName || finalLongName.slice(0, 4);
+        const finalLongName = longName.trim() || `nashme-${Date.now().toString(36)}`;
+        const finalShortName = shortName.trim() ||
+          MeshtasticManager.truncateUtf8(finalLongName, MeshtasticManager.SHORT_NAME_MAX_BYTES);
 
         await this.meshtastic.setOwner(finalLongName, finalShortName);
         this.showSuccess();
       },
       async () => {
+        // Skipping shouldn't strand setup if the radio doesn't answer
         const defaultName = `nashme-${Date.now().toString(36)}`;
-        await this.meshtastic.setOwner(defaultName, 'NASH');
+        try {
+          await this.meshtastic.setOwner(defaultName, 'NASH');
+        } catch (error) {
+          console.warn('Could not set default name:', error.message);
+        }
         this.showSuccess();
       }
     );
   }
 
+  async showSettings() {
+    const user = this.meshtastic.myNodeInfo?.user;
+    const retries = await this.conversations.getMaxRetries();
+
+    this.ui.showSettings(
+      {
+        nodeId: this.meshtastic.myNodeId,
+        longName: user?.longName || localStorage.getItem(`${NASHME_STORAGE_PREFIX}longName`) || '',
+        shortName: user?.shortName || localStorage.getItem(`${NASHME_STORAGE_PREFIX}shortName`) || '',
+      },
+      (longName, shortName) => this.meshtastic.setOwner(longName, shortName),
+      {
+        encrypted: this.db.isEncrypted(),
+        autoLockMinutes: this.autoLockMinutes,
+        onSetPassphrase: (current, next) => this.changePassphrase(current, () => this.db.setPassphrase(next)),
+        onRemovePassphrase: (current) => this.changePassphrase(current, () => this.db.removePassphrase()),
+        onSetAutoLock: async (minutes) => {
+          await this.db.put('settings', { key: 'autoLockMinutes', value: minutes });
+          this.autoLockMinutes = minutes;
+        },
+        onLockNow: () => this.lock(),
+      },
+      {
+        onExport: (passphrase, includeMessages) => this.backup.createBackup(passphrase, { includeMessages }),
+        onImport: (text, passphrase) => this.restoreBackup(text, passphrase),
+        onSendTransfer: () => this.sendTransfer(),
+        onReceiveTransfer: (text, code) => this.restoreBackup(text, BackupManager.normalizeTransferCode(code)),
+      },
+      {
+        retries,
+        onSetRetries: (count) => this.conversations.setMaxRetries(count),
+      }
+    );
+  }
+
+  // Keys and contacts only: messages would take hundreds of frames
+  async sendTransfer() {
+    const code = BackupManager.generateTransferCode();
+    const text = await this.backup.createBackup(BackupManager.normalizeTransferCode(code));
+    this.ui.showTransferSend(BackupManager.toFrames(text), code);
+  }
+
+  async restoreBackup(text, passphrase) {
+    const summary = await this.backup.restoreBackup(text, passphrase);
+    await this.refreshConversationList();
+
+    if (summary.skipped.length > 0) {
+      this.ui.showToast(`No free channel slot for ${summary.skipped.join(', ')}. Delete a group and restore again.`, 8000);
+    } else if (summary.conversations + summary.messages + summary.contacts === 0) {
+      this.ui.showToast('Everything in this backup is already here');
+    } else {
+      const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+      this.ui.showToast(`Restored ${plural(summary.conversations, 'conversation')} and ${plural(summary.messages, 'message')}`);
+    }
+  }
+
+  // Re-encrypting keys the search index to the new passphrase, so it's
+  // rebuilt afterwards
+  async changePassphrase(current, apply) {
+    if (this.db.isEncrypted() && !(await this.db.checkPassphrase(current))) {
+      throw new Error('Current passphrase is wrong');
+    }
+
+    await apply();
+    await this.conversations?.searchIndex.build();
+    await this.showSettings();
+  }
+
   async showSuccess() {
     // Mark as configured
     await this.db.put('settings', { key: 'configured', value: true });
@@ -1083,62 +7222,521 @@ class NashMeshApp {
   async showMessenger() {
     // Initialize conversation manager
     this.conversations = new ConversationManager(this.db, this.meshtastic);
+    this.backup = new BackupManager(this.db, this.conversations);
+    await this.conversations.failStranded(this.meshtastic.takeStrandedPackets());
+
+    // Persist the node DB; nodes heard during onboarding are saved now
+    this.nodes = new NodeManager(this.db, this.meshtastic);
+    await this.nodes.load();
+    const saveNode = (node) => this.nodes.saveNode(node)
+      .then(() => this.ui.refreshNodes?.())
+      .catch(error => console.error('Failed to save node:', error));
+    const handlePeerKey = this.whenUnlocked((node) => this.handlePeerKey(node)
+      .catch(error => console.error('Failed to handle peer key:', error)));
+    // Keys heard during onboarding or before the messenger opened count too
+    const handleNode = (node) => {
+      saveNode(node);
+      handlePeerKey(node);
+    };
+    this.meshtastic.nodes.forEach(handleNode);
+    this.meshtastic.onNodeUpdate(handleNode);
+
+    await this.renderMessenger();
+
+    const showState = (state) => this.ui.setConnectionState(state, () => this.reconnectRadio());
+    showState(this.meshtastic.connectionState);
+    // Channel changes made offline reach the radio once it's connected;
+    // key rotations also switch over on the clock
+    const syncChannels = this.whenUnlocked((options) => this.syncChannels(options));
+    this.meshtastic.onConnectionState((state) => {
+      showState(state);
+      if (state === 'connected') syncChannels({ review: true });
+    });
+    if (this.meshtastic.isConnected()) syncChannels({ review: true });
+    // A locked app skips the tick rather than queueing one a minute
+    setInterval(() => {
+      if (!this.db.isLocked()) syncChannels();
+    }, NashMeshApp.KEY_SCHEDULE_INTERVAL);
+
+    // Messages written while offline leave the outbox once reconnected
+    this.meshtastic.onPacketSent(this.whenUnlocked(async (packetId) => {
+      const message = await this.conversations.updateMessageStatus(packetId, 'sent');
+      if (message) this.ui.updateMessageStatus(message);
+    }, 'packetSent'));
+
+    // Delivery acks and naks update the open conversation in place
+    this.meshtastic.onAck(this.whenUnlocked(async (ack) => {
+      const message = await this.conversations.handleAck(ack);
+      if (message) this.ui.updateMessageStatus(message);
+    }, 'ack'));
+
+    if (this.pendingInvite) this.showInvite(this.pendingInvite);
+
+    // Listen for incoming messages
+    this.meshtastic.onMessage(this.whenUnlocked(async (packet) => {
+      const received = await this.conversations.receiveMessage(packet);
+      if (received) await this.showReceived(received);
+    }, 'message'));
+
+    // Long messages whose remaining chunks never turned up
+    this.conversations.onPartialMessage((received) => this.showReceived(received));
+
+    await this.replayLockedEvents();
+  }
 
-    // Get conversations
+  // The messenger screen itself, also redrawn after unlocking
+  async renderMessenger() {
     const convos = await this.conversations.getConversations();
 
-    // Show messenger UI
     this.ui.showMessenger(
       convos,
       () => this.showNewConversation(),
-      (convo) => this.selectConversation(convo)
+      (convo) => this.selectConversation(convo),
+      () => this.showSettings().catch(error => this.ui.showToast(error.message)),
+      () => this.ui.showNodes((sortBy) => this.nodes.getNodes(sortBy), (node) => this.startDM({
+        id: node.id,
+        name: node.longName || node.id,
+      })),
+      (convo) => this.showConversationActions(convo),
+      () => this.showNewGroup(),
+      (invite) => this.showInvite(invite),
+      () => this.showChannels()
     );
 
-    // Listen for incoming messages
-    this.meshtastic.onMessage(async (message) => {
-      // Handle incoming message
-      // Update UI if conversation is open
-      if (this.ui.selectedConversation?.id === message.conversationId) {
-        this.ui.addMessage(message, this.meshtastic.myNodeId);
+    this.ui.bindSearch(
+      (query) => this.conversations.search(query),
+      async (conversation, message) => {
+        await this.selectConversation(conversation);
+        await this.ui.scrollToMessage(message.id);
       }
+    );
+    this.conversations.searchIndex.build()
+      .catch(error => console.error('Failed to build search index:', error));
+  }
 
-      // Update conversation list
-      const convos = await this.conversations.getConversations();
-      this.ui.renderConversations(convos, (c) => this.selectConversation(c));
-    });
+  // Restored groups' channels, then any key switches or grace periods that
+  // are due. Both wait their turn on the schedule queue with switches
+  // started by a received rotation (see queueSchedule). review,
+  // on connecting, also points out slots the radio disagrees with us on.
+  async syncChannels({ review = false } = {}) {
+    try {
+      await this.conversations.writePendingChannels();
+      const changed = await this.conversations.applyKeySchedule();
+
+      const selected = changed.find(c => c.id === this.ui.selectedConversation?.id);
+      if (selected) {
+        this.ui.selectedConversation = selected;
+        this.ui.renderConversationHeader(selected);
+      }
+
+      const conflicts = review ? await this.conversations.getChannelConflicts() : [];
+      if (conflicts.length > 0) {
+        this.ui.showToast(conflicts.length === 1
+          ? 'A channel on your radio doesn\'t match this app. Review it under Channels.'
+          : `${conflicts.length} channels on your radio don't match this app. Review them under Channels.`, 8000);
+      }
+    } catch (error) {
+      console.error('Failed to sync channels:', error);
+    }
   }
 
-  showNewConversation() {
-    this.ui.showNewContactModal(
-      async (contact) => {
+  // Radio events that touch encrypted stores wait while the app is locked,
+  // then run in order once it's unlocked. The radio won't send a message,
+  // ack or sent packet twice, so those are named and sealed into the
+  // database too, where the next page load finds them if this tab closes.
+  // Node updates and channel syncs come round again by themselves.
+  whenUnlocked(handler, persistAs = null) {
+    if (persistAs) this.lockedHandlers.set(persistAs, handler);
+
+    return (...args) => {
+      if (!this.db.isLocked()) return handler(...args);
+
+      const saved = persistAs
+        ? this.db.saveLockedEvent({ type: persistAs, args }).catch(error => {
+          console.error('Failed to save event while locked:', error);
+          return null;
+        })
+        : null;
+      this.lockedEvents.push(async () => {
+        const id = await saved;
         try {
-          const conversation = await this.conversations.createDM(contact);
-          const convos = await this.conversations.getConversations();
-          this.ui.renderConversations(convos, (c) => this.selectConversation(c));
-          this.selectConversation(conversation);
-          this.ui.showToast(`Started conversation with ${contact.name}`);
-        } catch (error) {
-          this.ui.showToast(error.message);
+          await handler(...args);
+        } finally {
+          if (id != null) await this.db.delete('lockedEvents', id);
+        }
+      });
+      return undefined;
+    };
+  }
+
+  // Events saved while an earlier page load was locked
+  async replayLockedEvents() {
+    for (const { id, type, args } of await this.db.getLockedEvents()) {
+      try {
+        await this.lockedHandlers.get(type)?.(...args);
+      } catch (error) {
+        console.error('Failed to handle event saved while locked:', error);
+      } finally {
+        await this.db.delete('lockedEvents', id);
+      }
+    }
+  }
+
+  // Resolves once the right passphrase has been entered
+  waitForUnlock() {
+    return new Promise(resolve => {
+      this.ui.showLockScreen(async (passphrase) => {
+        if (!(await this.db.unlock(passphrase))) return false;
+        this.lastActivity = Date.now();
+        resolve();
+        return true;
+      });
+    });
+  }
+
+  async lock() {
+    if (!this.db.isEncrypted() || this.db.isLocked()) return;
+
+    this.db.lock();
+    await this.waitForUnlock();
+
+    if (this.conversations) await this.renderMessenger();
+    for (const run of this.lockedEvents.splice(0)) {
+      try {
+        await run();
+      } catch (error) {
+        console.error('Failed to handle event queued while locked:', error);
+      }
+    }
+  }
+
+  // Locks after autoLockMinutes without a tap or key press. Timers are
+  // throttled in background tabs, so coming back to the tab checks too.
+  startAutoLock() {
+    const activity = () => {
+      this.lastActivity = Date.now();
+    };
+    ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, activity, { passive: true }));
+
+    const check = () => {
+      if (!this.autoLockMinutes || this.db.isLocked()) return;
+      if (Date.now() - this.lastActivity >= this.autoLockMinutes * 60000) this.lock();
+    };
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) check();
+    });
+    setInterval(check, NashMeshApp.AUTO_LOCK_CHECK_INTERVAL);
+  }
+
+  async showReceived({ message, conversation, rekeyed }) {
+    // Append to the open conversation and keep it read
+    if (this.ui.selectedConversation?.id === conversation.id) {
+      this.ui.selectedConversation = conversation;
+      this.ui.renderConversationHeader(conversation);
+      this.ui.addMessage(message, this.meshtastic.myNodeId);
+      await this.conversations.markAsRead(conversation.id);
+    }
+
+    // A member's DM moved one of our groups to a new key
+    if (rekeyed && this.ui.selectedConversation?.id === rekeyed.id) {
+      this.ui.selectedConversation = rekeyed;
+      this.ui.renderConversationHeader(rekeyed);
+    }
+
+    this.notifyMessage(conversation, message);
+    await this.refreshConversationList();
+  }
+
+  // Tapping "offline" reopens the remembered radio, or falls back to the
+  // device picker if there isn't one
+  async reconnectRadio() {
+    const reconnected = await this.meshtastic.reconnect();
+    if (reconnected || this.meshtastic.connectionState !== 'offline') return;
+
+    const [transport] = MeshtasticManager.availableTransports();
+    if (!transport || transport.needsHost) {
+      this.ui.showToast('No radio paired yet - set one up from onboarding');
+      return;
+    }
+
+    try {
+      await this.meshtastic.connect(null, { transport: transport.type });
+    } catch (error) {
+      this.ui.showToast(error.message);
+    }
+  }
+
+  // Sends DMs that were waiting on this node's public key
+  async handlePeerKey(node) {
+    const result = await this.conversations.handleNodeUpdate(node);
+    if (!result) return;
+
+    result.messages.forEach(message => this.ui.updateMessageStatus(message));
+    if (this.ui.selectedConversation?.id === result.conversation.id) {
+      this.ui.selectedConversation = result.conversation;
+      this.ui.renderConversationHeader(result.conversation);
+    }
+  }
+
+  async showSafetyNumber(conversationId) {
+    const conversation = await this.conversations.getConversation(conversationId);
+    const number = await this.conversations.getSafetyNumber(conversation);
+
+    if (!number) {
+      this.ui.showToast(conversation.type === 'dm' && !conversation.peerPublicKey
+        ? 'No key from them yet - the safety number appears once their radio is heard'
+        : 'Connect your radio to see the safety number');
+      return;
+    }
+
+    this.ui.showSafetyNumber(
+      conversation,
+      number,
+      async (verified) => {
+        const updated = await this.conversations.setVerified(conversation.id, verified);
+        this.refreshHeader(updated);
+      },
+      await this.conversations.getKeyHistory(conversation),
+      conversation.type === 'group'
+        ? async () => {
+          const updated = await this.conversations.rotateKey(conversation.id);
+          this.refreshHeader(updated);
+          this.ui.showToast(`New key sent. It takes over at ${this.ui.formatTime(updated.pendingKey.switchAt)}.`);
+          await this.refreshConversationList();
+          await this.showSafetyNumber(conversation.id);
         }
+        : null
+    );
+  }
+
+  refreshHeader(conversation) {
+    if (this.ui.selectedConversation?.id !== conversation.id) return;
+    this.ui.selectedConversation = conversation;
+    this.ui.renderConversationHeader(conversation);
+  }
+
+  showInvite(invite) {
+    this.ui.showInvitePreview(
+      invite,
+      async () => {
+        const conversation = await this.conversations.acceptInvite(invite);
+        this.clearInvite();
+        await this.refreshConversationList();
+        this.selectConversation(conversation);
+        this.ui.showToast(`Joined ${conversation.displayName}`);
+      },
+      () => this.clearInvite()
+    );
+  }
+
+  // Drop the fragment so the channel key doesn't linger in history
+  clearInvite() {
+    this.pendingInvite = null;
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+
+  async refreshConversationList() {
+    const convos = await this.conversations.getConversations();
+    this.ui.renderConversations(
+      convos,
+      (c) => this.selectConversation(c),
+      (c) => this.showConversationActions(c)
+    );
+
+    // Keep the open conversation highlighted after a re-render
+    const selectedId = this.ui.selectedConversation?.id;
+    if (selectedId) {
+      document.querySelector(`.conversation-item[data-id="${selectedId}"]`)?.classList.add('active');
+    }
+  }
+
+  showConversationActions(conversation) {
+    this.ui.showConversationActions(
+      conversation,
+      async (flags) => {
+        const updated = await this.conversations.updateFlags(conversation.id, flags);
+        if (this.ui.selectedConversation?.id === updated.id) this.ui.selectedConversation = updated;
+        await this.refreshConversationList();
+      },
+      async () => {
+        await this.conversations.deleteConversation(conversation.id);
+        if (this.ui.selectedConversation?.id === conversation.id) this.ui.closeConversation();
+        await this.refreshConversationList();
+        this.ui.showToast(`Deleted ${conversation.displayName}`);
+      }
+    );
+  }
+
+  // A system notification while the app is in the background. Permission
+  // is asked for on the first send, when there's a gesture to attach it to.
+  // Goes through the service worker: Android Chrome has no page-side
+  // Notification constructor, and a failure here must never stop the
+  // message being shown
+  async notifyMessage(conversation, message) {
+    if (conversation.muted || !document.hidden) return;
+    if (!('Notification' in window) || Notification.permission !== 'granted' || !('serviceWorker' in navigator)) return;
+
+    const title = message.senderName ? `${message.senderName} in ${conversation.displayName}` : conversation.displayName;
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.showNotification(title, { body: message.text, tag: conversation.id });
+    } catch (error) {
+      console.warn('Notification failed:', error.message);
+    }
+  }
+
+  showNewConversation() {
+    this.ui.showNewContactModal((contact) => this.startDM(contact), () => {});
+  }
+
+  // Everyone who could join a group: saved contacts, then nodes the radio
+  // has heard
+  async getMemberCandidates(exclude = []) {
+    const candidates = new Map();
+    const contacts = await this.db.getAll('contacts');
+    contacts.forEach(contact => candidates.set(contact.id, { id: contact.id, name: contact.name || contact.id }));
+    this.nodes.getNodes('lastHeard').forEach(node => {
+      if (!candidates.has(node.id)) candidates.set(node.id, { id: node.id, name: node.longName || node.id });
+    });
+
+    return [...candidates.values()].filter(candidate =>
+      candidate.id !== this.meshtastic.myNodeId && !exclude.includes(candidate.id)
+    );
+  }
+
+  // Members get the invite by DM; the sheet is for sharing it any other way
+  async showNewGroup() {
+    this.ui.showGroupEditor(await this.getMemberCandidates(), async (name, members) => {
+      const conversation = await this.conversations.createGroup(name, members);
+      try {
+        await this.conversations.sendInvites(conversation, members.map(m => m.id));
+      } catch (error) {
+        this.ui.showToast(`Couldn't send invites: ${error.message}`);
+      }
+
+      await this.refreshConversationList();
+      await this.selectConversation(conversation);
+      this.ui.showInviteSheet(this.conversations.generateInviteUrl(conversation), conversation.displayName);
+    });
+  }
+
+  async showMembers(conversationId) {
+    const conversation = await this.conversations.getConversation(conversationId);
+    const myNodeId = this.meshtastic.myNodeId;
+    const members = await Promise.all(conversation.participants.map(async id => ({
+      id,
+      name: await this.conversations.getMemberName(id),
+      isMe: id === myNodeId,
+    })));
+
+    this.ui.showMembers(
+      conversation,
+      members,
+      await this.getMemberCandidates(conversation.participants),
+      async (added) => {
+        const updated = await this.conversations.addMembers(conversationId, added);
+        await this.refreshGroup(updated);
+        this.ui.showToast(`Invited ${added.map(m => m.name).join(', ')}`);
+      },
+      async (memberId) => {
+        const updated = await this.conversations.removeMember(conversationId, memberId);
+        await this.refreshGroup(updated);
+        this.ui.showToast(`Removed ${members.find(m => m.id === memberId).name}. The group has a new key.`);
+      }
+    );
+  }
+
+  async showChannels() {
+    const slots = await this.conversations.getChannelTable();
+    if (!slots) {
+      this.ui.showToast('Connect your radio to see its channels');
+      return;
+    }
+
+    // Either change can touch the open conversation, and importing adds one
+    const refresh = async (conversation) => {
+      this.refreshHeader(conversation);
+      await this.refreshConversationList();
+      await this.showChannels();
+    };
+
+    this.ui.showChannels(
+      slots,
+      async (index, displayName) => {
+        const conversation = await this.conversations.importChannel(index, displayName);
+        await refresh(conversation);
+        this.ui.showToast(`Added ${conversation.displayName}`);
       },
-      () => {}
+      async (index, keep) => {
+        await refresh(await this.conversations.resolveChannel(index, keep));
+      }
     );
   }
 
+  // After a membership change. Invites may have started DMs, so the list
+  // is redrawn too.
+  async refreshGroup(conversation) {
+    if (this.ui.selectedConversation?.id === conversation.id) {
+      this.ui.selectedConversation = conversation;
+      this.ui.renderConversationHeader(conversation);
+    }
+    await this.refreshConversationList();
+    await this.showMembers(conversation.id);
+  }
+
+  // Opens the existing DM with this node, or starts a new one
+  async startDM(contact) {
+    try {
+      const convos = await this.conversations.getConversations();
+      let conversation = convos.find(c => c.type === 'dm' && this.conversations.getPeerId(c) === contact.id);
+
+      if (!conversation) {
+        conversation = await this.conversations.createDM(contact);
+        await this.refreshConversationList();
+        this.ui.showToast(`Started conversation with ${contact.name}`);
+      }
+
+      this.selectConversation(conversation);
+    } catch (error) {
+      this.ui.showToast(error.message);
+    }
+  }
+
   async selectConversation(conversation) {
-    const messages = await this.conversations.getMessages(conversation.id);
+    const page = await this.conversations.getMessagePage(conversation.id);
 
     this.ui.showConversation(
       conversation,
-      messages,
+      page,
       this.meshtastic.myNodeId,
       async (text) => {
         const message = await this.conversations.sendMessage(conversation.id, text);
         this.ui.addMessage(message, this.meshtastic.myNodeId);
-      }
+        await this.refreshConversationList();
+      },
+      async (message) => {
+        try {
+          const resent = await this.conversations.resendMessage(message.id);
+          this.ui.updateMessageStatus(resent);
+        } catch (error) {
+          this.ui.showToast(error.message);
+        }
+      },
+      conversation.type === 'group'
+        ? () => this.ui.showInviteSheet(this.conversations.generateInviteUrl(conversation), conversation.displayName)
+        : null,
+      ['dm', 'group'].includes(conversation.type)
+        ? () => this.showSafetyNumber(conversation.id)
+        : null,
+      (oldest) => this.conversations.getMessagePage(conversation.id, { before: oldest }),
+      conversation.type === 'group'
+        ? () => this.showMembers(conversation.id)
+        : null
     );
 
-    await this.conversations.markAsRead(conversation.id);
+    if (await this.conversations.markAsRead(conversation.id)) {
+      await this.refreshConversationList();
+    }
   }
 
   registerServiceWorker() {
@@ -1199,11 +7797,31 @@ class NashMeshApp {
   }
 }
 
+NashMeshApp.DEFAULT_AUTO_LOCK_MINUTES = 5;
+NashMeshApp.AUTO_LOCK_CHECK_INTERVAL = 30000;
+NashMeshApp.RELOAD_DELAY = 2000;
+NashMeshApp.KEY_SCHEDULE_INTERVAL = 60000;
+
 // ============================================================================
 // Initialize App
 // ============================================================================
 
+// ?virtual swaps the radio for a simulated mesh (see js/virtual-radio.js).
+// It must install its fake navigator.bluetooth before the app looks for one.
+function loadVirtualRadio() {
+  if (!NASHME_VIRTUAL) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = '/js/virtual-radio.js';
+    script.onload = resolve;
+    script.onerror = () => reject(new Error('Could not load the virtual radio'));
+    document.head.appendChild(script);
+  });
+}
+
 document.addEventListener('DOMContentLoaded', () => {
-  const app = new NashMeshApp();
-  app.init().catch(console.error);
+  loadVirtualRadio()
+    .then(() => new NashMeshApp().init())
+    .catch(console.error);
 });
@@ -43,6 +43,20 @@
 
   function encodeVarint(value) {
     const bytes = [];
+
+    // Negative int32: 64-bit two's complement, always 10 bytes on the wire
+    if (value < 0) {
+      let low = value >>> 0;
+      let high = 0xffffffff;
+      for (let i = 0; i < 9; i++) {
+        bytes.push((low & 0x7f) | 0x80);
+        low = ((low >>> 7) | (high << 25)) >>> 0;
+        high >>>= 7;
+      }
+      bytes.push(low & 0x7f);
+      return new Uint8Array(bytes);
+    }
+
     while (value > 0x7f) {
       bytes.push((value & 0x7f) | 0x80);
       value >>>= 7;
@@ -60,6 +74,10 @@
     } else if (wireType === WIRE_TYPE.LENGTH_DELIMITED) {
       const length = encodeVarint(data.length);
       return new Uint8Array([...tagBytes, ...length, ...data]);
+    } else if (wireType === WIRE_TYPE.FIXED32) {
+      const bytes = new Uint8Array(4);
+      new DataView(bytes.buffer).setUint32(0, data >>> 0, true);
+      return new Uint8Array([...tagBytes, ...bytes]);
     }
     return tagBytes;
   }
@@ -82,6 +100,123 @@
     return encodeField(fieldNumber, WIRE_TYPE.VARINT, value ? 1 : 0);
   }
 
+  function encodeFixed32(fieldNumber, value) {
+    return encodeField(fieldNumber, WIRE_TYPE.FIXED32, value);
+  }
+
+  function encodeFloat(fieldNumber, value) {
+    const view = new DataView(new ArrayBuffer(4));
+    view.setFloat32(0, value, true);
+    return encodeField(fieldNumber, WIRE_TYPE.FIXED32, view.getUint32(0, true));
+  }
+
+  /* ==========================================================================
+     Protobuf-lite Decoding
+     Counterpart to the encoders above, used to read device and URL protos
+     ========================================================================== */
+
+  // Returns { value, length }. A set sign bit in a 10-byte varint (negative
+  // int32/int64) comes back as a negative Number.
+  function decodeVarint(bytes, offset = 0) {
+    let low = 0;
+    let high = 0;
+    let shift = 0;
+    let pos = offset;
+
+    while (pos < bytes.length) {
+      if (pos - offset >= 10) {
+        throw new Error('Malformed varint');
+      }
+
+      const byte = bytes[pos++];
+      if (shift < 28) {
+        low |= (byte & 0x7f) << shift;
+      } else if (shift === 28) {
+        low |= (byte & 0x0f) << 28;
+        high |= (byte & 0x7f) >>> 4;
+      } else {
+        high |= (byte & 0x7f) << (shift - 32);
+      }
+      shift += 7;
+
+      if (!(byte & 0x80)) {
+        low >>>= 0;
+        high >>>= 0;
+        const value = high & 0x80000000
+          ? -((~high >>> 0) * 0x100000000 + (~low >>> 0) + 1)
+          : high * 0x100000000 + low;
+        return { value, length: pos - offset };
+      }
+    }
+
+    throw new Error('Truncated varint');
+  }
+
+  // Decode a message into a flat list of { fieldNumber, wireType, value }.
+  // Length-delimited values are Uint8Array views; fixed32 values are uint32.
+  function decodeFields(bytes) {
+    const fields = [];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      const tag = decodeVarint(bytes, offset);
+      offset += tag.length;
+
+      const fieldNumber = tag.value >>> 3;
+      const wireType = tag.value & 0x7;
+      let value;
+
+      if (wireType === WIRE_TYPE.VARINT) {
+        const varint = decodeVarint(bytes, offset);
+        value = varint.value;
+        offset += varint.length;
+      } else if (wireType === WIRE_TYPE.LENGTH_DELIMITED) {
+        const length = decodeVarint(bytes, offset);
+        offset += length.length;
+        if (offset + length.value > bytes.length) {
+          throw new Error(`Truncated field ${fieldNumber}`);
+        }
+        value = bytes.subarray(offset, offset + length.value);
+        offset += length.value;
+      } else if (wireType === WIRE_TYPE.FIXED32) {
+        value = view.getUint32(offset, true);
+        offset += 4;
+      } else if (wireType === WIRE_TYPE.FIXED64) {
+        value = view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+        offset += 8;
+      } else {
+        throw new Error(`Unsupported wire type ${wireType}`);
+      }
+
+      fields.push({ fieldNumber, wireType, value });
+    }
+
+    return fields;
+  }
+
+  // Decode a packed repeated varint field (proto3 default for scalars)
+  function decodePackedVarints(bytes) {
+    const values = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+      const varint = decodeVarint(bytes, offset);
+      values.push(varint.value);
+      offset += varint.length;
+    }
+    return values;
+  }
+
+  function decodeString(bytes) {
+    return new TextDecoder().decode(bytes);
+  }
+
+  function fixed32ToFloat(value) {
+    const view = new DataView(new ArrayBuffer(4));
+    view.setUint32(0, value, true);
+    return view.getFloat32(0, true);
+  }
+
   /* ==========================================================================
      Meshtastic Proto Message Builders
      ========================================================================== */
@@ -116,6 +251,28 @@
       parts.push(encodeBool(6, settings.downlinkEnabled));
     }
 
+    // field 7: module_settings (ModuleSettings)
+    if (settings.moduleSettings) {
+      parts.push(encodeField(7, WIRE_TYPE.LENGTH_DELIMITED, buildModuleSettings(settings.moduleSettings)));
+    }
+
+    return concatUint8Arrays(parts);
+  }
+
+  // Build ModuleSettings proto
+  function buildModuleSettings(moduleSettings) {
+    const parts = [];
+
+    // field 1: position_precision (uint32)
+    if (moduleSettings.positionPrecision) {
+      parts.push(encodeUint32(1, moduleSettings.positionPrecision));
+    }
+
+    // field 2: is_muted (bool)
+    if (moduleSettings.isMuted) {
+      parts.push(encodeBool(2, moduleSettings.isMuted));
+    }
+
     return concatUint8Arrays(parts);
   }
 
@@ -145,14 +302,14 @@
       parts.push(encodeUint32(8, lora.hopLimit));
     }
 
-    // field 11: tx_enabled (bool)
+    // field 9: tx_enabled (bool)
     if (lora.txEnabled !== undefined) {
-      parts.push(encodeBool(11, lora.txEnabled));
+      parts.push(encodeBool(9, lora.txEnabled));
     }
 
-    // field 12: tx_power (int32)
+    // field 10: tx_power (int32)
     if (lora.txPower !== undefined) {
-      parts.push(encodeUint32(12, lora.txPower));
+      parts.push(encodeUint32(10, lora.txPower));
     }
 
     return concatUint8Arrays(parts);
@@ -181,6 +338,190 @@
     return concatUint8Arrays(parts);
   }
 
+  /* ==========================================================================
+     Meshtastic Proto Message Parsers
+     Counterparts to the builders above, for reading channel URLs back
+     ========================================================================== */
+
+  // [fieldNumber, type, key] for the scalar fields of each message
+  const CHANNEL_SETTINGS_FIELDS = [
+    [1, 'uint', 'channelNum'],
+    [2, 'bytes', 'psk'],
+    [3, 'string', 'name'],
+    [4, 'fixed32', 'id'],
+    [5, 'bool', 'uplinkEnabled'],
+    [6, 'bool', 'downlinkEnabled']
+  ];
+
+  const MODULE_SETTINGS_FIELDS = [
+    [1, 'uint', 'positionPrecision'],
+    [2, 'bool', 'isMuted']
+  ];
+
+  const LORA_CONFIG_FIELDS = [
+    [1, 'bool', 'usePreset'],
+    [2, 'uint', 'modemPreset'],
+    [3, 'uint', 'bandwidth'],
+    [4, 'uint', 'spreadFactor'],
+    [5, 'uint', 'codingRate'],
+    [6, 'float', 'frequencyOffset'],
+    [7, 'uint', 'region'],
+    [8, 'uint', 'hopLimit'],
+    [9, 'bool', 'txEnabled'],
+    [10, 'uint', 'txPower'],
+    [11, 'uint', 'channelNum'],
+    [12, 'bool', 'overrideDutyCycle'],
+    [13, 'bool', 'sx126xRxBoostedGain'],
+    [14, 'float', 'overrideFrequency'],
+    [15, 'bool', 'paFanDisabled'],
+    [103, 'packed', 'ignoreIncoming'],
+    [104, 'bool', 'ignoreMqtt'],
+    [105, 'bool', 'configOkToMqtt']
+  ];
+
+  const SCALAR_DEFAULTS = {
+    uint: 0,
+    fixed32: 0,
+    float: 0,
+    bool: false,
+    bytes: new Uint8Array(0),
+    string: ''
+  };
+
+  // Every listed field comes back, absent ones as proto3 defaults.
+  // Unknown fields are skipped; a known field with the wrong wire type
+  // means the bytes aren't this message at all.
+  function parseScalars(bytes, schema) {
+    const result = {};
+    for (const [, type, key] of schema) {
+      result[key] = type === 'packed' ? [] : SCALAR_DEFAULTS[type];
+    }
+
+    for (const field of decodeFields(bytes)) {
+      const entry = schema.find(([fieldNumber]) => fieldNumber === field.fieldNumber);
+      if (!entry) continue;
+      const [, type, key] = entry;
+
+      const expected = {
+        fixed32: WIRE_TYPE.FIXED32,
+        float: WIRE_TYPE.FIXED32,
+        bytes: WIRE_TYPE.LENGTH_DELIMITED,
+        string: WIRE_TYPE.LENGTH_DELIMITED
+      }[type] ?? WIRE_TYPE.VARINT;
+
+      if (type === 'packed') {
+        // Packed on the wire, but parsers must accept unpacked too
+        if (field.wireType === WIRE_TYPE.LENGTH_DELIMITED) {
+          result[key].push(...decodePackedVarints(field.value));
+        } else if (field.wireType === WIRE_TYPE.VARINT) {
+          result[key].push(field.value);
+        } else {
+          throw new Error(`Unexpected wire type for field ${field.fieldNumber}`);
+        }
+        continue;
+      }
+      if (field.wireType !== expected) {
+        throw new Error(`Unexpected wire type for field ${field.fieldNumber}`);
+      }
+
+      if (type === 'bool') {
+        result[key] = field.value !== 0;
+      } else if (type === 'float') {
+        result[key] = fixed32ToFloat(field.value);
+      } else if (type === 'bytes') {
+        result[key] = field.value.slice();
+      } else if (type === 'string') {
+        result[key] = decodeString(field.value);
+      } else {
+        result[key] = field.value;
+      }
+    }
+
+    return result;
+  }
+
+  // Parse ChannelSettings proto
+  function parseChannelSettings(bytes) {
+    const settings = parseScalars(bytes, CHANNEL_SETTINGS_FIELDS);
+
+    // field 7: module_settings (ModuleSettings)
+    const moduleField = decodeFields(bytes).find(field => field.fieldNumber === 7);
+    settings.moduleSettings = moduleField && moduleField.wireType === WIRE_TYPE.LENGTH_DELIMITED
+      ? parseScalars(moduleField.value, MODULE_SETTINGS_FIELDS)
+      : null;
+
+    return settings;
+  }
+
+  // Parse LoRaConfig proto
+  function parseLoRaConfig(bytes) {
+    return parseScalars(bytes, LORA_CONFIG_FIELDS);
+  }
+
+  // Parse ChannelSet proto. lora is null when the set doesn't carry one.
+  function parseChannelSet(bytes) {
+    const channelSet = { settings: [], lora: null };
+
+    for (const field of decodeFields(bytes)) {
+      if (field.fieldNumber !== 1 && field.fieldNumber !== 2) continue;
+      if (field.wireType !== WIRE_TYPE.LENGTH_DELIMITED) {
+        throw new Error(`Unexpected wire type for field ${field.fieldNumber}`);
+      }
+
+      // field 1: settings (repeated ChannelSettings)
+      if (field.fieldNumber === 1) {
+        channelSet.settings.push(parseChannelSettings(field.value));
+      }
+
+      // field 2: lora_config (LoRaConfig)
+      if (field.fieldNumber === 2) {
+        channelSet.lora = parseLoRaConfig(field.value);
+      }
+    }
+
+    return channelSet;
+  }
+
+  /* ==========================================================================
+     Meshtastic Enums
+     Names for the values that show up in channel URLs (config.proto)
+     ========================================================================== */
+
+  const REGION_NAMES = [
+    'UNSET', 'US', 'EU_433', 'EU_868', 'CN', 'JP', 'ANZ', 'KR', 'TW', 'RU',
+    'IN', 'NZ_865', 'TH', 'LORA_24', 'UA_433', 'UA_868', 'MY_433', 'MY_919',
+    'SG_923', 'PH_433', 'PH_868', 'PH_915', 'ANZ_433', 'KZ_433', 'KZ_863',
+    'NP_865', 'BR_902'
+  ];
+
+  const MODEM_PRESET_NAMES = [
+    'LONG_FAST', 'LONG_SLOW', 'VERY_LONG_SLOW', 'MEDIUM_SLOW', 'MEDIUM_FAST',
+    'SHORT_SLOW', 'SHORT_FAST', 'LONG_MODERATE', 'SHORT_TURBO'
+  ];
+
+  function regionName(region) {
+    return REGION_NAMES[region] || `Unknown (${region})`;
+  }
+
+  function modemPresetName(preset) {
+    return MODEM_PRESET_NAMES[preset] || `Unknown (${preset})`;
+  }
+
+  // A psk is empty or 0 for no encryption, one other byte for a
+  // well-known default key (1 is the stock AQ== key), or a real AES key
+  function describePSK(psk) {
+    if (psk.length === 0 || (psk.length === 1 && psk[0] === 0)) {
+      return 'None (unencrypted)';
+    }
+    if (psk.length === 1) {
+      return psk[0] === 1 ? 'Default key (public)' : `Default key #${psk[0]} (public)`;
+    }
+    if (psk.length === 16 || psk.length === 32) {
+      return `AES-${psk.length * 8} (private)`;
+    }
+    return `Invalid (${psk.length} bytes)`;
+  }
+
   /* ==========================================================================
      URL Generation
      ========================================================================== */
@@ -226,6 +567,82 @@
     };
   }
 
+  /* ==========================================================================
+     URL Parsing
+     ========================================================================== */
+
+  // Accepts https://meshtastic.org/e/#<ChannelSet> and the ?add=true form,
+  // which adds the channels next to the radio's own instead of replacing
+  // them all. Returns { settings, lora, add }; throws on anything else.
+  function parseMeshtasticURL(url) {
+    let parsed;
+    try {
+      parsed = new URL(String(url).trim());
+    } catch (err) {
+      throw new Error('Not a URL');
+    }
+
+    const isMeshtastic = /^(www\.)?meshtastic\.org$/.test(parsed.hostname) && /^\/e\/?$/.test(parsed.pathname);
+    if (!isMeshtastic) {
+      throw new Error('Not a Meshtastic channel URL');
+    }
+
+    const encoded = decodeURIComponent(parsed.hash.slice(1));
+    if (!encoded) {
+      throw new Error('The URL has no channel data');
+    }
+
+    let channelSet;
+    try {
+      channelSet = parseChannelSet(base64URLToUint8Array(encoded));
+    } catch (err) {
+      throw new Error(`The channel data is damaged (${err.message})`);
+    }
+
+    if (channelSet.settings.length === 0) {
+      throw new Error('The URL has no channels');
+    }
+
+    return {
+      settings: channelSet.settings,
+      lora: channelSet.lora,
+      add: parsed.searchParams.get('add') === 'true'
+    };
+  }
+
+  // What applying a parsed URL would change on a radio set up for
+  // Nodeville. Without add=true the URL replaces every channel, and its
+  // first channel becomes the primary.
+  function checkMeshtasticURL(parsed) {
+    const warnings = [];
+    const network = HYPHAE_MESH_CONFIG;
+
+    if (!parsed.add) {
+      const primary = parsed.settings[0];
+      const samePrimary = primary.name === network.channel.name &&
+        uint8ArrayToBase64(primary.psk) === uint8ArrayToBase64(network.channel.psk);
+
+      if (!samePrimary) {
+        warnings.push(`Overwrites the Nodeville primary channel with "${primary.name || 'unnamed'}". Your radio would leave the public mesh.`);
+      }
+      warnings.push('Replaces every channel on your radio, including private ones you set up yourself.');
+    }
+
+    const lora = parsed.lora;
+    if (lora) {
+      if (lora.region !== network.lora.region) {
+        warnings.push(`Changes your region to ${regionName(lora.region)}. Nodeville radios use ${regionName(network.lora.region)}.`);
+      }
+      if (!lora.usePreset) {
+        warnings.push('Uses custom radio settings instead of a modem preset. Your radio would stop hearing Nodeville.');
+      } else if (lora.modemPreset !== network.lora.modemPreset) {
+        warnings.push(`Changes your modem preset to ${modemPresetName(lora.modemPreset)}. Nodeville uses ${modemPresetName(network.lora.modemPreset)}, so your radio would stop hearing the mesh.`);
+      }
+    }
+
+    return warnings;
+  }
+
   /* ==========================================================================
      Crypto Utilities
      ========================================================================== */
@@ -265,6 +682,17 @@
       .replace(/=/g, '');
   }
 
+  // Also takes standard base64, with or without padding
+  function base64URLToUint8Array(text) {
+    const base64 = text.replace(/\s/g, '').replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
   /* ==========================================================================
      QR Code Generation (requires qrcode.js library)
      ========================================================================== */
@@ -314,6 +742,179 @@
     }
   }
 
+  /* ==========================================================================
+     QR Inspector
+     Shows what a channel URL would do before anyone applies it
+     ========================================================================== */
+
+  // Everything from the URL is set with textContent: a channel name is
+  // whatever the person who made the QR typed
+  function renderInspection(url, result) {
+    const errorBox = document.getElementById('inspect-error');
+    errorBox.style.display = 'none';
+    result.style.display = 'none';
+
+    let parsed;
+    try {
+      parsed = parseMeshtasticURL(url);
+    } catch (err) {
+      errorBox.querySelector('.alert-content p').textContent = err.message;
+      errorBox.style.display = 'flex';
+      return;
+    }
+
+    document.getElementById('inspect-mode').textContent = parsed.add
+      ? 'Adds these channels next to the ones already on your radio.'
+      : 'Replaces all the channels on your radio with these.';
+
+    const warnings = document.getElementById('inspect-warnings');
+    warnings.replaceChildren(...checkMeshtasticURL(parsed).map(message => {
+      const alert = document.createElement('div');
+      alert.className = 'alert alert-warning';
+      alert.innerHTML = '<span class="alert-icon">⚠️</span><div class="alert-content"><p></p></div>';
+      alert.querySelector('p').textContent = message;
+      return alert;
+    }));
+
+    const sections = parsed.settings.map((settings, index) => {
+      const role = parsed.add ? `Channel ${index + 1}` : (index === 0 ? 'Primary channel' : `Secondary channel ${index}`);
+      const items = [
+        ['Name', settings.name || '(unnamed)'],
+        ['Encryption', describePSK(settings.psk)],
+        ['Channel number', settings.channelNum || 'Default'],
+        ['MQTT uplink', settings.uplinkEnabled ? 'Enabled' : 'Disabled'],
+        ['MQTT downlink', settings.downlinkEnabled ? 'Enabled' : 'Disabled']
+      ];
+      if (settings.moduleSettings) {
+        items.push(['Position precision', settings.moduleSettings.positionPrecision || 'Not shared']);
+        items.push(['Muted', settings.moduleSettings.isMuted ? 'Yes' : 'No']);
+      }
+      return renderConfigSection(role, items);
+    });
+
+    if (parsed.lora) {
+      const lora = parsed.lora;
+      const items = [
+        ['Region', regionName(lora.region)],
+        ['Modem preset', lora.usePreset ? modemPresetName(lora.modemPreset) : 'Custom'],
+        ['Hop limit', lora.hopLimit],
+        ['Transmit', lora.txEnabled ? 'Enabled' : 'Disabled'],
+        ['TX power', lora.txPower ? `${lora.txPower} dBm` : 'Default'],
+        ['OK to MQTT', lora.configOkToMqtt ? 'Yes' : 'No']
+      ];
+      if (!lora.usePreset) {
+        items.push(['Bandwidth', `${lora.bandwidth} kHz`]);
+        items.push(['Spread factor', lora.spreadFactor]);
+        items.push(['Coding rate', `4/${lora.codingRate}`]);
+      }
+      if (lora.channelNum) {
+        items.push(['Frequency slot', lora.channelNum]);
+      }
+      if (lora.overrideFrequency) {
+        items.push(['Frequency', `${lora.overrideFrequency.toFixed(3)} MHz`]);
+      }
+      if (lora.overrideDutyCycle) {
+        items.push(['Duty cycle limit', 'Overridden']);
+      }
+      sections.push(renderConfigSection('Radio settings', items));
+    }
+
+    document.getElementById('inspect-settings').replaceChildren(...sections);
+    result.style.display = 'block';
+    result.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  function renderConfigSection(title, items) {
+    const section = document.createElement('div');
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+
+    const display = document.createElement('div');
+    display.className = 'config-display';
+    display.replaceChildren(...items.map(([key, value]) => {
+      const item = document.createElement('div');
+      item.className = 'config-item';
+      item.innerHTML = '<span class="config-key"></span><span class="config-value"></span>';
+      item.querySelector('.config-key').textContent = key;
+      item.querySelector('.config-value').textContent = String(value);
+      return item;
+    }));
+
+    section.replaceChildren(heading, display);
+    return section;
+  }
+
+  // Watches the camera until it sees a Meshtastic URL. Resolves to the
+  // URL, or null if stopped first.
+  async function scanForURL(video, stopButton) {
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+    const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    video.srcObject = stream;
+    video.style.display = 'block';
+    stopButton.style.display = 'inline-flex';
+    await video.play();
+
+    return new Promise(resolve => {
+      let stopped = false;
+      const finish = (value) => {
+        stopped = true;
+        stream.getTracks().forEach(track => track.stop());
+        video.srcObject = null;
+        video.style.display = 'none';
+        stopButton.style.display = 'none';
+        resolve(value);
+      };
+      stopButton.onclick = () => finish(null);
+
+      const scan = async () => {
+        if (stopped) return;
+        try {
+          const codes = await detector.detect(video);
+          const match = codes.find(code => /meshtastic\.org\/e\//.test(code.rawValue));
+          if (match) {
+            finish(match.rawValue);
+            return;
+          }
+        } catch (err) {
+          // Frames that aren't ready yet just get skipped
+        }
+        setTimeout(scan, 250);
+      };
+      scan();
+    });
+  }
+
+  function initInspector(form) {
+    const input = document.getElementById('inspect-url');
+    const result = document.getElementById('inspect-result');
+
+    form.addEventListener('submit', function(e) {
+      e.preventDefault();
+      renderInspection(input.value, result);
+    });
+
+    const scanButton = document.getElementById('inspect-scan');
+    if (scanButton && 'BarcodeDetector' in window && navigator.mediaDevices?.getUserMedia) {
+      scanButton.style.display = 'inline-flex';
+      scanButton.addEventListener('click', async function() {
+        scanButton.disabled = true;
+        try {
+          const url = await scanForURL(document.getElementById('inspect-video'), document.getElementById('inspect-stop'));
+          if (url) {
+            input.value = url;
+            renderInspection(url, result);
+          }
+        } catch (err) {
+          const errorBox = document.getElementById('inspect-error');
+          errorBox.querySelector('.alert-content p').textContent = `Couldn't use the camera: ${err.message}`;
+          errorBox.style.display = 'flex';
+        } finally {
+          scanButton.disabled = false;
+        }
+      });
+    }
+  }
+
   /* ==========================================================================
      Public API
      ========================================================================== */
@@ -327,6 +928,13 @@
     generatePrivateChannelURL: generatePrivateChannelURL,
     generateMeshtasticURL: generateMeshtasticURL,
 
+    // URL parsing
+    parseMeshtasticURL: parseMeshtasticURL,
+    checkMeshtasticURL: checkMeshtasticURL,
+    regionName: regionName,
+    modemPresetName: modemPresetName,
+    describePSK: describePSK,
+
     // QR code generation
     generateQRCode: generateQRCode,
     generateQRDataURL: generateQRDataURL,
@@ -336,7 +944,29 @@
 
     // Utilities
     uint8ArrayToBase64: uint8ArrayToBase64,
-    uint8ArrayToBase64URL: uint8ArrayToBase64URL
+    uint8ArrayToBase64URL: uint8ArrayToBase64URL,
+    base64URLToUint8Array: base64URLToUint8Array,
+
+    // Protobuf-lite primitives (shared with the nashme.sh app)
+    proto: {
+      WIRE_TYPE: WIRE_TYPE,
+      encodeVarint: encodeVarint,
+      encodeField: encodeField,
+      encodeString: encodeString,
+      encodeBytes: encodeBytes,
+      encodeUint32: encodeUint32,
+      encodeBool: encodeBool,
+      encodeFixed32: encodeFixed32,
+      encodeFloat: encodeFloat,
+      decodeVarint: decodeVarint,
+      decodeFields: decodeFields,
+      decodePackedVarints: decodePackedVarints,
+      decodeString: decodeString,
+      fixed32ToFloat: fixed32ToFloat,
+      concatUint8Arrays: concatUint8Arrays,
+      buildChannelSet: buildChannelSet,
+      parseChannelSet: parseChannelSet
+    }
   };
 
   /* ==========================================================================
@@ -388,6 +1018,12 @@
         }
       });
     }
+
+    // Handle QR inspector form
+    const inspectForm = document.getElementById('inspect-form');
+    if (inspectForm) {
+      initInspector(inspectForm);
+    }
   });
 
 })();
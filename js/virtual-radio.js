@@ -0,0 +1,698 @@
+/* ==========================================================================
+   nashme.sh - Virtual Meshtastic Radio
+   A simulated device behind the same toRadio / fromRadio / fromNum contract
+   as real BLE hardware, so the messenger can run end-to-end in a headless
+   browser without a radio on the desk.
+
+   Needs js/app.js, which loads this file itself when the page URL has
+   ?virtual. It then installs a fake navigator.bluetooth whose only device
+   is the first node of a simulated mesh; BleTransport and
+   MeshtasticManager run against it unchanged. The app keeps a separate
+   database and localStorage keys under ?virtual (NASHME_STORAGE_PREFIX),
+   so a simulated run never touches real conversations.
+
+     ?virtual          three nodes, everyone in range of everyone
+     ?virtual=5        five nodes
+     &chain            nodes only hear their neighbours (exercises hop limits)
+     &loss=0.2         drop 20% of transmissions per link
+
+   Tests can drive the rest of the mesh through window.VirtualMeshtastic;
+   tests/virtual-radio.test.js runs the app from onboarding through to an
+   acked DM.
+   ========================================================================== */
+
+(function() {
+  'use strict';
+
+  /* ==========================================================================
+     FromRadio Encoding
+     The messenger only ever decodes these, so the encoders live here
+     rather than in MeshProto
+     ========================================================================== */
+
+  function encodeMyNodeInfo(myInfo) {
+    const pb = HyphaeMesh.proto;
+    return pb.concatUint8Arrays([
+      pb.encodeUint32(1, myInfo.myNodeNum),
+      pb.encodeUint32(8, myInfo.rebootCount || 0),
+      pb.encodeUint32(11, myInfo.minAppVersion || 30200),
+    ]);
+  }
+
+  function encodeNodeInfo(nodeInfo) {
+    const pb = HyphaeMesh.proto;
+    const parts = [pb.encodeUint32(1, nodeInfo.num)];
+
+    if (nodeInfo.user) parts.push(pb.encodeBytes(2, MeshProto.encodeUser(nodeInfo.user)));
+    if (nodeInfo.snr) parts.push(pb.encodeFloat(4, nodeInfo.snr));
+    if (nodeInfo.lastHeard) parts.push(pb.encodeFixed32(5, nodeInfo.lastHeard));
+    if (nodeInfo.hopsAway !== undefined) parts.push(pb.encodeUint32(9, nodeInfo.hopsAway));
+
+    return pb.concatUint8Arrays(parts);
+  }
+
+  function encodeDeviceMetadata(metadata) {
+    const pb = HyphaeMesh.proto;
+    return pb.concatUint8Arrays([
+      pb.encodeString(1, metadata.firmwareVersion),
+      pb.encodeUint32(2, metadata.deviceStateVersion),
+      pb.encodeBool(5, true),
+      pb.encodeUint32(9, metadata.hwModel),
+      pb.encodeBool(11, true),
+    ]);
+  }
+
+  function encodeFromRadio(fromRadio) {
+    const pb = HyphaeMesh.proto;
+    const parts = [pb.encodeUint32(1, fromRadio.id)];
+
+    if (fromRadio.packet) parts.push(pb.encodeBytes(2, MeshProto.encodeMeshPacket(fromRadio.packet)));
+    if (fromRadio.myInfo) parts.push(pb.encodeBytes(3, encodeMyNodeInfo(fromRadio.myInfo)));
+    if (fromRadio.nodeInfo) parts.push(pb.encodeBytes(4, encodeNodeInfo(fromRadio.nodeInfo)));
+    if (fromRadio.config) parts.push(pb.encodeBytes(5, MeshProto.encodeConfig(fromRadio.config)));
+    if (fromRadio.configCompleteId !== undefined) parts.push(pb.encodeUint32(7, fromRadio.configCompleteId));
+    if (fromRadio.moduleConfig) parts.push(pb.encodeBytes(9, MeshProto.encodeModuleConfig(fromRadio.moduleConfig)));
+    if (fromRadio.channel) parts.push(pb.encodeBytes(10, MeshProto.encodeChannel(fromRadio.channel)));
+    if (fromRadio.metadata) parts.push(pb.encodeBytes(13, encodeDeviceMetadata(fromRadio.metadata)));
+
+    return pb.concatUint8Arrays(parts);
+  }
+
+  function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+  }
+
+  function toDataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  function toUint8Array(value) {
+    if (value instanceof Uint8Array) return value;
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    return new Uint8Array(value);
+  }
+
+  /* ==========================================================================
+     Simulated Mesh
+     Packets travel as plain objects. Each link drops a share of them and
+     relays rebroadcast until the hop limit runs out, like managed flooding.
+     ========================================================================== */
+
+  class VirtualMesh {
+    constructor({ lossRate = 0, latency = 40 } = {}) {
+      this.nodes = [];
+      this.links = null; // null means every node hears every other node
+      this.lossRate = lossRate;
+      this.latency = latency;
+    }
+
+    addNode(radio) {
+      this.nodes.push(radio);
+      radio.mesh = this;
+      return radio;
+    }
+
+    link(a, b) {
+      if (!this.links) this.links = new Map();
+      if (!this.links.has(a)) this.links.set(a, new Set());
+      if (!this.links.has(b)) this.links.set(b, new Set());
+      this.links.get(a).add(b);
+      this.links.get(b).add(a);
+    }
+
+    chain() {
+      for (let i = 1; i < this.nodes.length; i++) {
+        this.link(this.nodes[i - 1], this.nodes[i]);
+      }
+    }
+
+    neighbours(radio) {
+      if (!this.links) return this.nodes.filter(node => node !== radio);
+      return [...(this.links.get(radio) || [])];
+    }
+
+    transmit(sender, packet) {
+      for (const node of this.neighbours(sender)) {
+        if (Math.random() < this.lossRate) continue;
+        setTimeout(() => node.receive({
+          ...packet,
+          rxTime: Math.floor(Date.now() / 1000),
+          rxSnr: 6 - Math.random() * 12,
+          rxRssi: -70 - Math.floor(Math.random() * 50),
+        }), this.latency);
+      }
+    }
+
+    find(nodeNum) {
+      return this.nodes.find(node => node.nodeNum === nodeNum) || null;
+    }
+
+    // Every node announces itself once so the others can fill their node DB
+    start() {
+      this.nodes.forEach((node, i) => setTimeout(() => node.broadcastNodeInfo(), i * 10));
+    }
+  }
+
+  /* ==========================================================================
+     Virtual Radio
+     ========================================================================== */
+
+  class VirtualRadio {
+    constructor({ nodeNum, longName, shortName, lora, primaryChannel, autoReply = false } = {}) {
+      this.nodeNum = (nodeNum || crypto.getRandomValues(new Uint32Array(1))[0]) >>> 0;
+      const suffix = MeshProto.nodeId(this.nodeNum).slice(-4);
+
+      this.user = {
+        id: MeshProto.nodeId(this.nodeNum),
+        longName: longName || `Meshtastic ${suffix}`,
+        shortName: shortName || suffix,
+        hwModel: VirtualRadio.HW_MODEL,
+        publicKey: randomBytes(32),
+      };
+
+      // Factory defaults: region UNSET keeps the radio off the air
+      this.config = {
+        device: { role: 0, nodeInfoBroadcastSecs: 10800 },
+        position: { positionBroadcastSecs: 900, gpsMode: MeshProto.GpsMode.ENABLED },
+        power: {},
+        lora: { usePreset: true, region: 0, modemPreset: 0, hopLimit: 3, txEnabled: true, ...lora },
+        bluetooth: { enabled: true, mode: 1, fixedPin: 123456 },
+        security: { publicKey: this.user.publicKey },
+      };
+      this.moduleConfig = { telemetry: { deviceUpdateInterval: 1800 } };
+
+      this.channels = Array.from({ length: 8 }, (_, index) => ({
+        index,
+        role: index === 0 ? MeshProto.ChannelRole.PRIMARY : MeshProto.ChannelRole.DISABLED,
+        settings: index === 0
+          ? { name: '', psk: new Uint8Array([1]), ...primaryChannel }
+          : { name: '', psk: new Uint8Array(0) },
+      }));
+
+      this.autoReply = autoReply;
+      this.nodeDb = new Map();
+      this.seen = new Set();
+      this.pendingAcks = new Map();
+      this.sessionPasskey = randomBytes(8);
+      this.mesh = null;
+
+      // Phone side
+      this.phoneQueue = [];
+      this.phoneAttached = false;
+      this.fromRadioId = 0;
+      this.fromNumListeners = [];
+      this.disconnectListeners = [];
+      this.device = this.createBluetoothDevice();
+    }
+
+    // ------------------------------------------------------------------------
+    // Phone link: a duck-typed BluetoothDevice with the three Meshtastic
+    // characteristics
+    // ------------------------------------------------------------------------
+
+    createBluetoothDevice() {
+      const radio = this;
+
+      const characteristics = {
+        [MESHTASTIC_BLE.toRadio]: {
+          async writeValue(value) {
+            radio.handleToRadio(toUint8Array(value));
+          },
+        },
+        [MESHTASTIC_BLE.fromRadio]: {
+          async readValue() {
+            return toDataView(radio.phoneQueue.shift() || new Uint8Array(0));
+          },
+        },
+        [MESHTASTIC_BLE.fromNum]: {
+          async startNotifications() {},
+          addEventListener(type, callback) {
+            if (type === 'characteristicvaluechanged') radio.fromNumListeners.push(callback);
+          },
+        },
+      };
+
+      const service = {
+        async getCharacteristic(uuid) {
+          if (!characteristics[uuid]) throw new Error(`No characteristic ${uuid}`);
+          return characteristics[uuid];
+        },
+      };
+
+      const server = {
+        async getPrimaryService(uuid) {
+          if (uuid !== MESHTASTIC_BLE.service) throw new Error(`No service ${uuid}`);
+          return service;
+        },
+      };
+
+      const gatt = {
+        connected: false,
+        async connect() {
+          gatt.connected = true;
+          radio.phoneAttached = true;
+          radio.fromNumListeners = [];
+          return server;
+        },
+        disconnect() {
+          if (!gatt.connected) return;
+          gatt.connected = false;
+          radio.disconnectListeners.forEach(callback => callback({ target: device }));
+        },
+      };
+
+      const device = {
+        id: `virtual-${this.user.id.slice(1)}`,
+        name: `Meshtastic_${this.user.shortName}`,
+        gatt,
+        addEventListener(type, callback) {
+          if (type === 'gattserverdisconnected') radio.disconnectListeners.push(callback);
+        },
+        removeEventListener(type, callback) {
+          radio.disconnectListeners = radio.disconnectListeners.filter(cb => cb !== callback);
+        },
+      };
+
+      return device;
+    }
+
+    // Drop the BLE link as if the phone walked out of range
+    dropConnection() {
+      this.device.gatt.disconnect();
+    }
+
+    toPhone(fromRadio) {
+      if (!this.phoneAttached) return;
+
+      this.phoneQueue.push(encodeFromRadio({ id: ++this.fromRadioId, ...fromRadio }));
+      if (this.phoneQueue.length > VirtualRadio.MAX_PHONE_QUEUE) this.phoneQueue.shift();
+
+      if (!this.device.gatt.connected) return;
+      const fromNum = new Uint8Array(4);
+      new DataView(fromNum.buffer).setUint32(0, this.fromRadioId, true);
+      setTimeout(() => {
+        this.fromNumListeners.forEach(callback => callback({ target: { value: toDataView(fromNum) } }));
+      }, 0);
+    }
+
+    handleToRadio(bytes) {
+      const f = MeshProto.fields(bytes);
+
+      if (f.has(3)) {
+        this.sendConfig(MeshProto.uint(f, 3));
+      } else if (f.has(1)) {
+        this.handlePhonePacket(MeshProto.message(f, 1, MeshProto.decodeMeshPacket));
+      }
+    }
+
+    // Same order as firmware: my_info, own node, metadata, channels,
+    // config, module config, the rest of the node DB, then config_complete_id
+    sendConfig(configId) {
+      this.toPhone({ myInfo: { myNodeNum: this.nodeNum } });
+      this.toPhone({ nodeInfo: { num: this.nodeNum, user: this.user, lastHeard: Math.floor(Date.now() / 1000) } });
+      this.toPhone({
+        metadata: {
+          firmwareVersion: VirtualRadio.FIRMWARE_VERSION,
+          deviceStateVersion: 23,
+          hwModel: VirtualRadio.HW_MODEL,
+        },
+      });
+      this.channels.forEach(channel => this.toPhone({ channel }));
+      for (const key of ['device', 'position', 'power', 'lora', 'bluetooth', 'security']) {
+        this.toPhone({ config: { [key]: this.config[key] } });
+      }
+      this.toPhone({ moduleConfig: { telemetry: this.moduleConfig.telemetry } });
+      for (const [num, node] of this.nodeDb) {
+        this.toPhone({ nodeInfo: { num, ...node } });
+      }
+      this.toPhone({ configCompleteId: configId });
+    }
+
+    // ------------------------------------------------------------------------
+    // Packets from the phone
+    // ------------------------------------------------------------------------
+
+    handlePhonePacket(packet) {
+      const data = packet.decoded;
+      if (!data) return;
+
+      if (data.portnum === MeshProto.PortNum.ADMIN_APP &&
+          (packet.to === this.nodeNum || packet.to === 0)) {
+        this.handleAdmin(packet);
+        return;
+      }
+
+      const error = this.send({
+        to: packet.to,
+        id: packet.id || this.generatePacketId(),
+        channel: packet.channel,
+        wantAck: packet.wantAck,
+        decoded: data,
+        pkiEncrypted: packet.pkiEncrypted,
+        publicKey: packet.publicKey,
+      });
+      if (error) this.routingToPhone(packet.id, this.nodeNum, error);
+    }
+
+    handleAdmin(packet) {
+      const admin = MeshProto.decodeAdminMessage(packet.decoded.payload);
+      const respond = response => this.toPhone({
+        packet: {
+          from: this.nodeNum,
+          to: this.nodeNum,
+          id: this.generatePacketId(),
+          decoded: {
+            portnum: MeshProto.PortNum.ADMIN_APP,
+            payload: MeshProto.encodeAdminMessage({ ...response, sessionPasskey: this.sessionPasskey }),
+            requestId: packet.id,
+          },
+        },
+      });
+
+      if (admin.getChannelRequest !== undefined) {
+        respond({ getChannelResponse: this.channels[admin.getChannelRequest] });
+      } else if (admin.getOwnerRequest) {
+        respond({ getOwnerResponse: this.user });
+      } else if (admin.getConfigRequest !== undefined) {
+        const key = VirtualRadio.CONFIG_KEYS[admin.getConfigRequest];
+        if (!key) return this.routingToPhone(packet.id, this.nodeNum, VirtualRadio.Error.BAD_REQUEST);
+        respond({ getConfigResponse: { [key]: this.config[key] } });
+      } else if (admin.getModuleConfigRequest !== undefined) {
+        if (admin.getModuleConfigRequest !== MeshProto.ModuleConfigType.TELEMETRY_CONFIG) {
+          return this.routingToPhone(packet.id, this.nodeNum, VirtualRadio.Error.BAD_REQUEST);
+        }
+        respond({ getModuleConfigResponse: { telemetry: this.moduleConfig.telemetry } });
+      } else {
+        if (admin.setOwner) {
+          this.user = { ...this.user, longName: admin.setOwner.longName, shortName: admin.setOwner.shortName };
+          this.broadcastNodeInfo();
+        }
+        if (admin.setChannel) {
+          this.channels[admin.setChannel.index] = {
+            ...admin.setChannel,
+            settings: admin.setChannel.settings || { name: '', psk: new Uint8Array(0) },
+          };
+        }
+        if (admin.setConfig) Object.assign(this.config, admin.setConfig);
+        if (admin.setModuleConfig) Object.assign(this.moduleConfig, admin.setModuleConfig);
+        // Committing reboots a real radio, which announces itself on the new settings
+        if (admin.commitEditSettings) setTimeout(() => this.broadcastNodeInfo(), VirtualRadio.REPLY_DELAY);
+        if (packet.wantAck || packet.decoded.wantResponse) this.routingToPhone(packet.id, this.nodeNum, 0);
+      }
+    }
+
+    routingToPhone(requestId, from, errorReason) {
+      this.toPhone({
+        packet: {
+          from,
+          to: this.nodeNum,
+          id: this.generatePacketId(),
+          decoded: {
+            portnum: MeshProto.PortNum.ROUTING_APP,
+            payload: MeshProto.encodeRouting({ errorReason }),
+            requestId,
+          },
+        },
+      });
+    }
+
+    // ------------------------------------------------------------------------
+    // Over the air
+    // ------------------------------------------------------------------------
+
+    // Returns a Routing.Error code when the packet can't leave the radio
+    send({ to = MeshProto.BROADCAST_NUM, id, channel = 0, wantAck = false, decoded, pkiEncrypted, publicKey }) {
+      const lora = this.config.lora;
+      if (!lora.region || !lora.txEnabled) return VirtualRadio.Error.NO_INTERFACE;
+
+      // Firmware uses PKI for any DM on channel 0 once it knows the peer's key
+      const peerKey = this.nodeDb.get(to)?.user?.publicKey;
+      const pki = to !== MeshProto.BROADCAST_NUM && channel === 0 && !!peerKey;
+      if (pkiEncrypted && !pki) return VirtualRadio.Error.PKI_UNKNOWN_PUBKEY;
+      if (pki && publicKey && !this.sameKey(publicKey, peerKey)) return VirtualRadio.Error.PKI_FAILED;
+
+      const channelKey = pki ? null : this.channelKey(channel);
+      if (!pki && !channelKey) return VirtualRadio.Error.NO_CHANNEL;
+
+      const hopLimit = lora.hopLimit || 3;
+      const packet = {
+        from: this.nodeNum,
+        to,
+        id,
+        channelKey,
+        pki,
+        air: `${lora.region}/${lora.modemPreset}`,
+        hopLimit,
+        hopStart: hopLimit,
+        wantAck,
+        decoded,
+      };
+
+      this.seen.add(`${packet.from}:${packet.id}`);
+      this.mesh?.transmit(this, packet);
+      if (wantAck) this.awaitAck(packet);
+      return 0;
+    }
+
+    awaitAck(packet, attempt = 0) {
+      const timeout = (this.mesh?.latency || 40) * (packet.hopStart * 2 + 2) + VirtualRadio.ACK_SLACK;
+      const timer = setTimeout(() => {
+        if (attempt < VirtualRadio.MAX_RETRANSMIT) {
+          this.mesh?.transmit(this, packet);
+          this.awaitAck(packet, attempt + 1);
+        } else {
+          this.pendingAcks.delete(packet.id);
+          this.routingToPhone(packet.id, this.nodeNum, VirtualRadio.Error.MAX_RETRANSMIT);
+        }
+      }, timeout);
+      this.pendingAcks.set(packet.id, timer);
+    }
+
+    stopRetransmission(id) {
+      if (!this.pendingAcks.has(id)) return false;
+      clearTimeout(this.pendingAcks.get(id));
+      this.pendingAcks.delete(id);
+      return true;
+    }
+
+    receive(packet) {
+      const lora = this.config.lora;
+      if (!lora.region || packet.air !== `${lora.region}/${lora.modemPreset}`) return;
+
+      // Hearing a neighbour rebroadcast our own packet is an implicit ack
+      if (packet.from === this.nodeNum) {
+        if (this.stopRetransmission(packet.id)) this.routingToPhone(packet.id, this.nodeNum, 0);
+        return;
+      }
+
+      const key = `${packet.from}:${packet.id}`;
+      if (this.seen.has(key)) return;
+      this.seen.add(key);
+
+      const toMe = packet.to === this.nodeNum;
+      const channel = packet.pki ? 0 : this.channelIndex(packet.channelKey);
+      const readable = packet.pki ? toMe : channel >= 0;
+
+      this.hear(packet, readable, channel);
+      if (readable && (toMe || packet.to === MeshProto.BROADCAST_NUM)) {
+        this.deliver(packet, channel);
+      }
+
+      // Relay anything not addressed to us, even if we can't decrypt it
+      if (!toMe && packet.hopLimit > 0) {
+        setTimeout(() => this.mesh?.transmit(this, { ...packet, hopLimit: packet.hopLimit - 1 }), 10);
+      }
+    }
+
+    hear(packet, readable, channel) {
+      const node = this.nodeDb.get(packet.from) || {};
+      const known = !!node.user;
+      node.lastHeard = packet.rxTime;
+      node.snr = packet.rxSnr;
+      node.hopsAway = packet.hopStart - packet.hopLimit;
+
+      if (readable && packet.decoded.portnum === MeshProto.PortNum.NODEINFO_APP) {
+        node.user = MeshProto.decodeUser(packet.decoded.payload);
+
+        // Introduce ourselves to nodes we haven't met, and answer anyone
+        // who asks, as firmware does
+        if (!known || (packet.to === this.nodeNum && packet.decoded.wantResponse)) {
+          setTimeout(() => this.send({
+            to: packet.from,
+            id: this.generatePacketId(),
+            channel,
+            decoded: { portnum: MeshProto.PortNum.NODEINFO_APP, payload: MeshProto.encodeUser(this.user) },
+          }), VirtualRadio.REPLY_DELAY);
+        }
+      }
+      this.nodeDb.set(packet.from, node);
+    }
+
+    deliver(packet, channel) {
+      const data = packet.decoded;
+      const toMe = packet.to === this.nodeNum;
+
+      if (data.portnum === MeshProto.PortNum.ROUTING_APP) {
+        if (!toMe) return;
+        this.stopRetransmission(data.requestId);
+      } else if (toMe && packet.wantAck) {
+        this.send({
+          to: packet.from,
+          id: this.generatePacketId(),
+          channel,
+          decoded: {
+            portnum: MeshProto.PortNum.ROUTING_APP,
+            payload: MeshProto.encodeRouting({ errorReason: 0 }),
+            requestId: packet.id,
+          },
+        });
+      }
+
+      this.toPhone({
+        packet: {
+          from: packet.from,
+          to: packet.to,
+          channel,
+          id: packet.id,
+          decoded: data,
+          rxTime: packet.rxTime,
+          rxSnr: packet.rxSnr,
+          rxRssi: packet.rxRssi,
+          hopLimit: packet.hopLimit,
+          hopStart: packet.hopStart,
+          pkiEncrypted: packet.pki,
+          publicKey: packet.pki ? this.nodeDb.get(packet.from)?.user?.publicKey : null,
+        },
+      });
+
+      if (this.autoReply && toMe && data.portnum === MeshProto.PortNum.TEXT_MESSAGE_APP) {
+        const text = new TextDecoder().decode(data.payload);
+        setTimeout(() => this.sendText(`Echo: ${text}`, { to: packet.from, channel }), VirtualRadio.REPLY_DELAY);
+      }
+    }
+
+    // ------------------------------------------------------------------------
+    // Driving a node from a test
+    // ------------------------------------------------------------------------
+
+    sendText(text, { to = MeshProto.BROADCAST_NUM, channel = 0, wantAck = true } = {}) {
+      const id = this.generatePacketId();
+      const error = this.send({
+        to,
+        id,
+        channel,
+        wantAck,
+        decoded: { portnum: MeshProto.PortNum.TEXT_MESSAGE_APP, payload: new TextEncoder().encode(text) },
+      });
+      return error ? null : id;
+    }
+
+    broadcastNodeInfo() {
+      this.send({
+        id: this.generatePacketId(),
+        decoded: { portnum: MeshProto.PortNum.NODEINFO_APP, payload: MeshProto.encodeUser(this.user) },
+      });
+    }
+
+    // ------------------------------------------------------------------------
+    // Helpers
+    // ------------------------------------------------------------------------
+
+    // Stands in for the channel hash: name (or the preset name when blank) plus PSK
+    channelKey(index) {
+      const channel = this.channels[index];
+      if (!channel || channel.role === MeshProto.ChannelRole.DISABLED) return null;
+      const name = channel.settings.name || `preset-${this.config.lora.modemPreset}`;
+      return `${name}|${Array.from(channel.settings.psk || []).join(',')}`;
+    }
+
+    channelIndex(channelKey) {
+      return this.channels.findIndex(channel => this.channelKey(channel.index) === channelKey);
+    }
+
+    sameKey(a, b) {
+      return a.length === b.length && a.every((byte, i) => byte === b[i]);
+    }
+
+    generatePacketId() {
+      return crypto.getRandomValues(new Uint32Array(1))[0] >>> 0 || 1;
+    }
+  }
+
+  VirtualRadio.FIRMWARE_VERSION = '2.5.0.virtual';
+  VirtualRadio.HW_MODEL = 255; // PRIVATE_HW
+  VirtualRadio.MAX_PHONE_QUEUE = 256;
+  VirtualRadio.MAX_RETRANSMIT = 2;
+  VirtualRadio.ACK_SLACK = 500;
+  VirtualRadio.REPLY_DELAY = 300;
+  VirtualRadio.CONFIG_KEYS = { 0: 'device', 1: 'position', 2: 'power', 5: 'lora', 6: 'bluetooth', 7: 'security' };
+  VirtualRadio.Error = {
+    NO_INTERFACE: 4,
+    MAX_RETRANSMIT: 5,
+    NO_CHANNEL: 6,
+    BAD_REQUEST: 32,
+    PKI_FAILED: 34,
+    PKI_UNKNOWN_PUBKEY: 35,
+  };
+
+  /* ==========================================================================
+     Install
+     ========================================================================== */
+
+  // Builds a mesh whose first node is the phone's radio. The other nodes
+  // ship already on the nashme.sh settings and echo DMs back.
+  function install({ nodes = 3, lossRate = 0, latency = 40, chain = false } = {}) {
+    const mesh = new VirtualMesh({ lossRate, latency });
+
+    mesh.addNode(new VirtualRadio());
+    for (let i = 2; i <= nodes; i++) {
+      mesh.addNode(new VirtualRadio({
+        longName: `Virtual Node ${i}`,
+        shortName: `V${i}`,
+        lora: NASHME_CONFIG.lora,
+        primaryChannel: { name: NASHME_CONFIG.primaryChannel.name, psk: NASHME_CONFIG.primaryChannel.psk },
+        autoReply: true,
+      }));
+    }
+    if (chain) mesh.chain();
+
+    const local = mesh.nodes[0];
+    const bluetooth = {
+      async getAvailability() { return true; },
+      async requestDevice() { return local.device; },
+      async getDevices() { return [local.device]; },
+    };
+    Object.defineProperty(navigator, 'bluetooth', { value: bluetooth, configurable: true });
+
+    mesh.start();
+    window.VirtualMeshtastic.mesh = mesh;
+    window.VirtualMeshtastic.local = local;
+    return mesh;
+  }
+
+  function installFromQuery(search) {
+    const params = new URLSearchParams(search);
+    if (!params.has('virtual')) return null;
+
+    return install({
+      nodes: parseInt(params.get('virtual'), 10) || 3,
+      lossRate: parseFloat(params.get('loss')) || 0,
+      chain: params.has('chain'),
+    });
+  }
+
+  /* ==========================================================================
+     Public API
+     ========================================================================== */
+
+  window.VirtualMeshtastic = {
+    VirtualMesh,
+    VirtualRadio,
+    install,
+    mesh: null,
+    local: null,
+  };
+
+  installFromQuery(window.location?.search || '');
+
+})();
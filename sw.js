@@ -3,8 +3,8 @@
  * Provides offline functionality for the documentation site
  */
 
-const CACHE_NAME = 'nodeville-v1.0.0';
-const RUNTIME_CACHE = 'nodeville-runtime-v1.0.0';
+const CACHE_NAME = 'nodeville-v1.1.0';
+const RUNTIME_CACHE = 'nodeville-runtime-v1.1.0';
 
 // Core assets to cache immediately
 const CORE_ASSETS = [
@@ -18,6 +18,8 @@ const CORE_ASSETS = [
   '/encrypt/index.html',
   '/generate/',
   '/generate/index.html',
+  '/inspect/',
+  '/inspect/index.html',
   '/advanced/',
   '/advanced/index.html',
   '/qr/',
@@ -175,4 +177,13 @@ self.addEventListener('message', (event) => {
   }
 });
 
+// Tapping a message notification brings the app back to the front
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((windows) => windows[0]?.focus())
+  );
+});
+
 console.log('[SW] Service worker loaded');
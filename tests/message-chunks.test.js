@@ -0,0 +1,103 @@
+/* ==========================================================================
+   app.js message chunks - splitting long texts and reading them back
+   Run with: node --test tests/
+   ========================================================================== */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadConversationManager() {
+  const context = {
+    navigator: {},
+    location: { search: '', hash: '', href: 'http://localhost/' },
+    localStorage: { getItem() { return null; }, setItem() {}, removeItem() {} },
+    document: {
+      addEventListener() {},
+      getElementById() { return null; },
+      querySelectorAll() { return []; }
+    },
+    setTimeout,
+    clearTimeout,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    crypto: globalThis.crypto,
+    console
+  };
+  context.window = context;
+  context.self = context;
+  vm.createContext(context);
+
+  for (const file of ['qr-generator.js', 'app.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'), context, { filename: file });
+  }
+  return vm.runInContext('ConversationManager', context);
+}
+
+const ConversationManager = loadConversationManager();
+const bytes = text => new TextEncoder().encode(text).length;
+const graphemes = text => Array.from(new Intl.Segmenter().segment(text), ({ segment }) => segment);
+
+// Splits, checks every chunk fits and parses, and returns the bodies
+function split(text, tag = 'beef') {
+  const chunks = Array.from(ConversationManager.splitMessage(text, tag));
+  chunks.forEach((chunk, i) => {
+    assert.ok(bytes(chunk) <= ConversationManager.MAX_TEXT_BYTES, `chunk ${i + 1} is ${bytes(chunk)} bytes`);
+    const { tag: parsedTag, index, total } = ConversationManager.parseChunk(chunk);
+    assert.deepEqual([parsedTag, index, total], [tag, i + 1, chunks.length]);
+  });
+  return chunks.map(chunk => ConversationManager.parseChunk(chunk).body);
+}
+
+test('a text that fits goes out whole, without a header', () => {
+  const text = 'x'.repeat(ConversationManager.MAX_TEXT_BYTES);
+  assert.deepEqual(Array.from(ConversationManager.splitMessage(text, 'beef')), [text]);
+  assert.equal(ConversationManager.parseChunk(text), null);
+});
+
+test('a long text splits into chunks that join back into it', () => {
+  const text = Array.from({ length: 120 }, (_, i) => `word${i}`).join(' ');
+  const bodies = split(text);
+
+  assert.equal(bodies.length, 5);
+  assert.equal(bodies.join(''), text);
+  // Breaks land after a space where one is near the end
+  bodies.slice(0, -1).forEach(body => assert.ok(body.endsWith(' '), JSON.stringify(body.slice(-10))));
+});
+
+test('chunks never split a multi-byte character or a grapheme', () => {
+  const family = '\u{1F468}\u200d\u{1F469}\u200d\u{1F467}';
+  const flag = '\u{1F1FA}\u{1F1F8}';
+  const accented = 'e\u0301';
+  const text = `${'é中'.repeat(40)}${(family + flag + accented).repeat(30)}`;
+  const bodies = split(text);
+
+  assert.ok(bodies.length > 2);
+  assert.equal(bodies.join(''), text);
+  assert.deepEqual(bodies.flatMap(graphemes), graphemes(text));
+});
+
+test('parseChunk only accepts a well-formed header', () => {
+  assert.deepEqual({ ...ConversationManager.parseChunk('[0a1f 2/3] hi') }, { tag: '0a1f', index: 2, total: 3, body: 'hi' });
+
+  for (const text of ['[0a1f 4/3] hi', '[0A1F 1/2] hi', '[0a1f 1/1] hi', '[0a1f 0/2] hi', '[0a1f 1/2]hi', 'hi [0a1f 1/2] ']) {
+    assert.equal(ConversationManager.parseChunk(text), null, text);
+  }
+});
+
+test('a text over MAX_CHUNKS stops splitting one chunk past the limit', () => {
+  const budget = ConversationManager.MAX_TEXT_BYTES - ConversationManager.CHUNK_HEADER_BYTES;
+  const atLimit = 'a'.repeat(budget * ConversationManager.MAX_CHUNKS);
+  assert.equal(split(atLimit).length, ConversationManager.MAX_CHUNKS);
+
+  // A whole novel pasted in costs no more than the first few chunks
+  const started = Date.now();
+  const chunks = ConversationManager.splitMessage('\u{1F600} '.repeat(500000), 'beef');
+  assert.equal(chunks.length, ConversationManager.MAX_CHUNKS + 1);
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+  assert.equal(ConversationManager.splitMessage(atLimit + 'a', 'beef').length, ConversationManager.MAX_CHUNKS + 1);
+});
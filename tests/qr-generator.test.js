@@ -0,0 +1,159 @@
+/* ==========================================================================
+   qr-generator.js - channel URL encode/decode
+   Run with: node --test tests/
+   ========================================================================== */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The script is written for a page: give it just enough of one
+function loadHyphaeMesh() {
+  const context = {
+    window: {},
+    document: { addEventListener() {} },
+    TextEncoder,
+    TextDecoder,
+    URL,
+    atob,
+    btoa,
+    crypto: globalThis.crypto,
+    console
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/qr-generator.js'), 'utf8'), context);
+  return context.window.HyphaeMesh;
+}
+
+const HyphaeMesh = loadHyphaeMesh();
+const { buildChannelSet, parseChannelSet } = HyphaeMesh.proto;
+
+const channelSet = {
+  settings: [
+    { name: '', psk: new Uint8Array([1]), uplinkEnabled: false, downlinkEnabled: false },
+    {
+      channelNum: 3,
+      name: 'Family',
+      psk: new Uint8Array(32).fill(9),
+      uplinkEnabled: true,
+      downlinkEnabled: true,
+      moduleSettings: { positionPrecision: 13, isMuted: true }
+    }
+  ],
+  lora: {
+    usePreset: true,
+    modemPreset: 4,
+    region: 3,
+    hopLimit: 3,
+    txEnabled: true,
+    txPower: -5
+  }
+};
+
+// Uint8Arrays from the vm's realm don't deepEqual ours; compare contents
+function plain(value) {
+  return JSON.parse(JSON.stringify(value, (key, v) =>
+    v && typeof v === 'object' && typeof v.length === 'number' && v.BYTES_PER_ELEMENT ? Array.from(v) : v
+  ));
+}
+
+test('parseChannelSet reads back what buildChannelSet wrote', () => {
+  const parsed = parseChannelSet(buildChannelSet(channelSet));
+
+  assert.equal(parsed.settings.length, 2);
+  assert.deepEqual(plain(parsed.settings[0]), {
+    channelNum: 0, psk: [1], name: '', id: 0,
+    uplinkEnabled: false, downlinkEnabled: false, moduleSettings: null
+  });
+  assert.deepEqual(plain(parsed.settings[1]), {
+    channelNum: 3, psk: Array(32).fill(9), name: 'Family', id: 0,
+    uplinkEnabled: true, downlinkEnabled: true,
+    moduleSettings: { positionPrecision: 13, isMuted: true }
+  });
+
+  const { usePreset, modemPreset, region, hopLimit, txEnabled, txPower, channelNum, overrideDutyCycle } = parsed.lora;
+  assert.deepEqual(
+    { usePreset, modemPreset, region, hopLimit, txEnabled, txPower, channelNum, overrideDutyCycle },
+    { ...channelSet.lora, channelNum: 0, overrideDutyCycle: false }
+  );
+});
+
+test('re-encoding a parsed set gives the same bytes', () => {
+  const bytes = buildChannelSet(channelSet);
+  assert.deepEqual(Array.from(buildChannelSet(parseChannelSet(bytes))), Array.from(bytes));
+});
+
+test('the network URL decodes to the network config', () => {
+  const parsed = HyphaeMesh.parseMeshtasticURL(HyphaeMesh.generateNetworkURL());
+  const { lora, channel } = HyphaeMesh.config;
+
+  assert.equal(parsed.add, false);
+  assert.equal(parsed.settings[0].name, channel.name);
+  assert.deepEqual(Array.from(parsed.settings[0].psk), Array.from(channel.psk));
+  for (const key of Object.keys(lora)) {
+    assert.equal(parsed.lora[key], lora[key], key);
+  }
+  assert.deepEqual(plain(HyphaeMesh.checkMeshtasticURL(parsed)), [
+    'Replaces every channel on your radio, including private ones you set up yourself.'
+  ]);
+});
+
+test('?add=true adds channels instead of replacing the primary', () => {
+  const url = HyphaeMesh.generateMeshtasticURL({ settings: channelSet.settings.slice(1) });
+  const replacing = HyphaeMesh.parseMeshtasticURL(url);
+  const adding = HyphaeMesh.parseMeshtasticURL(url.replace('/e/#', '/e/?add=true#'));
+
+  assert.equal(replacing.add, false);
+  assert.equal(adding.add, true);
+  assert.equal(adding.settings[0].name, 'Family');
+  assert.equal(adding.lora, null);
+
+  assert.match(HyphaeMesh.checkMeshtasticURL(replacing)[0], /Overwrites the Nodeville primary channel with "Family"/);
+  assert.deepEqual(plain(HyphaeMesh.checkMeshtasticURL(adding)), []);
+});
+
+test('region and preset changes are flagged', () => {
+  const url = HyphaeMesh.generateMeshtasticURL(channelSet).replace('/e/#', '/e/?add=true#');
+  assert.deepEqual(plain(HyphaeMesh.checkMeshtasticURL(HyphaeMesh.parseMeshtasticURL(url))), [
+    'Changes your region to EU_868. Nodeville radios use US.',
+    `Changes your modem preset to MEDIUM_FAST. Nodeville uses ${HyphaeMesh.modemPresetName(HyphaeMesh.config.lora.modemPreset)}, so your radio would stop hearing the mesh.`
+  ]);
+});
+
+test('standard base64 and padding are accepted', () => {
+  const encoded = HyphaeMesh.uint8ArrayToBase64(buildChannelSet(channelSet));
+  const parsed = HyphaeMesh.parseMeshtasticURL(`https://meshtastic.org/e/#${encoded}`);
+  assert.equal(parsed.settings[1].name, 'Family');
+});
+
+test('malformed URLs are rejected', () => {
+  const cases = [
+    ['hello', /Not a URL/],
+    ['https://example.com/e/#CgI', /Not a Meshtastic channel URL/],
+    ['https://meshtastic.org/x/#CgI', /Not a Meshtastic channel URL/],
+    ['https://meshtastic.org/e/#', /no channel data/],
+    ['https://meshtastic.org/e/#!!!', /damaged/],
+    // settings field claims 5 bytes, has none
+    ['https://meshtastic.org/e/#CgU', /damaged \(Truncated field 1\)/],
+    // settings sent as a varint
+    ['https://meshtastic.org/e/#CAE', /damaged \(Unexpected wire type for field 1\)/],
+    // a LoRa config but no channels
+    ['https://meshtastic.org/e/#EgA', /no channels/]
+  ];
+
+  for (const [url, message] of cases) {
+    assert.throws(() => HyphaeMesh.parseMeshtasticURL(url), message, url);
+  }
+});
+
+test('describePSK names each kind of key', () => {
+  assert.equal(HyphaeMesh.describePSK(new Uint8Array(0)), 'None (unencrypted)');
+  assert.equal(HyphaeMesh.describePSK(new Uint8Array([0])), 'None (unencrypted)');
+  assert.equal(HyphaeMesh.describePSK(new Uint8Array([1])), 'Default key (public)');
+  assert.equal(HyphaeMesh.describePSK(new Uint8Array([2])), 'Default key #2 (public)');
+  assert.equal(HyphaeMesh.describePSK(new Uint8Array(16)), 'AES-128 (private)');
+  assert.equal(HyphaeMesh.describePSK(new Uint8Array(32)), 'AES-256 (private)');
+  assert.equal(HyphaeMesh.describePSK(new Uint8Array(5)), 'Invalid (5 bytes)');
+});
@@ -0,0 +1,255 @@
+/* ==========================================================================
+   app.js transports - serial framing and the HTTP phone API
+   Run with: node --test tests/
+   ========================================================================== */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadTransports() {
+  const context = {
+    navigator: {},
+    location: { search: '', hash: '', href: 'http://localhost/', protocol: 'http:' },
+    localStorage: { getItem() { return null; }, setItem() {}, removeItem() {} },
+    document: {
+      addEventListener() {},
+      getElementById() { return null; },
+      querySelectorAll() { return []; }
+    },
+    setTimeout,
+    clearTimeout,
+    fetch,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    crypto: globalThis.crypto,
+    console
+  };
+  context.window = context;
+  context.self = context;
+  vm.createContext(context);
+
+  for (const file of ['qr-generator.js', 'app.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'), context, { filename: file });
+  }
+  return { context, ...vm.runInContext('({ SerialTransport, HttpTransport })', context) };
+}
+
+function frame(payload) {
+  return [0x94, 0xc3, payload.length >> 8, payload.length & 0xff, ...payload];
+}
+
+// Results come from the page's realm, so compare plain arrays
+function parse(SerialTransport, bytes) {
+  const { frames, rest } = SerialTransport.parseFrames(Uint8Array.from(bytes));
+  return { frames: Array.from(frames, bytes => Array.from(bytes)), rest: Array.from(rest) };
+}
+
+test('parseFrames skips garbage until it finds a frame header', () => {
+  const { SerialTransport } = loadTransports();
+  const log = Array.from(new TextEncoder().encode('INFO | booting\r\n'));
+
+  assert.deepEqual(parse(SerialTransport, [...log, 0x94, ...frame([1, 2, 3]), 0xc3]), {
+    frames: [[1, 2, 3]],
+    rest: [0xc3]
+  });
+});
+
+test('parseFrames keeps a split frame until the rest arrives', () => {
+  const { SerialTransport } = loadTransports();
+  const bytes = [...frame([10, 20, 30, 40]), ...frame([50])];
+
+  const first = parse(SerialTransport, bytes.slice(0, 6));
+  assert.deepEqual(first, { frames: [], rest: bytes.slice(0, 6) });
+
+  const second = parse(SerialTransport, [...first.rest, ...bytes.slice(6)]);
+  assert.deepEqual(second, { frames: [[10, 20, 30, 40], [50]], rest: [] });
+
+  // A header alone is not enough to know the length
+  assert.deepEqual(parse(SerialTransport, [0x94, 0xc3, 0x00]), { frames: [], rest: [0x94, 0xc3, 0x00] });
+});
+
+test('parseFrames resyncs past a length field over MAX_PACKET', () => {
+  const { SerialTransport } = loadTransports();
+  const oversized = SerialTransport.MAX_PACKET + 1;
+  const bytes = [0x94, 0xc3, oversized >> 8, oversized & 0xff, 9, 9, ...frame([7, 8])];
+
+  assert.deepEqual(parse(SerialTransport, bytes), { frames: [[7, 8]], rest: [] });
+});
+
+// A Web Serial port. As in the browser, close() fails while a stream is
+// locked, and a read cancelled mid-wait settles after cancel() resolves.
+function fakePort() {
+  const queued = [];
+  let waiting = null;
+  const readable = {
+    locked: false,
+    getReader() {
+      readable.locked = true;
+      return {
+        read() {
+          if (queued.length) return Promise.resolve({ value: queued.shift(), done: false });
+          return new Promise(resolve => { waiting = resolve; });
+        },
+        async cancel() {
+          setTimeout(() => waiting?.({ value: undefined, done: true }));
+        },
+        releaseLock() { readable.locked = false; }
+      };
+    }
+  };
+  const writable = new WritableStream({ write() {} });
+  return {
+    readable,
+    writable,
+    closed: false,
+    push(bytes) {
+      const value = Uint8Array.from(bytes);
+      if (!waiting) return queued.push(value);
+      const resolve = waiting;
+      waiting = null;
+      resolve({ value, done: false });
+    },
+    getInfo() { return {}; },
+    async open() {},
+    async close() {
+      if (readable.locked || writable.locked) throw new TypeError('Cannot close a locked stream');
+      this.closed = true;
+    }
+  };
+}
+
+test('SerialTransport delivers frames and closes the port on disconnect', async () => {
+  const { context, SerialTransport } = loadTransports();
+  const port = fakePort();
+  context.navigator.serial = { requestPort: async () => port };
+
+  const received = [];
+  let disconnected = false;
+  const transport = new SerialTransport({}, {
+    onFromRadio: bytes => received.push(Array.from(bytes)),
+    onDisconnect: () => { disconnected = true; }
+  });
+
+  try {
+    await transport.connect();
+    port.push(frame([1, 2]).slice(0, 3));
+    port.push([...frame([1, 2]).slice(3), ...frame([3])]);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(received, [[1, 2], [3]]);
+  } finally {
+    await transport.disconnect();
+  }
+
+  assert.ok(port.closed, 'the port closed after the reader was released');
+  assert.equal(disconnected, false, 'a requested disconnect is not reported as a drop');
+});
+
+// Stands in for a WiFi node's /api/v1 endpoints. Each PUT to toradio is
+// answered by queueing its bytes back on fromradio.
+async function standIn() {
+  const node = { fromRadio: [], toRadio: [], status: 200 };
+  node.server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      if (node.status !== 200) {
+        response.writeHead(node.status).end();
+      } else if (request.method === 'GET' && pathname === '/api/v1/fromradio') {
+        const packet = node.fromRadio.shift();
+        response.writeHead(200, { 'Content-Type': 'application/x-protobuf' }).end(packet ? Buffer.from(packet) : undefined);
+      } else if (request.method === 'PUT' && pathname === '/api/v1/toradio') {
+        const bytes = Array.from(Buffer.concat(chunks));
+        node.toRadio.push(bytes);
+        node.fromRadio.push(bytes);
+        response.writeHead(200).end();
+      } else {
+        response.writeHead(404).end();
+      }
+    });
+  });
+  await new Promise(resolve => node.server.listen(0, '127.0.0.1', resolve));
+  node.host = `http://127.0.0.1:${node.server.address().port}/`;
+  node.close = () => {
+    node.server.closeAllConnections();
+    return new Promise(resolve => node.server.close(resolve));
+  };
+  return node;
+}
+
+function waitFor(check, label, ms = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = () => {
+      if (check()) return resolve();
+      if (Date.now() - started > ms) return reject(new Error(`Timed out waiting for ${label}`));
+      setTimeout(tick, 5);
+    };
+    tick();
+  });
+}
+
+test('HttpTransport drains fromradio and PUTs to toradio', async () => {
+  const { HttpTransport } = loadTransports();
+  HttpTransport.POLL_INTERVAL = 10;
+  const node = await standIn();
+
+  const received = [];
+  const transport = new HttpTransport({ host: node.host }, {
+    onFromRadio: bytes => received.push(Array.from(bytes))
+  });
+
+  try {
+    assert.equal(transport.baseUrl, node.host.slice(0, -1));
+
+    await transport.connect();
+    node.fromRadio.push([1], [2, 2]);
+    await waitFor(() => received.length === 2, 'the queued packets');
+    assert.deepEqual(received, [[1], [2, 2]]);
+
+    await transport.write(Uint8Array.from([9, 8, 7]));
+    assert.deepEqual(node.toRadio, [[9, 8, 7]]);
+    await waitFor(() => received.length === 3, 'the reply');
+    assert.deepEqual(received[2], [9, 8, 7]);
+  } finally {
+    transport.disconnect();
+    await node.close();
+  }
+});
+
+test('HttpTransport reports a drop after MAX_FAILURES failed polls', async () => {
+  const { HttpTransport } = loadTransports();
+  HttpTransport.POLL_INTERVAL = 10;
+  const node = await standIn();
+
+  let disconnects = 0;
+  const transport = new HttpTransport({ host: node.host }, {
+    onFromRadio() {},
+    onDisconnect: () => { disconnects++; }
+  });
+  const errors = [];
+  const consoleError = console.error;
+  console.error = (...args) => errors.push(args);
+
+  try {
+    await transport.connect();
+    node.status = 503;
+    await waitFor(() => disconnects > 0, 'the disconnect');
+    assert.equal(transport.failures, HttpTransport.MAX_FAILURES);
+
+    await assert.rejects(transport.write(Uint8Array.from([1])), /HTTP 503/);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(disconnects, 1, 'a closed transport stops polling');
+  } finally {
+    console.error = consoleError;
+    transport.disconnect();
+    await node.close();
+  }
+  assert.equal(errors.length, HttpTransport.MAX_FAILURES);
+});
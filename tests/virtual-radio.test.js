@@ -0,0 +1,418 @@
+/* ==========================================================================
+   virtual-radio.js - the app from onboarding to an acked DM, no hardware
+   Run with: node --test tests/
+   ========================================================================== */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Just enough IndexedDB for NashMeshDB: stores, compound and multiEntry
+// indexes, key ranges, cursors and transactions that commit once nothing is
+// pending. It runs inside the page so records come back as the page's own
+// objects.
+function memoryIndexedDB() {
+  const databases = new Map();
+
+  const rank = key => typeof key === 'number' ? 0 : typeof key === 'string' ? 1 : 2;
+  function compare(a, b) {
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (Array.isArray(a)) {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const order = compare(a[i], b[i]);
+        if (order) return order;
+      }
+      return a.length - b.length;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  class KeyRange {
+    constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+      Object.assign(this, { lower, upper, lowerOpen, upperOpen });
+    }
+
+    static only(key) { return new KeyRange(key, key); }
+    static bound(lower, upper, lowerOpen, upperOpen) { return new KeyRange(lower, upper, lowerOpen, upperOpen); }
+
+    includes(key) {
+      const low = compare(key, this.lower);
+      const high = compare(key, this.upper);
+      return (this.lowerOpen ? low > 0 : low >= 0) && (this.upperOpen ? high < 0 : high <= 0);
+    }
+  }
+
+  const keyAt = (keyPath, record) => Array.isArray(keyPath) ? keyPath.map(path => record[path]) : record[keyPath];
+  const id = key => JSON.stringify(key);
+  const matches = (key, query) => query == null || (query instanceof KeyRange ? query.includes(key) : compare(key, query) === 0);
+
+  // Plain data is copied; anything else (a CryptoKey) is kept as is
+  function clone(value) {
+    if (ArrayBuffer.isView(value)) return value.slice();
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+  }
+
+  // [key, record] pairs in key order, by primary key or by an index
+  function entries(store, indexName, query) {
+    const index = indexName && store.indexes.get(indexName);
+    const found = [];
+    for (const record of store.records.values()) {
+      const primary = keyAt(store.keyPath, record);
+      if (!index) {
+        if (matches(primary, query)) found.push([primary, record]);
+        continue;
+      }
+      const key = keyAt(index.keyPath, record);
+      if (key === undefined) continue;
+      const keys = index.multiEntry && Array.isArray(key) ? key : [key];
+      keys.filter(each => matches(each, query)).forEach(each => found.push([each, record]));
+    }
+    return found.sort((a, b) => compare(a[0], b[0]) || compare(keyAt(store.keyPath, a[1]), keyAt(store.keyPath, b[1])));
+  }
+
+  class Transaction {
+    constructor(database) {
+      this.database = database;
+      this.pending = 0;
+      this.finished = false;
+      this.error = null;
+      this.oncomplete = null;
+      this.onerror = null;
+      this.settle();
+    }
+
+    request(work, request = { result: undefined, error: null }) {
+      this.pending++;
+      setTimeout(() => {
+        try {
+          request.result = work();
+          request.onsuccess?.({ target: request });
+        } catch (error) {
+          request.error = error;
+          this.error = error;
+          request.onerror?.();
+        }
+        this.pending--;
+        this.settle();
+      });
+      return request;
+    }
+
+    settle() {
+      setTimeout(() => {
+        if (this.pending || this.finished) return;
+        this.finished = true;
+        if (this.error) this.onerror?.();
+        else this.oncomplete?.();
+      });
+    }
+
+    openCursor(store, indexName, query, direction = 'next') {
+      const list = entries(store, indexName, query);
+      if (direction === 'prev') list.reverse();
+      let position = 0;
+      const request = { result: null, error: null };
+      const step = () => this.request(() => {
+        const entry = list[position];
+        if (!entry) return null;
+        const key = id(keyAt(store.keyPath, entry[1]));
+        return {
+          value: clone(entry[1]),
+          continue() { position++; step(); },
+          delete() { store.records.delete(key); },
+          update(record) { store.records.set(key, clone(record)); }
+        };
+      }, request);
+      step();
+      return request;
+    }
+
+    objectStore(name) {
+      const store = this.database.stores.get(name);
+      if (!store) throw new Error(`No object store named ${name}`);
+      const source = indexName => ({
+        getAll: query => this.request(() => entries(store, indexName, query).map(([, record]) => clone(record))),
+        openCursor: (query, direction) => this.openCursor(store, indexName, query, direction)
+      });
+
+      return {
+        ...source(null),
+        get: key => this.request(() => clone(store.records.get(id(key)))),
+        put: record => this.request(() => {
+          if (store.autoIncrement && record[store.keyPath] === undefined) {
+            record = { ...record, [store.keyPath]: store.nextKey++ };
+          }
+          const key = keyAt(store.keyPath, record);
+          store.records.set(id(key), clone(record));
+          return key;
+        }),
+        delete: key => this.request(() => { store.records.delete(id(key)); }),
+        clear: () => this.request(() => store.records.clear()),
+        index: indexName => source(indexName),
+        createIndex(indexName, keyPath, { multiEntry = false } = {}) {
+          store.indexes.set(indexName, { keyPath, multiEntry });
+        }
+      };
+    }
+  }
+
+  function createDatabase(name) {
+    const stores = new Map();
+    return {
+      name,
+      version: 0,
+      stores,
+      onversionchange: null,
+      objectStoreNames: { contains: storeName => stores.has(storeName) },
+      createObjectStore(storeName, { keyPath, autoIncrement = false }) {
+        stores.set(storeName, { keyPath, autoIncrement, nextKey: 1, records: new Map(), indexes: new Map() });
+        return new Transaction(this).objectStore(storeName);
+      },
+      transaction() {
+        return new Transaction(this);
+      },
+      close() {}
+    };
+  }
+
+  const indexedDB = {
+    open(name, version) {
+      const request = { result: null, error: null };
+      setTimeout(() => {
+        const database = databases.get(name) || createDatabase(name);
+        databases.set(name, database);
+        request.result = database;
+
+        if (database.version >= version) {
+          request.onsuccess?.();
+          return;
+        }
+        const upgrade = new Transaction(database);
+        upgrade.oncomplete = () => request.onsuccess?.();
+        request.onupgradeneeded?.({ target: { result: database, transaction: upgrade }, oldVersion: database.version, newVersion: version });
+        database.version = version;
+      });
+      return request;
+    },
+
+    async databases() {
+      return [...databases.values()].map(({ name, version }) => ({ name, version }));
+    }
+  };
+
+  return { indexedDB, IDBKeyRange: KeyRange };
+}
+
+// What the app page gives these scripts, opened as /?virtual=3
+function loadPage(search) {
+  const context = {
+    navigator: {},
+    location: { search, hash: '', href: `http://localhost/${search}` },
+    localStorage: {
+      items: {},
+      getItem(key) { return key in this.items ? this.items[key] : null; },
+      setItem(key, value) { this.items[key] = String(value); },
+      removeItem(key) { delete this.items[key]; }
+    },
+    document: {
+      hidden: false,
+      addEventListener() {},
+      getElementById() { return null; },
+      querySelectorAll() { return []; }
+    },
+    history: { replaceState() {} },
+    addEventListener() {},
+    setTimeout,
+    clearTimeout,
+    // The app's schedule and auto-lock ticks mustn't hold the test run open
+    setInterval: (callback, ms) => setInterval(callback, ms).unref(),
+    clearInterval,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    atob,
+    btoa,
+    crypto: globalThis.crypto,
+    console
+  };
+  context.window = context;
+  context.self = context;
+  vm.createContext(context);
+  Object.assign(context, vm.runInContext(`(${memoryIndexedDB})()`, context));
+
+  for (const file of ['qr-generator.js', 'app.js', 'virtual-radio.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'), context, { filename: file });
+  }
+  return context;
+}
+
+// Resolves with the first truthy value check returns, polling
+function waitFor(check, label, ms = 5000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = async () => {
+      const value = await check();
+      if (value) return resolve(value);
+      if (Date.now() - started > ms) return reject(new Error(`Timed out waiting for ${label}`));
+      setTimeout(tick, 20);
+    };
+    tick();
+  });
+}
+
+// Stands in for UIManager. Every call is recorded, and called() resolves
+// with the arguments of the first call to a method that passes check.
+function recordingUi() {
+  const calls = [];
+  const state = {
+    selectedConversation: null,
+    calls,
+    called(name, check = () => true, ms = 5000) {
+      return waitFor(() => calls.find(call => call.name === name && check(...call.args))?.args, `ui.${name}`, ms);
+    }
+  };
+  return new Proxy(state, {
+    get(target, name) {
+      if (name in target) return target[name];
+      return (...args) => { calls.push({ name, args }); };
+    }
+  });
+}
+
+// A fresh NashMeshApp through onboarding to the messenger, then into a DM
+// with peer. Resolves with the app, the peer's node id, the DM and the
+// conversation screen's send callback.
+async function onboardAndOpenDM(page, peer) {
+  const app = vm.runInContext('new NashMeshApp()', page);
+  app.ui = recordingUi();
+
+  await app.init();
+  const [transports, connect] = await app.ui.called('showOnboarding');
+  assert.equal(transports[0].type, 'ble', 'the virtual radio shows up as Bluetooth');
+
+  // Connecting applies the nashme.sh settings; a factory radio then wants a name
+  connect({ transport: 'ble' });
+  const [saveName] = await app.ui.called('showUserSetup');
+  await saveName('Test Driver', 'TD');
+  const [openMessenger] = await app.ui.called('showSuccess');
+  await openMessenger();
+  await app.ui.called('showMessenger');
+
+  const node = await waitFor(
+    () => [...app.meshtastic.nodes.values()].find(n => n.num === peer.nodeNum && n.user?.publicKey?.length),
+    'the peer\'s NodeInfo'
+  );
+  const peerId = vm.runInContext('MeshProto', page).nodeId(peer.nodeNum);
+  await app.startDM({ id: peerId, name: node.user.longName });
+  const [conversation, , , send] = await app.ui.called('showConversation');
+  return { app, peerId, conversation, send };
+}
+
+// The first status the message moves on to after 'sent'
+function statusOf(app, message) {
+  return app.ui.called('updateMessageStatus', update => update.id === message.id && update.status !== 'sent');
+}
+
+test('a fresh app onboards on a virtual radio and gets an acked DM through', async () => {
+  const page = loadPage('?virtual=3');
+  const { mesh, local } = page.VirtualMeshtastic;
+  const peer = mesh.nodes[1];
+
+  assert.ok(page.navigator.bluetooth, '?virtual installs a fake navigator.bluetooth');
+  assert.equal(mesh.nodes.length, 3);
+
+  let app;
+  try {
+    const opened = await onboardAndOpenDM(page, peer);
+    app = opened.app;
+    assert.equal(local.user.longName, 'Test Driver');
+    assert.equal(opened.conversation.type, 'dm');
+
+    // Sending through the conversation screen; the peer acks, then echoes
+    await opened.send('hello mesh');
+    const [message] = await app.ui.called('addMessage', message => message.text === 'hello mesh');
+    assert.equal(message.status, 'sent');
+
+    const [update] = await statusOf(app, message);
+    assert.equal(update.status, 'delivered');
+    assert.equal((await app.conversations.getMessageByPacketId(message.packetId)).status, 'delivered');
+
+    const reply = await waitFor(async () => {
+      const { messages } = await app.conversations.getMessagePage(opened.conversation.id);
+      return messages.find(m => m.text === 'Echo: hello mesh');
+    }, 'the echo');
+    assert.equal(reply.fromNodeId, opened.peerId);
+    assert.ok(reply.pkiEncrypted);
+
+    // Nothing the virtual run saved lands under the real app's names
+    const databases = await page.indexedDB.databases();
+    assert.deepEqual(Array.from(databases, db => db.name), ['nashme_virtual_db']);
+    const keys = Object.keys(page.localStorage.items);
+    assert.ok(keys.includes('nashme_virtual_radio'));
+    assert.deepEqual(keys.filter(key => !key.startsWith('nashme_virtual_')), []);
+  } finally {
+    await app?.meshtastic.disconnect();
+  }
+});
+
+test('a DM three hops down a chain is relayed, then delivered', async () => {
+  // Each node hears only its neighbours: us - V2 - V3 - V4
+  const page = loadPage('?virtual=4&chain');
+  const { mesh } = page.VirtualMeshtastic;
+  const peer = mesh.nodes[3];
+
+  let app;
+  try {
+    const opened = await onboardAndOpenDM(page, peer);
+    app = opened.app;
+    assert.equal(app.meshtastic.nodes.get(peer.nodeNum).hopsAway, 2);
+
+    await opened.send('over the hills');
+    const [message] = await app.ui.called('addMessage', message => message.text === 'over the hills');
+
+    // Our radio hears V2 pass it on before V4's ack makes it back
+    const [relayed] = await statusOf(app, message);
+    assert.equal(relayed.status, 'relayed');
+    const [delivered] = await app.ui.called('updateMessageStatus', update => update.id === message.id && update.status === 'delivered');
+    assert.equal(delivered.errorReason, null);
+  } finally {
+    await app?.meshtastic.disconnect();
+  }
+});
+
+test('a failed onboarding step still closes the edit transaction', async () => {
+  const page = loadPage('?virtual=2');
+  const { MeshtasticManager, NASHME_CONFIG } = vm.runInContext('({ MeshtasticManager, NASHME_CONFIG })', page);
+
+  const radio = new MeshtasticManager();
+  const sent = [];
+  const sendAdmin = radio.sendAdmin.bind(radio);
+  radio.sendAdmin = (admin, options) => {
+    sent.push(Object.keys(admin)[0]);
+    return sendAdmin(admin, options);
+  };
+  radio.verifyConfig = async () => [{ field: 'lora.region', expected: 1, actual: 0 }];
+
+  try {
+    await radio.connect();
+    await assert.rejects(radio.applyConfig(NASHME_CONFIG), { type: 'config_mismatch' });
+    assert.equal(sent[0], 'beginEditSettings');
+    assert.equal(sent.at(-1), 'commitEditSettings');
+  } finally {
+    await radio.disconnect();
+  }
+});
+
+test('without ?virtual the page keeps the real navigator.bluetooth', () => {
+  const page = loadPage('');
+  assert.equal(page.navigator.bluetooth, undefined);
+  assert.equal(page.VirtualMeshtastic.mesh, null);
+  assert.equal(vm.runInContext('new NashMeshDB().dbName', page), 'nashme_db');
+});